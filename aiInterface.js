@@ -1,42 +1,43 @@
-import { getUnit, getUnitsChunked, getUnitsByCluster, putUnitsChunked } from './db.js';
+import { getUnit, getUnitsChunked, getUnitsByCluster, getUnitsByIndex, getAllUnits, createTransaction, getActiveWorkspace } from './db.js';
 import { loadAndExecute } from './codeLoader.js';
 import { runTests } from './unitTester.js'; // Assuming addTestToUnit was part of original, if not, omit. Omitted as per plan.
-import { openDB } from './db.js';
 import { ingestCode } from './codeIngester.js'; // Added import
-
-// Map of pending updates
-export const pendingUpdates = new Map();
-
-// Handler for AI requests
+import { getSourceLanguage, getSyntaxOptions, transformSource } from './sourceTransform.js';
+import { analyzeCode } from './staticAnalyzerWorker.js';
+import { assignStableIds } from './unitIdentity.js';
+import { METRICS, updateFanMetrics } from './codeMetrics.js';
+import { reanalyzeUnit, refreshUnitEdges, deleteUnits, checkIntegrity } from './dependencyIntegrity.js';
+import { getCodeCandidates, searchCode } from './codeSearch.js';
+import { getHistory, recordRevision, recordTestOutcome, diffRevisions, revertUnit } from './unitHistory.js';
+import { exportWorkspace, importWorkspace } from './workspaceSnapshot.js';
+import { listWorkspaces, findWorkspace } from './workspaceManager.js';
+import { subscribe } from './changeEvents.js';
+import { getCluster, listClusters, updateCluster } from './clusters.js';
+import {
+    createProposal,
+    getProposal,
+    listProposals,
+    countOpenProposals,
+    saveProposal,
+    setProposalStatus,
+    reviewProposal,
+    findOpenProposal,
+    supersedeProposals
+} from './proposals.js';
+
+// Handler for AI requests. Each request runs against the workspace it names (by
+// ID or name) in `workspace`, or else the one active when it arrives.
 export async function handleAIRequest(request) {
     try {
-        switch (request.command) {
-            case 'getUnit':
-                return await handleGetUnit(request);
-            case 'getCluster':
-                return await handleGetCluster(request);
-            case 'findUnits':
-                return await handleFindUnits(request);
-            case 'getDependencies':
-                return await handleGetDependencies(request);
-            case 'proposeUpdate':
-                return await handleProposeUpdate(request);
-            case 'runTests':
-                return await handleRunTests(request);
-            case 'previewExecution':
-                return await handlePreviewExecution(request);
-            case 'applyUpdate':
-                return await handleApplyUpdate(request);
-            case 'proposePlan':
-                return await handleProposePlan(request);
-            case 'importFromGithub':
-                return await handleImportFromGithub(request);
-            default:
-                return {
-                    success: false,
-                    error: `Unknown command: ${request.command}`
-                };
+        let workspaceId = getActiveWorkspace();
+        if (request.workspace !== undefined) {
+            const target = await findWorkspace(request.workspace);
+            if (!target) {
+                return { success: false, error: `Workspace not found: ${request.workspace}` };
+            }
+            workspaceId = target.id;
         }
+        return await dispatchAIRequest(workspaceId, request);
     } catch (error) {
         console.error('Error handling AI request:', error);
         return {
@@ -47,42 +48,237 @@ export async function handleAIRequest(request) {
     }
 }
 
+// Route a request to its handler, with the ID of the workspace it runs against
+async function dispatchAIRequest(workspace, request) {
+    switch (request.command) {
+        case 'getUnit':
+            return await handleGetUnit(workspace, request);
+        case 'getCluster':
+            return await handleGetCluster(workspace, request);
+        case 'listClusters':
+            return await handleListClusters(workspace, request);
+        case 'updateCluster':
+            return await handleUpdateCluster(workspace, request);
+        case 'findUnits':
+            return await handleFindUnits(workspace, request);
+        case 'searchCode':
+            return await handleSearchCode(workspace, request);
+        case 'getDependencies':
+            return await handleGetDependencies(workspace, request);
+        case 'getDocumentation':
+            return await handleGetDocumentation(workspace, request);
+        case 'proposeUpdate':
+            return await handleProposeUpdate(workspace, request);
+        case 'runTests':
+            return await handleRunTests(workspace, request);
+        case 'previewExecution':
+            return await handlePreviewExecution(workspace, request);
+        case 'applyUpdate':
+            return await handleApplyUpdate(workspace, request);
+        case 'listProposals':
+            return await handleListProposals(workspace, request);
+        case 'approveProposal':
+            return await handleReviewProposal(workspace, request, 'approved');
+        case 'rejectProposal':
+            return await handleReviewProposal(workspace, request, 'rejected');
+        case 'proposePlan':
+            return await handleProposePlan(workspace, request);
+        case 'importFromGithub':
+            return await handleImportFromGithub(workspace, request);
+        case 'getHistory':
+            return await handleGetHistory(workspace, request);
+        case 'diffRevisions':
+            return await handleDiffRevisions(workspace, request);
+        case 'revertUnit':
+            return await handleRevertUnit(workspace, request);
+        case 'exportWorkspace':
+            return await handleExportWorkspace(workspace, request);
+        case 'importWorkspace':
+            return await handleImportWorkspace(workspace, request);
+        case 'listWorkspaces':
+            return await handleListWorkspaces(request);
+        case 'deleteUnit':
+            return await handleDeleteUnit(workspace, request);
+        case 'checkIntegrity':
+            return await handleCheckIntegrity(workspace, request);
+        default:
+            return {
+                success: false,
+                error: `Unknown command: ${request.command}`
+            };
+    }
+}
+
 // Get a single unit
-async function handleGetUnit(request) {
+async function handleGetUnit(workspace, request) {
     const { id } = request;
     if (!id) {
         return { success: false, error: 'Unit ID is required' };
     }
-    const unit = await getUnit(id);
+    const unit = await getUnit(workspace, id);
     if (!unit) {
         return { success: false, error: `Unit not found: ${id}` };
     }
     return { success: true, unit };
 }
 
-// Get all units in a cluster
-async function handleGetCluster(request) {
+// A cluster's record (null for a cluster formed before clusters had records
+// and not clustered again since) and its units
+async function handleGetCluster(workspace, request) {
     const { id } = request;
     if (!id) {
         return { success: false, error: 'Cluster ID is required' };
     }
-    const units = await getUnitsByCluster(id);
-    if (!units || units.length === 0) {
+    const cluster = await getCluster(workspace, id);
+    const units = await getUnitsByCluster(workspace, id);
+    if (!cluster && (!units || units.length === 0)) {
         return { success: false, error: `No units found in cluster: ${id}` };
     }
-    return { success: true, units };
+    return { success: true, cluster, units };
+}
+
+// Cluster records by name, optionally only those of an `owner` or with a `tag`
+async function handleListClusters(workspace, request) {
+    const { owner, tag } = request;
+    const clusters = await listClusters(workspace, { owner, tag });
+    return { success: true, clusters, count: clusters.length };
+}
+
+// Change a cluster's `name`, `description`, `owner` or `tags`
+async function handleUpdateCluster(workspace, request) {
+    const { id } = request;
+    if (!id) {
+        return { success: false, error: 'Cluster ID is required' };
+    }
+    const changes = {};
+    ['name', 'description', 'owner', 'tags'].forEach(field => {
+        if (request[field] !== undefined) changes[field] = request[field];
+    });
+    if (Object.keys(changes).length === 0) {
+        return { success: false, error: 'Nothing to change: pass a name, description, owner or tags' };
+    }
+    const cluster = await updateCluster(workspace, id, changes);
+    return { success: true, message: `Cluster ${id} updated`, cluster };
+}
+
+// Everything a unit's doc comment says, for text searches
+function getDocText(unit) {
+    const metadata = unit.metadata || {};
+    const doc = metadata.doc || {};
+    return [
+        metadata.description,
+        ...(doc.params || []).map(param => `${param.name} ${param.description}`),
+        doc.returns && doc.returns.description,
+        ...(doc.throws || []).map(thrown => `${thrown.type || ''} ${thrown.description}`),
+        doc.deprecated && doc.deprecated.reason
+    ].filter(Boolean).join('\n');
+}
+
+// Signatures and doc comments of units, as context for understanding code without reading it.
+// Takes `ids` (or a single `id`) or a `clusterId`.
+async function handleGetDocumentation(workspace, request) {
+    const { id, ids, clusterId } = request;
+    let units;
+    if (clusterId) {
+        units = await getUnitsByCluster(workspace, clusterId);
+    } else if (ids || id) {
+        units = (await getUnitsChunked(workspace, ids || [id])).filter(Boolean);
+    } else {
+        return { success: false, error: 'Unit ID(s) or cluster ID is required' };
+    }
+
+    const documentation = units.map(unit => {
+        const metadata = unit.metadata || {};
+        return {
+            id: unit.id,
+            name: unit.qualifiedName || unit.name,
+            type: unit.type,
+            originalSource: unit.originalSource,
+            signature: metadata.signature || null,
+            description: metadata.description || null,
+            doc: metadata.doc || null
+        };
+    });
+    return { success: true, documentation, count: documentation.length };
+}
+
+// Range criteria on metrics: `<criterion>Above` and `<criterion>Below` are exclusive,
+// `<criterion>Between: [min, max]` is inclusive, e.g. complexityAbove: 10 or
+// locBetween: [50, 200]. Returns null if the key isn't a metric criterion.
+function getMetricFilter(key, value) {
+    const match = /^(\w+?)(Above|Below|Between)$/.exec(key);
+    const metric = match && METRICS.find(m => m.criterion === match[1]);
+    if (!metric) return null;
+
+    const getValue = (unit) => unit.metadata && unit.metadata.metrics ? unit.metadata.metrics[metric.key] : undefined;
+    if (match[2] === 'Between') {
+        const [min, max] = Array.isArray(value) ? value.map(Number) : [NaN, NaN];
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+            throw new Error(`${key} expects a [min, max] pair`);
+        }
+        return unit => getValue(unit) >= min && getValue(unit) <= max;
+    }
+    const limit = Number(value);
+    if (Number.isNaN(limit)) throw new Error(`${key} expects a number`);
+    return match[2] === 'Above'
+        ? unit => getValue(unit) > limit
+        : unit => getValue(unit) < limit;
+}
+
+// Criteria an index can answer, most selective first. The first one present in a
+// query fetches the candidate units; every criterion is still applied as a filter.
+// A lookup returning null can't narrow the query down (e.g. `codeContains` text
+// without a whole word in it), and the next criterion is tried.
+const INDEXED_CRITERIA = [
+    { key: 'id', lookup: async (workspace, value) => [await getUnit(workspace, value)].filter(Boolean) },
+    { key: 'name', index: 'name' },
+    { key: 'codeContains', lookup: (workspace, value) => getCodeCandidates(workspace, String(value)) },
+    { key: 'originalSource', index: 'originalSource' },
+    { key: 'memberOfCluster', index: 'clusterId' },
+    { key: 'ofType', index: 'type' },
+    { key: 'hasTests', index: 'tags', tag: 'hasTests' },
+    { key: 'deprecated', index: 'tags', tag: 'deprecated' }
+];
+
+// Criteria that look at units other than the one being filtered
+const GRAPH_CRITERIA = new Set(['childOf', 'descendantOf', 'dependsOn', 'dependencyOf']);
+
+function isEmptyCriterion(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Candidate units for a structured query from the first usable index, or null
+// if none applies (tags only answer `true`: an index can't list what lacks a tag)
+async function getIndexedCandidates(workspace, query) {
+    for (const criterion of INDEXED_CRITERIA) {
+        const value = query[criterion.key];
+        if (isEmptyCriterion(value)) continue;
+        if (criterion.lookup) {
+            const units = await criterion.lookup(workspace, value);
+            if (units) return units;
+            continue;
+        }
+        if (criterion.tag) {
+            if (value === true) return getUnitsByIndex(workspace, criterion.index, criterion.tag);
+            continue;
+        }
+        return getUnitsByIndex(workspace, criterion.index, value);
+    }
+    return null;
 }
 
 // Find units by query (supports structured queries)
-async function handleFindUnits(request) {
+async function handleFindUnits(workspace, request) {
     const { query } = request;
-    const allUnits = await getAllUnits();
+    const candidates = query && typeof query === 'object' ? await getIndexedCandidates(workspace, query) : null;
+    const needsAllUnits = !candidates || Object.keys(query).some(key => GRAPH_CRITERIA.has(key) && !isEmptyCriterion(query[key]));
+    const allUnits = needsAllUnits ? await getAllUnits(workspace) : candidates;
 
     if (!query) {
         return { success: true, units: allUnits, count: allUnits.length };
     }
 
-    let filteredUnits = [...allUnits];
+    let filteredUnits = [...(candidates || allUnits)];
 
     if (typeof query === 'string') {
         // Backward compatibility: simple string query searches name and code (case-insensitive for name)
@@ -102,7 +298,7 @@ async function handleFindUnits(request) {
 
         for (const key in query) {
             const value = query[key];
-            if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+            if (isEmptyCriterion(value)) {
                 continue; // Skip empty or undefined filters
             }
 
@@ -110,6 +306,9 @@ async function handleFindUnits(request) {
                 case 'id':
                     filteredUnits = filteredUnits.filter(unit => unit.id === value);
                     break;
+                case 'name':
+                    filteredUnits = filteredUnits.filter(unit => unit.name === value);
+                    break;
                 case 'nameContains':
                     const lowerCaseNameQuery = String(value).toLowerCase();
                     filteredUnits = filteredUnits.filter(unit => unit.name && unit.name.toLowerCase().includes(lowerCaseNameQuery));
@@ -119,7 +318,13 @@ async function handleFindUnits(request) {
                     break;
                 case 'descriptionContains':
                     const lowerCaseDescQuery = String(value).toLowerCase();
-                    filteredUnits = filteredUnits.filter(unit => unit.metadata && unit.metadata.description && unit.metadata.description.toLowerCase().includes(lowerCaseDescQuery));
+                    filteredUnits = filteredUnits.filter(unit => getDocText(unit).toLowerCase().includes(lowerCaseDescQuery));
+                    break;
+                case 'deprecated':
+                    filteredUnits = filteredUnits.filter(unit => {
+                        const isDeprecated = Boolean(unit.metadata && unit.metadata.doc && unit.metadata.doc.deprecated);
+                        return value ? isDeprecated : !isDeprecated;
+                    });
                     break;
                 case 'ofType':
                     filteredUnits = filteredUnits.filter(unit => unit.type === value);
@@ -136,6 +341,21 @@ async function handleFindUnits(request) {
                 case 'originalSource':
                     filteredUnits = filteredUnits.filter(unit => unit.originalSource === value);
                     break;
+                case 'childOf':
+                case 'descendantOf': {
+                    // Accept an ID or a name, like dependsOn
+                    const parentIds = allUnits.some(u => u.id === value) ? [value] : getUnitIdsByName(value);
+                    const unitsById = new Map(allUnits.map(u => [u.id, u]));
+                    filteredUnits = filteredUnits.filter(unit => {
+                        if (key === 'childOf') return parentIds.includes(unit.parentId);
+                        // Walk up the containment chain
+                        for (let current = unitsById.get(unit.parentId); current; current = unitsById.get(current.parentId)) {
+                            if (parentIds.includes(current.id)) return true;
+                        }
+                        return false;
+                    });
+                    break;
+                }
                 case 'dependsOn': {
                     let targetIds = [];
                     // Check if 'value' is an ID or a name
@@ -201,9 +421,15 @@ async function handleFindUnits(request) {
                     });
                     break;
                 }
-                default:
+                default: {
+                    const metricFilter = getMetricFilter(key, value);
+                    if (metricFilter) {
+                        filteredUnits = filteredUnits.filter(metricFilter);
+                        break;
+                    }
                     // Optional: log unknown filter keys or return an error
                     console.warn(`Unknown filter key: ${key}`);
+                }
             }
         }
         return { success: true, units: filteredUnits, count: filteredUnits.length };
@@ -212,80 +438,318 @@ async function handleFindUnits(request) {
     return { success: false, error: 'Invalid query type. Query must be a string or an object.' };
 }
 
+// Ranked full-text search of unit code, with highlighted snippets
+async function handleSearchCode(workspace, request) {
+    const { query, limit = 20, type, originalSource } = request;
+    if (!query) { return { success: false, error: 'Search query is required' }; }
+    const result = await searchCode(workspace, query, { limit, type, originalSource });
+    return { success: true, query, ...result };
+}
+
 // Get dependencies of a unit
-async function handleGetDependencies(request) {
+async function handleGetDependencies(workspace, request) {
     const { id, type = 'both' } = request;
     if (!id) { return { success: false, error: 'Unit ID is required' }; }
-    const unit = await getUnit(id);
+    const unit = await getUnit(workspace, id);
     if (!unit) { return { success: false, error: `Unit not found: ${id}` }; }
     // Simplified - actual implementation was more complex
     return { success: true, dependencies: { static: unit.staticDependencies || [], dynamic: unit.dynamicRelationships || [] } };
 }
 
 // Propose an update to a unit
-async function handleProposeUpdate(request) {
-    const { id, newCode, newTests } = request;
+async function handleProposeUpdate(workspace, request) {
+    const { id, newCode, newTests, reason, author = 'ai' } = request;
     if (!id || !newCode) {
         return { success: false, error: 'Unit ID and new code are required' };
     }
-    const unit = await getUnit(id);
+    const unit = await getUnit(workspace, id);
     if (!unit) { return { success: false, error: `Unit not found: ${id}` }; }
-    pendingUpdates.set(id, {
-        unitId: id, originalCode: unit.code, newCode, newTests,
+    const proposal = await saveProposal(workspace, createProposal({
         type: 'single_update', // Differentiate from plans
-        proposedAt: new Date().toISOString()
-    });
-    return { success: true, message: `Update proposed for unit: ${id}`, pendingUpdatesCount: pendingUpdates.size };
+        unitId: id, originalCode: unit.code, newCode, newTests, reason
+    }, author));
+    return {
+        success: true,
+        message: `Update proposed for unit: ${id}`,
+        proposalId: proposal.id,
+        pendingUpdatesCount: await countOpenProposals(workspace)
+    };
 }
 
 // Run tests for a unit
-async function handleRunTests(request) {
-    const { id } = request;
+async function handleRunTests(workspace, request) {
+    const { id, mode } = request;
     if (!id) { return { success: false, error: 'Unit ID is required' }; }
-    const testResults = await runTests(id); // runTests should be imported
+    const testResults = await runTests(workspace, id, { mode }); // runTests should be imported
+    const unit = await getUnit(workspace, id);
+    if (unit) await recordTestOutcome(workspace, id, unit.code, testResults.summary);
     return { success: true, testResults };
 }
 
-// Preview execution of a code path
-async function handlePreviewExecution(request) {
-    const { entryPointId, args } = request;
+// A value as a response can carry it: functions by name, and anything that
+// isn't plain data as text
+function describeValue(value) {
+    if (typeof value === 'function') return `[function ${value.name || 'anonymous'}]`;
+    try {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    } catch (error) {
+        return String(value);
+    }
+}
+
+// Preview execution of a code path. In module mode the result lists what the
+// entry point's module exports.
+async function handlePreviewExecution(workspace, request) {
+    const { entryPointId, args, mode = 'concatenate' } = request;
     if (!entryPointId) { return { success: false, error: 'Entry point ID is required' }; }
     const logs = [];
     const context = { console: { log: (...args) => logs.push({type: 'log', args}) }, args: args || {} };
     let result, error;
     try {
-        result = await loadAndExecute([entryPointId], context); // loadAndExecute should be imported
+        result = await loadAndExecute(workspace, [entryPointId], context, { mode }); // loadAndExecute should be imported
+        if (mode === 'module' && result) {
+            result = Object.fromEntries(Object.entries(result).map(([name, value]) => [name, describeValue(value)]));
+        }
     } catch (err) {
         error = { message: err.message, stack: err.stack };
     }
     return { success: !error, result, logs, error };
 }
 
-// Apply a proposed update
-async function handleApplyUpdate(request) {
-    const { id } = request;
+// Apply an open proposal. `id` is the proposal's ID (a plan's ID for plans), or
+// the ID of a unit with a single open proposal. `reviewer` and `notes` are
+// recorded with it.
+async function handleApplyUpdate(workspace, request) {
+    const { id, reviewer, notes } = request;
     if (!id) { return { success: false, error: 'Unit ID is required' }; }
-    if (!pendingUpdates.has(id)) { return { success: false, error: `No pending update found for unit: ${id}` }; }
-    const update = pendingUpdates.get(id);
-    if (update.type === 'plan') { // Cannot apply a plan with this old handler
-        return { success: false, error: 'This is a plan, use applyPlan command (not yet implemented)'};
-    }
-    const unit = await getUnit(id);
-    if (!unit) { pendingUpdates.delete(id); return { success: false, error: `Unit not found: ${id}` }; }
-    unit.code = update.newCode;
+    let proposal;
+    try {
+        proposal = await findOpenProposal(workspace, id);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+    const review = { reviewer, notes };
+    if (proposal.type === 'plan') {
+        return await applyPlan(workspace, proposal, review);
+    }
+    const unit = await getUnit(workspace, proposal.unitId);
+    if (!unit) {
+        await setProposalStatus(workspace, proposal, 'superseded', { reviewer: null, notes: 'The unit no longer exists' });
+        return { success: false, error: `Unit not found: ${proposal.unitId}` };
+    }
+    let previous;
+    try {
+        previous = changeUnit(unit, proposal.newCode, proposal.newTests);
+    } catch (error) {
+        return { success: false, error: `Update not applied: ${error.message}` };
+    }
+    // The unit, its edges, its new revision and the proposals' statuses are saved together
+    const tx = createTransaction(workspace).put([unit]);
+    if (proposal.newCode) await refreshUnitEdges(workspace, [unit], tx);
+    const revision = await recordRevision(workspace, unit, previous, { author: proposal.proposer || 'ai', reason: proposal.reason }, tx);
+    await setProposalStatus(workspace, proposal, 'applied', review, tx);
+    const superseded = proposal.newCode
+        ? await supersedeProposals(workspace, [unit.id], { supersededBy: proposal.id, notes: `Proposal ${proposal.id} was applied first` }, tx)
+        : [];
+    await tx.commit();
+    if (proposal.newCode) await updateFanMetrics(workspace);
+    return {
+        success: true,
+        message: `Update applied to unit: ${unit.id}`,
+        proposalId: proposal.id,
+        revision: revision.revision,
+        superseded,
+        pendingUpdatesCount: await countOpenProposals(workspace)
+    };
+}
+
+// Proposals, newest first, optionally only those with a `status` (or list of
+// them; 'open' means pending and approved), for a `unitId` or of a `type`
+async function handleListProposals(workspace, request) {
+    const { status, unitId, type } = request;
+    const proposals = await listProposals(workspace, { status, unitId, type });
+    return { success: true, proposals, count: proposals.length };
+}
+
+// Approve or reject an open proposal, with the `reviewer` and their `notes`
+async function handleReviewProposal(workspace, request, status) {
+    const { id, reviewer, notes } = request;
+    if (!id) { return { success: false, error: 'Proposal ID is required' }; }
+    if (!await getProposal(workspace, id)) { return { success: false, error: `Proposal not found: ${id}` }; }
+    const proposal = await reviewProposal(workspace, id, status, { reviewer, notes });
+    return {
+        success: true,
+        message: `Proposal ${id} ${status}`,
+        proposal,
+        pendingUpdatesCount: await countOpenProposals(workspace)
+    };
+}
+
+// Give a unit new code and/or another test. Returns its previous code, for its history.
+// New code is analyzed again (throwing if it doesn't parse); refresh the unit's
+// edges with refreshUnitEdges() in the transaction that saves it.
+function changeUnit(unit, newCode, newTests) {
+    const previous = { code: unit.code, compiledCode: unit.compiledCode };
+    if (newCode) {
+        unit.code = newCode;
+        // TypeScript and JSX units also keep the JavaScript that actually runs
+        if (unit.language && unit.type !== 'type') {
+            unit.compiledCode = transformSource(unit.code, getSyntaxOptions(unit.language)).code;
+        }
+        reanalyzeUnit(unit);
+    }
     unit.metadata = unit.metadata || {};
     unit.metadata.lastUpdated = new Date().toISOString();
-    if (update.newTests) {
+    if (newTests) {
         if (!unit.metadata.tests) unit.metadata.tests = [];
-        unit.metadata.tests.push({ id: `test_${Date.now()}`, code: update.newTests, createdAt: new Date().toISOString() });
+        unit.metadata.tests.push({ id: `test_${Date.now()}_${unit.metadata.tests.length}`, code: newTests, createdAt: new Date().toISOString() });
+    }
+    return previous;
+}
+
+// Units a plan's createUnit step adds: everything defined in its code, with the
+// tests and description attached to the unit named in the step
+function createPlanUnits(planId, details) {
+    const originalSource = details.originalSource || `plan/${planId}.js`;
+    const language = details.language || getSourceLanguage(originalSource);
+    const { units, errors } = analyzeCode(details.code, 0, 0, { language });
+    if (errors.length > 0) {
+        throw new Error(`Cannot parse code of ${details.name}: ${errors[0].message}`);
+    }
+    units.forEach(unit => { unit.originalSource = originalSource; });
+    assignStableIds(units, originalSource);
+    const unit = units.find(candidate => candidate.depth === 0 && candidate.name === details.name);
+    if (!unit) {
+        throw new Error(`The code of ${details.name} does not define ${details.name}`);
+    }
+    unit.metadata = unit.metadata || {};
+    if (details.description && !unit.metadata.description) unit.metadata.description = details.description;
+    if (details.tests) {
+        unit.metadata.tests = [{ id: `test_${Date.now()}`, code: details.tests, createdAt: new Date().toISOString() }];
+    }
+    return units;
+}
+
+// Apply every step of a plan in one transaction: if any step fails, nothing changes.
+// Edges of the units whose code changed or that were created are derived with them.
+async function applyPlan(workspace, plan, review) {
+    const tx = createTransaction(workspace);
+    const author = plan.proposer || 'ai';
+    const changedIds = new Set();
+    const created = [];
+    const recodedUnits = [];
+    for (const [index, step] of plan.steps.entries()) {
+        const { details } = step;
+        try {
+            if (step.action === 'updateUnit') {
+                // Each revision is numbered from the stored history
+                if (changedIds.has(details.id)) throw new Error(`Unit ${details.id} is updated by more than one step`);
+                const unit = await getUnit(workspace, details.id);
+                if (!unit) throw new Error(`Unit not found: ${details.id}`);
+                const previous = changeUnit(unit, details.newCode, details.newTests);
+                tx.put([unit]);
+                if (details.newCode) {
+                    await recordRevision(workspace, unit, previous, { author, reason: details.description || plan.description }, tx);
+                    recodedUnits.push(unit);
+                }
+                changedIds.add(unit.id);
+            } else if (step.action === 'createUnit') {
+                const units = createPlanUnits(plan.planId, details);
+                if (await getUnit(workspace, units[0].id)) throw new Error(`Unit already exists: ${units[0].id}`);
+                tx.put(units);
+                created.push(...units.map(unit => unit.id));
+                recodedUnits.push(...units);
+            }
+        } catch (error) {
+            return { success: false, error: `Step ${index + 1} (${step.action}) failed, plan not applied: ${error.message}` };
+        }
     }
-    await putUnitsChunked([unit]); // putUnitsChunked should be imported
-    pendingUpdates.delete(id);
-    return { success: true, message: `Update applied to unit: ${id}`, pendingUpdatesCount: pendingUpdates.size };
+    if (recodedUnits.length > 0) await refreshUnitEdges(workspace, recodedUnits, tx);
+    await setProposalStatus(workspace, plan, 'applied', review, tx);
+    const recodedIds = recodedUnits.map(unit => unit.id).filter(id => changedIds.has(id));
+    const superseded = await supersedeProposals(workspace, recodedIds, { supersededBy: plan.id, notes: `Plan ${plan.planId} was applied first` }, tx);
+    await tx.commit();
+    if (recodedUnits.length > 0) await updateFanMetrics(workspace);
+    return {
+        success: true,
+        message: `Plan ${plan.planId} applied: ${changedIds.size} units updated, ${created.length} created`,
+        updated: [...changedIds],
+        created,
+        superseded,
+        pendingUpdatesCount: await countOpenProposals(workspace)
+    };
 }
 
-async function handleProposePlan(request) {
-  const { plan, planId: providedPlanId, description } = request;
+// Revisions recorded for a unit, oldest first
+async function handleGetHistory(workspace, request) {
+    const { id } = request;
+    if (!id) { return { success: false, error: 'Unit ID is required' }; }
+    const revisions = await getHistory(workspace, id);
+    return { success: true, unitId: id, revisions };
+}
+
+// Line diff between two revisions of a unit (by default the latest and the one before)
+async function handleDiffRevisions(workspace, request) {
+    const { id, from, to } = request;
+    if (!id) { return { success: false, error: 'Unit ID is required' }; }
+    const diff = await diffRevisions(workspace, id, from, to);
+    return { success: true, ...diff };
+}
+
+// Put a unit's code back to an earlier revision
+async function handleRevertUnit(workspace, request) {
+    const { id, revision, reason, author = 'ai' } = request;
+    if (!id || revision === undefined) { return { success: false, error: 'Unit ID and revision are required' }; }
+    const record = await revertUnit(workspace, id, revision, { author, reason });
+    return { success: true, message: `Unit ${id} reverted to revision ${revision}`, revision: record.revision };
+}
+
+// Snapshot of the whole workspace, proposals included
+async function handleExportWorkspace(workspace, request) {
+    const { format = 'json' } = request;
+    const { text, counts } = await exportWorkspace(workspace, { format });
+    return { success: true, format, counts, snapshot: text };
+}
+
+// Restore a snapshot made by exportWorkspace, merging it into the workspace or replacing it
+async function handleImportWorkspace(workspace, request) {
+    const { snapshot, mode = 'merge' } = request;
+    if (!snapshot) { return { success: false, error: 'Snapshot is required' }; }
+    const result = await importWorkspace(workspace, snapshot, { mode });
+    return { success: true, ...result };
+}
+
+// Delete units with their members and nested units. `orphans` says what happens
+// to the units depending on them: 'remove' their edges (the default) or 'flag' them.
+async function handleDeleteUnit(workspace, request) {
+    const { id, ids, orphans = 'remove' } = request;
+    const unitIds = ids || (id ? [id] : []);
+    if (unitIds.length === 0) { return { success: false, error: 'Unit ID is required' }; }
+    const result = await deleteUnits(workspace, unitIds, { orphans });
+    // Open proposals for the deleted units can no longer be applied
+    const tx = createTransaction(workspace);
+    const superseded = await supersedeProposals(workspace, result.deleted, { notes: 'The unit was deleted' }, tx);
+    await tx.commit();
+    return { success: true, message: `Deleted ${result.deleted.length} units`, ...result, supersededProposals: superseded };
+}
+
+// Report inconsistencies between units and the dependencies store, and with
+// `repair: true` fix them
+async function handleCheckIntegrity(workspace, request) {
+    const { repair = false } = request;
+    const result = await checkIntegrity(workspace, { repair });
+    return { success: true, ...result };
+}
+
+// Workspaces, and which one requests without a `workspace` go to
+async function handleListWorkspaces() {
+    const activeId = getActiveWorkspace();
+    const workspaces = await listWorkspaces();
+    return { success: true, workspaces: workspaces.map(workspace => ({ ...workspace, active: workspace.id === activeId })) };
+}
+
+async function handleProposePlan(workspace, request) {
+  const { plan, planId: providedPlanId, description, author = 'ai' } = request;
 
   if (!plan || !Array.isArray(plan)) {
     // Use 'success: false' for consistency with other handlers
@@ -315,38 +779,28 @@ async function handleProposePlan(request) {
   }
 
   const planId = providedPlanId || `plan_${Date.now()}`;
-  const proposedAt = new Date().toISOString();
+  // Plans are stored under their plan ID, which must not replace another proposal
+  if (await getProposal(workspace, planId)) {
+    return { success: false, error: `A proposal with ID ${planId} already exists` };
+  }
 
-  pendingUpdates.set(planId, {
+  await saveProposal(workspace, createProposal({
     type: 'plan', // This type is crucial
     planId,
     description,
     steps: plan,
-    proposedAt,
-  });
+  }, author));
 
   return {
     // Use 'success: true' for consistency
     success: true,
     message: `Plan ${planId} proposed successfully.`,
     planId,
-    pendingUpdatesCount: pendingUpdates.size,
+    pendingUpdatesCount: await countOpenProposals(workspace),
   };
 }
 
-// Helper to get all units (if not exported from db.js)
-async function getAllUnits() {
-    const db = await openDB(); // openDB should be imported
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('codeUnits', 'readonly');
-        const store = tx.objectStore('codeUnits');
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
-}
-
-async function handleImportFromGithub(request) {
+async function handleImportFromGithub(workspace, request) {
     const { repoUrl, filePath, pat } = request;
 
     if (!repoUrl) {
@@ -470,7 +924,7 @@ async function handleImportFromGithub(request) {
         // Ingest all collected JS content
         // The sourceName for ingestCode could be more specific, e.g., repoUrl + (filePath || '')
         const sourceName = `github:${owner}/${repo}` + (filePath ? `/${filePath}` : '');
-        const ingestResult = await ingestCode(allJsContent, sourceName);
+        const ingestResult = await ingestCode(workspace, allJsContent, sourceName);
 
         if (ingestResult.success) {
             unitsCount = ingestResult.unitsCount;
@@ -490,13 +944,51 @@ async function handleImportFromGithub(request) {
     }
 }
 
+// Subscribe a message client to change events (see changeEvents.js). Events of
+// the workspace named in `workspace`, or of every workspace, are posted as
+// { type: 'ai_event', subscriptionId, event } until the client unsubscribes.
+async function subscribeClient(target, subscriptions, data) {
+    const { subscriptionId, types, workspace } = data;
+    if (subscriptionId === undefined) {
+        return { success: false, error: 'Subscription ID is required' };
+    }
+    if (subscriptions.has(subscriptionId)) {
+        return { success: false, error: `Subscription already exists: ${subscriptionId}` };
+    }
+    let workspaceId = null;
+    if (workspace !== undefined) {
+        const found = await findWorkspace(workspace);
+        if (!found) return { success: false, error: `Workspace not found: ${workspace}` };
+        workspaceId = found.id;
+    }
+    try {
+        subscriptions.set(subscriptionId, subscribe(
+            event => target.postMessage({ type: 'ai_event', subscriptionId, event }, '*'),
+            { types, workspace: workspaceId }
+        ));
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, subscriptionId, workspace: workspaceId };
+}
+
 // Set up a message handler for postMessage
 export function setupMessageHandler(target = window) {
+    // Unsubscribe functions of the change event subscriptions, by subscription ID
+    const subscriptions = new Map();
+
     target.addEventListener('message', async (event) => {
         const { data } = event;
         if (data && data.type === 'ai_request') {
             const response = await handleAIRequest(data.request);
             target.postMessage({ type: 'ai_response', requestId: data.requestId, response }, '*');
+        } else if (data && data.type === 'ai_subscribe') {
+            const response = await subscribeClient(target, subscriptions, data);
+            target.postMessage({ type: 'ai_subscribed', subscriptionId: data.subscriptionId, response }, '*');
+        } else if (data && data.type === 'ai_unsubscribe') {
+            const unsubscribe = subscriptions.get(data.subscriptionId);
+            if (unsubscribe) unsubscribe();
+            subscriptions.delete(data.subscriptionId);
         }
     });
 }
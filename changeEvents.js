@@ -0,0 +1,63 @@
+// Change events
+// Every committed write to code units is reported as typed events:
+//   { type: 'unitCreated' | 'unitUpdated' | 'unitDeleted', workspace, ids }
+//   { type: 'clustersChanged', workspace, clusterIds }
+// where `workspace` is the ID of the workspace written to, and clustersChanged
+// lists the clusters that gained or lost units or whose records (see
+// clusters.js) were written. db.js publishes them once the
+// write has landed. Subscribers in the same tab get them at once; other tabs
+// get them over a BroadcastChannel, marked `remote: true`.
+
+const CHANGE_TYPES = ['unitCreated', 'unitUpdated', 'unitDeleted', 'clustersChanged'];
+const CHANNEL_NAME = 'code-component-changes';
+
+const subscriptions = new Set();
+let channel = null;
+
+function deliver(event) {
+    subscriptions.forEach(subscription => {
+        if (subscription.types && !subscription.types.includes(event.type)) return;
+        if (subscription.workspace && subscription.workspace !== event.workspace) return;
+        try {
+            subscription.listener(event);
+        } catch (error) {
+            console.error('Error in change listener:', error);
+        }
+    });
+}
+
+// The channel to other tabs, opened on first use. Where there is none (or in
+// Node, where it would keep the process alive) events stay in this context.
+function getChannel() {
+    if (channel || typeof BroadcastChannel === 'undefined') return channel;
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (message) => deliver({ ...message.data, remote: true });
+    if (channel.unref) channel.unref();
+    return channel;
+}
+
+// Call `listener` with every change event. Options: `types`, the event types
+// to receive (default all), and `workspace`, a workspace ID to receive events
+// of (default every workspace). Returns a function ending the subscription.
+function subscribe(listener, options = {}) {
+    const { types = null, workspace = null } = options;
+    if (typeof listener !== 'function') throw new Error('Change listener must be a function');
+    const unknown = (types || []).filter(type => !CHANGE_TYPES.includes(type));
+    if (unknown.length > 0) throw new Error(`Unknown change event type: ${unknown.join(', ')}`);
+
+    const subscription = { listener, types, workspace };
+    subscriptions.add(subscription);
+    getChannel();
+    return () => subscriptions.delete(subscription);
+}
+
+// Send events to subscribers here and in other tabs
+function publishChanges(events) {
+    const broadcast = getChannel();
+    events.forEach(event => {
+        deliver(event);
+        if (broadcast) broadcast.postMessage(event);
+    });
+}
+
+export { CHANGE_TYPES, subscribe, publishChanges };
\ No newline at end of file
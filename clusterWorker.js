@@ -0,0 +1,205 @@
+// Clustering algorithm, run on the worker pool by codeClusterer.js
+// Units are grouped by name prefix, and clusters larger than maxClusterSize are
+// split along their dependency connections.
+
+import { serveWorkerJobs } from './workerUtil.js';
+
+// `units` carry only what the algorithm needs:
+// { id, name, parentId, staticDependencies, dynamicRelationships, codeSize }.
+// Returns the clusters ({ name, units, totalSize, rationale } by cluster ID,
+// listing owning units only) and the cluster ID of every unit; members (e.g.
+// class methods) are assigned the cluster of the unit that owns them.
+function computeClusters(units, maxClusterSize = 5000, reportProgress = () => {}) {
+    // Members are clustered together with the unit that owns them,
+    // so only owning units take part in the graph
+    const unitsById = {};
+    const unitsByName = {};
+    units.forEach(unit => {
+        unitsById[unit.id] = unit;
+        if (!unitsByName[unit.name]) unitsByName[unit.name] = unit;
+    });
+
+    const getOwnerId = (unitId) => {
+        let current = unitsById[unitId];
+        while (current && current.parentId && unitsById[current.parentId]) {
+            current = unitsById[current.parentId];
+        }
+        return current ? current.id : unitId;
+    };
+
+    const ownerUnits = units.filter(unit => getOwnerId(unit.id) === unit.id);
+
+    // Build a dependency graph
+    const graph = {};
+
+    ownerUnits.forEach(unit => {
+        graph[unit.id] = {
+            unit,
+            outgoing: [],
+            incoming: [],
+            codeSize: unit.codeSize || 0
+        };
+    });
+
+    // Fill in dependencies in both directions, attributing members' edges to their owners
+    const addEdge = (sourceId, targetId) => {
+        if (!targetId || targetId === sourceId || !graph[targetId] || !graph[sourceId]) return;
+        graph[targetId].incoming.push(sourceId);
+        if (!graph[sourceId].outgoing.includes(targetId)) {
+            graph[sourceId].outgoing.push(targetId);
+        }
+    };
+
+    units.forEach(unit => {
+        const sourceId = getOwnerId(unit.id);
+
+        (unit.staticDependencies || []).forEach(depName => {
+            // Find the target unit by name
+            const targetUnit = unitsByName[depName];
+            addEdge(sourceId, targetUnit && getOwnerId(targetUnit.id));
+        });
+
+        // Also include dynamic relationships
+        (unit.dynamicRelationships || []).forEach(rel => {
+            addEdge(sourceId, rel.targetId && getOwnerId(rel.targetId));
+        });
+    });
+
+    reportProgress({ stage: 'graph', percent: 20 });
+
+    // Group units by prefix as an initial clustering
+    const prefixClusters = {};
+
+    ownerUnits.forEach(unit => {
+        // Extract prefix (e.g., "utils." from "utils.formatDate")
+        const dotIndex = unit.name.indexOf('.');
+        const prefix = dotIndex > 0 ? unit.name.substring(0, dotIndex) : 'default';
+
+        if (!prefixClusters[prefix]) {
+            prefixClusters[prefix] = [];
+        }
+
+        prefixClusters[prefix].push(unit.id);
+    });
+
+    // Merge small prefix clusters and split large ones to maintain size constraint
+    const finalClusters = {};
+    let nextClusterId = 1;
+    const prefixEntries = Object.entries(prefixClusters);
+
+    prefixEntries.forEach(([prefix, clusterUnits], prefixIndex) => {
+        // Calculate total code size
+        const totalSize = clusterUnits.reduce((sum, unitId) =>
+            sum + (graph[unitId]?.codeSize || 0), 0);
+
+        if (totalSize <= maxClusterSize) {
+            // Keep small clusters as-is
+            const clusterId = `cluster_${nextClusterId++}`;
+            finalClusters[clusterId] = {
+                name: prefix,
+                units: clusterUnits,
+                totalSize,
+                rationale: prefix === 'default' ? 'Units without a name prefix' : `Units named ${prefix}.*`
+            };
+        } else {
+            // Split large clusters based on connectivity
+            // Use a simple greedy algorithm:
+            // 1. Start with most connected node
+            // 2. Add its neighbors until size limit
+            // 3. Repeat with remaining nodes
+
+            const remainingUnits = [...clusterUnits];
+
+            while (remainingUnits.length > 0) {
+                // Find unit with most connections to others in this cluster
+                remainingUnits.sort((a, b) => {
+                    const aConnections = graph[a].outgoing.filter(id => remainingUnits.includes(id)).length +
+                                        graph[a].incoming.filter(id => remainingUnits.includes(id)).length;
+                    const bConnections = graph[b].outgoing.filter(id => remainingUnits.includes(id)).length +
+                                        graph[b].incoming.filter(id => remainingUnits.includes(id)).length;
+                    return bConnections - aConnections;
+                });
+
+                // Start a new cluster with this unit
+                const startUnit = remainingUnits.shift();
+                const currentCluster = [startUnit];
+                let currentSize = graph[startUnit].codeSize;
+
+                // Find connected units to add
+                const candidates = [
+                    ...graph[startUnit].outgoing.filter(id => remainingUnits.includes(id)),
+                    ...graph[startUnit].incoming.filter(id => remainingUnits.includes(id))
+                ];
+
+                while (candidates.length > 0 && currentSize < maxClusterSize) {
+                    const nextUnit = candidates.shift();
+                    if (!nextUnit || !remainingUnits.includes(nextUnit)) continue;
+
+                    // Add unit to current cluster
+                    currentCluster.push(nextUnit);
+                    currentSize += graph[nextUnit].codeSize;
+
+                    // Remove from remaining units
+                    const index = remainingUnits.indexOf(nextUnit);
+                    if (index >= 0) {
+                        remainingUnits.splice(index, 1);
+                    }
+
+                    // Add its connections as candidates
+                    const newConnections = [
+                        ...graph[nextUnit].outgoing.filter(id =>
+                            remainingUnits.includes(id) && !candidates.includes(id)),
+                        ...graph[nextUnit].incoming.filter(id =>
+                            remainingUnits.includes(id) && !candidates.includes(id))
+                    ];
+
+                    candidates.push(...newConnections);
+                }
+
+                // Save the cluster
+                const clusterId = `cluster_${nextClusterId++}`;
+                finalClusters[clusterId] = {
+                    name: `${prefix}_${clusterId}`,
+                    units: currentCluster,
+                    totalSize: currentSize,
+                    rationale: `Connected units split off the ${prefix} group, which is larger than ${maxClusterSize} characters`
+                };
+            }
+        }
+
+        reportProgress({
+            stage: 'clusters',
+            percent: 20 + Math.round(((prefixIndex + 1) / prefixEntries.length) * 75)
+        });
+    });
+
+    // Members follow their owner into its cluster
+    const clusterByOwner = {};
+
+    Object.entries(finalClusters).forEach(([clusterId, cluster]) => {
+        cluster.units.forEach(unitId => {
+            clusterByOwner[unitId] = clusterId;
+        });
+    });
+
+    const assignments = {};
+    units.forEach(unit => {
+        const clusterId = clusterByOwner[getOwnerId(unit.id)];
+        if (clusterId) assignments[unit.id] = clusterId;
+    });
+
+    return { clusters: finalClusters, assignments };
+}
+
+// A pool job: cluster the units sent by clusterUnits()
+function handleJob({ units, maxClusterSize }, reportProgress) {
+    return computeClusters(units, maxClusterSize, reportProgress);
+}
+
+// Only serve jobs when running as a worker, so the algorithm can also be
+// imported on the main thread
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    serveWorkerJobs(handleJob);
+}
+
+export { computeClusters, handleJob };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// Clusters
+// Every cluster units are assigned to (`unit.clusterId`) has a record in the
+// `clusters` store:
+//   { id, name, generatedName, description, rationale, size, memberCount,
+//     runId, owner, tags, createdAt, updatedAt }
+// `generatedName` and `rationale` are what the clustering run that formed it
+// (`runId`) said about it, and `size` is the code size of its units then.
+// `name`, `description`, `owner` and `tags` can be edited. A later run carries
+// a record over, with its ID, edits and `createdAt`, to the cluster it forms
+// from mostly the same units.
+// `memberCount` is read from the units whenever a cluster is looked up.
+
+import { getUnit, getKeysByIndex, getUnitsByIndex, getAllUnits, createTransaction } from './db.js';
+
+const CLUSTERS_STORE = 'clusters';
+const EDITABLE_FIELDS = ['name', 'description', 'owner', 'tags'];
+
+// Unit IDs by cluster ID, from { unitId: clusterId } assignments
+function groupMembers(assignments) {
+    const members = new Map();
+    Object.entries(assignments).forEach(([unitId, clusterId]) => {
+        if (!members.has(clusterId)) members.set(clusterId, new Set());
+        members.get(clusterId).add(unitId);
+    });
+    return members;
+}
+
+// Pair each new cluster with an earlier cluster that has at least half of the
+// units of the smaller of the two, best matches (most units in common for their
+// combined size) first, each earlier cluster at most once. A cluster that grew
+// or shrank still matches; one that only took a few units of another doesn't.
+// Returns new cluster ID -> earlier cluster ID.
+function matchClusters(assignments, previousAssignments) {
+    const previousMembers = groupMembers(previousAssignments);
+    const candidates = [];
+    groupMembers(assignments).forEach((members, clusterId) => {
+        previousMembers.forEach((previous, previousId) => {
+            let shared = 0;
+            members.forEach(unitId => {
+                if (previous.has(unitId)) shared++;
+            });
+            if (shared * 2 < Math.min(members.size, previous.size)) return;
+            const overlap = shared / (members.size + previous.size - shared);
+            candidates.push({ clusterId, previousId, overlap });
+        });
+    });
+    const matches = new Map();
+    const taken = new Set();
+    candidates
+        .sort((a, b) => b.overlap - a.overlap)
+        .forEach(({ clusterId, previousId }) => {
+            if (matches.has(clusterId) || taken.has(previousId)) return;
+            matches.set(clusterId, previousId);
+            taken.add(previousId);
+        });
+    return matches;
+}
+
+// The records of the clusters a run formed. `clusters` and `assignments` are
+// what computeClusters() returns; `previous` are the records of earlier runs and
+// `previousAssignments` the { unitId: clusterId } of units before this run.
+// A cluster matched to an earlier one takes over its record's ID, so returns
+// the records and the assignments rewritten to their IDs.
+function createClusterRecords(clusters, assignments, runId, previous = [], previousAssignments = {}) {
+    const now = new Date().toISOString();
+    const previousById = new Map(previous.map(cluster => [cluster.id, cluster]));
+    const matches = matchClusters(assignments, previousAssignments);
+    // Clusters without an earlier record get IDs none of the kept records use
+    const ids = new Map();
+    const kept = new Map();
+    const usedIds = new Set();
+    matches.forEach((previousId, clusterId) => {
+        if (!previousById.has(previousId)) return;
+        ids.set(clusterId, previousId);
+        kept.set(clusterId, previousById.get(previousId));
+        usedIds.add(previousId);
+    });
+    let nextId = 1;
+    Object.keys(clusters).forEach(clusterId => {
+        if (ids.has(clusterId)) return;
+        while (usedIds.has(`cluster_${nextId}`)) nextId++;
+        ids.set(clusterId, `cluster_${nextId}`);
+        usedIds.add(`cluster_${nextId}`);
+    });
+
+    const recordAssignments = {};
+    const memberCounts = {};
+    Object.entries(assignments).forEach(([unitId, clusterId]) => {
+        const id = ids.get(clusterId);
+        recordAssignments[unitId] = id;
+        memberCounts[id] = (memberCounts[id] || 0) + 1;
+    });
+    const records = Object.entries(clusters).map(([clusterId, cluster]) => {
+        const id = ids.get(clusterId);
+        const edited = kept.get(clusterId) || {};
+        return {
+            id,
+            // A name nobody changed follows the generated one
+            name: edited.name && edited.name !== edited.generatedName ? edited.name : cluster.name,
+            generatedName: cluster.name,
+            description: edited.description || '',
+            rationale: cluster.rationale || null,
+            size: cluster.totalSize,
+            memberCount: memberCounts[id] || 0,
+            runId,
+            owner: edited.owner || null,
+            tags: edited.tags || [],
+            createdAt: edited.createdAt || now,
+            updatedAt: now
+        };
+    });
+    return { records, assignments: recordAssignments };
+}
+
+async function withMemberCount(workspace, cluster) {
+    const memberIds = await getKeysByIndex(workspace, 'clusterId', cluster.id);
+    return { ...cluster, memberCount: memberIds.length };
+}
+
+async function getCluster(workspace, id) {
+    const cluster = await getUnit(workspace, id, CLUSTERS_STORE);
+    return cluster ? withMemberCount(workspace, cluster) : null;
+}
+
+// Clusters by name, optionally only those of an `owner` or with a `tag`
+async function listClusters(workspace, filter = {}) {
+    const { owner, tag } = filter;
+    let clusters;
+    if (tag !== undefined) {
+        clusters = await getUnitsByIndex(workspace, 'tags', tag, CLUSTERS_STORE);
+    } else if (owner !== undefined) {
+        clusters = await getUnitsByIndex(workspace, 'owner', owner, CLUSTERS_STORE);
+    } else {
+        clusters = await getAllUnits(workspace, CLUSTERS_STORE);
+    }
+    clusters = clusters.filter(cluster => owner === undefined || cluster.owner === owner);
+    return Promise.all(clusters
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(cluster => withMemberCount(workspace, cluster)));
+}
+
+function checkChanges(changes) {
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) throw new Error(`Cluster fields that cannot be changed: ${unknown.join(', ')}`);
+    if ('name' in changes && (typeof changes.name !== 'string' || !changes.name.trim())) {
+        throw new Error('Cluster name must be a non-empty string');
+    }
+    if ('description' in changes && typeof changes.description !== 'string') {
+        throw new Error('Cluster description must be a string');
+    }
+    if ('owner' in changes && changes.owner !== null && typeof changes.owner !== 'string') {
+        throw new Error('Cluster owner must be a string or null');
+    }
+    if ('tags' in changes && (!Array.isArray(changes.tags) || changes.tags.some(tag => typeof tag !== 'string'))) {
+        throw new Error('Cluster tags must be a list of strings');
+    }
+}
+
+// Change the editable fields of a cluster. Returns the updated cluster.
+async function updateCluster(workspace, id, changes) {
+    checkChanges(changes);
+    const cluster = await getUnit(workspace, id, CLUSTERS_STORE);
+    if (!cluster) throw new Error(`Cluster not found: ${id}`);
+    Object.assign(cluster, changes, { updatedAt: new Date().toISOString() });
+    if (changes.name) cluster.name = changes.name.trim();
+    if (changes.tags) cluster.tags = [...new Set(changes.tags)];
+    await createTransaction(workspace).put([cluster], CLUSTERS_STORE).commit();
+    return withMemberCount(workspace, cluster);
+}
+
+export {
+    CLUSTERS_STORE,
+    createClusterRecords,
+    getCluster,
+    listClusters,
+    updateCluster
+};
\ No newline at end of file
@@ -1,112 +1,182 @@
-import { putUnitsChunked } from './db.js';
-import { runInWorker } from './workerUtil.js';
+import { getAllUnits, createTransaction } from './db.js';
+import { createWorkerPool } from './workerUtil.js';
+import { resolveModuleGraph } from './moduleGraph.js';
+import { splitAtStatementBoundaries } from './jsParser.js';
+import { linkDependencies } from './staticAnalyzerWorker.js';
+import { assignStableIds, reconcileUnits } from './unitIdentity.js';
+import { updateFanMetrics } from './codeMetrics.js';
+import { getSourceLanguage } from './sourceTransform.js';
+import { recordReimport } from './unitHistory.js';
+import { getDynamicEdges } from './dependencyIntegrity.js';
 
-// Helper function to generate a content string for the static analyzer worker
-function getStaticAnalyzerWorkerCode() {
-    return `
-        // Static analyzer worker code
-        ${findMatchingBracket.toString()}
-        ${extractFunction.toString()}
-        ${analyzeCode.toString()}
+// The analyzer runs in a pool of module workers so it can import the parser
+const analyzerPool = createWorkerPool(new URL('./staticAnalyzerWorker.js', import.meta.url));
 
-        self.onmessage = (event) => {
-            const { codeChunk, lineOffset, originalSource } = event.data;
-            const result = analyzeCode(codeChunk, lineOffset);
-            
-            // Set the original source for all units
-            result.units.forEach(unit => {
-                unit.originalSource = originalSource || 'unknown';
-            });
-            
-            // Report progress
-            self.postMessage({ 
-                type: 'progress', 
-                processedLines: (codeChunk.match(/\\n/g) || []).length + 1 
-            });
-
-            // Send results back
-            self.postMessage({ type: 'complete', units: result.units, dependencies: result.dependencies });
-        };
-    `;
-}
-
-// Process code in chunks using web workers
-async function processCodeChunks(sourceCode, originalSource, chunkSize = 10000, onProgress) {
-    // Split the code into manageable chunks
-    const lines = sourceCode.split('\n');
-    const chunks = [];
+// Process code in chunks on the worker pool.
+// With topLevelOnly, units nested in other units (class members, inner
+// functions) are dropped; their calls are already counted for the outer unit.
+async function processCodeChunks(sourceCode, originalSource, options = {}) {
+    const { chunkSize = 10000, onProgress, topLevelOnly = false, signal, language = 'js' } = options;
     
-    for (let i = 0; i < lines.length; i += chunkSize) {
-        chunks.push({
-            code: lines.slice(i, i + chunkSize).join('\n'),
-            lineOffset: i
-        });
-    }
+    // Split the code into manageable chunks, cutting only between top-level
+    // statements so no function or class is divided across two chunks.
+    // JSX text isn't made of JavaScript tokens, so JSX sources stay in one piece.
+    const totalLines = (sourceCode.match(/\n/g) || []).length + 1;
+    const hasJsx = language === 'jsx' || language === 'tsx';
+    let lineOffset = 0;
+    const ranges = hasJsx
+        ? [{ start: 0, end: sourceCode.length }]
+        : splitAtStatementBoundaries(sourceCode, chunkSize);
+    const chunks = ranges.map(({ start, end }) => {
+        const code = sourceCode.slice(start, end);
+        const chunk = { code, lineOffset, charOffset: start };
+        lineOffset += (code.match(/\n/g) || []).length;
+        return chunk;
+    });
     
-    const allUnits = [];
-    const allDependencies = [];
     let processedLines = 0;
+    let processedChunks = 0;
     
-    // Process each chunk with a worker
-    for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        
-        try {
-            const workerCode = getStaticAnalyzerWorkerCode();
-            const result = await runInWorker(workerCode, {
-                codeChunk: chunk.code,
-                lineOffset: chunk.lineOffset,
-                originalSource
-            });
-            
-            if (result.type === 'complete') {
-                allUnits.push(...result.units);
-                allDependencies.push(...result.dependencies);
-            } else if (result.type === 'progress') {
-                processedLines += result.processedLines;
+    // The remaining chunks are cancelled as soon as one fails or the caller aborts
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort, { once: true });
+    }
+    
+    let results;
+    try {
+        results = await Promise.all(chunks.map(chunk => analyzerPool.run({
+            codeChunk: chunk.code,
+            lineOffset: chunk.lineOffset,
+            charOffset: chunk.charOffset,
+            originalSource,
+            language
+        }, {
+            signal: controller.signal,
+            onProgress: (progress) => {
+                processedLines += progress.processedLines;
+                processedChunks++;
                 if (onProgress) {
                     onProgress({
                         processedLines,
-                        totalLines: lines.length,
-                        processedChunks: i + 1,
+                        totalLines,
+                        processedChunks,
                         totalChunks: chunks.length
                     });
                 }
             }
-        } catch (error) {
-            console.error(`Error processing chunk ${i}:`, error);
-        }
+        }).catch(error => {
+            controller.abort();
+            throw error;
+        })));
+    } finally {
+        if (signal) signal.removeEventListener('abort', abort);
     }
     
-    return { units: allUnits, dependencies: allDependencies };
+    // Results arrive in chunk order, so units stay in source order
+    const allUnits = results.flatMap(result => result.units);
+    const allErrors = results.flatMap(result => result.errors || []);
+    
+    const units = topLevelOnly ? allUnits.filter(unit => unit.depth === 0) : allUnits;
+    
+    // Positional IDs from the workers become stable, source-qualified ones
+    assignStableIds(units, originalSource);
+    
+    // Merge pass: each worker only links units within its own chunk, so resolve
+    // dependencies again across every unit of the source
+    const dependencies = linkDependencies(units);
+    
+    return { units, dependencies, errors: allErrors };
 }
 
-// Main function to ingest code
-async function ingestCode(sourceCode, originalSource, onProgress) {
+// Main function to ingest code into a workspace.
+// When ingesting many files in a row, pass `{ resolveModules: false }` and call
+// resolveModuleGraph() and updateFanMetrics() once at the end instead of after every file.
+// Pass `{ topLevelOnly: true }` to store only top-level units instead of the full tree,
+// and `{ signal }` to cancel the analysis; nothing is stored if it is aborted.
+// `{ language }` ('js', 'jsx', 'ts' or 'tsx') defaults to what the source's extension says.
+async function ingestCode(workspace, sourceCode, originalSource, onProgress, options = {}) {
+    const { resolveModules = true, topLevelOnly = false, signal } = options;
+    const language = options.language || getSourceLanguage(originalSource);
+    
     try {
         // Process the code in chunks
-        const { units, dependencies } = await processCodeChunks(
-            sourceCode, 
-            originalSource, 
-            10000, 
-            onProgress
-        );
+        const { units, dependencies, errors } = await processCodeChunks(sourceCode, originalSource, {
+            onProgress,
+            topLevelOnly,
+            signal,
+            language
+        });
+        
+        // Reconcile with what was stored for this source by an earlier import
+        const allStoredUnits = await getAllUnits(workspace);
+        const storedUnits = allStoredUnits.filter(unit => unit.originalSource === originalSource);
+        const otherUnits = allStoredUnits.filter(unit => unit.originalSource !== originalSource);
+        const { changes, idRemap } = reconcileUnits(units, storedUnits);
+        const staleIds = new Set([...changes.removed, ...idRemap.keys()]);
+        
+        // Everything the source's new version changes is written in one
+        // transaction, so a failure leaves the previous version intact
+        const tx = createTransaction(workspace);
+        tx.delete([...staleIds]);
+        
+        // Outgoing edges of this source are rebuilt below; edges into units that
+        // are gone (or now live under another ID) are dropped
+        const storedIds = new Set(storedUnits.map(unit => unit.id));
+        const staleEdges = (await getAllUnits(workspace, 'dependencies'))
+            .filter(dep => storedIds.has(dep.sourceId) || staleIds.has(dep.targetId));
+        tx.delete(staleEdges.map(dep => dep.id), 'dependencies');
         
         // Store units and dependencies in the database
-        if (units.length > 0) {
-            await putUnitsChunked(units);
+        tx.put(units);
+        await recordReimport(workspace, units, storedUnits, changes, idRemap, originalSource, tx);
+        
+        // Point runtime relationships recorded by other units at the moved units' new IDs.
+        // This source's units are already queued, and are updated in place.
+        let referencingUnits = [];
+        if (idRemap.size > 0) {
+            referencingUnits = [...units, ...otherUnits].filter(unit =>
+                (unit.dynamicRelationships || []).some(rel => idRemap.has(rel.targetId)));
+            referencingUnits.forEach(unit => {
+                unit.dynamicRelationships.forEach(rel => {
+                    if (idRemap.has(rel.targetId)) rel.targetId = idRemap.get(rel.targetId);
+                });
+            });
+            tx.put(referencingUnits.filter(unit => unit.originalSource !== originalSource));
         }
         
-        if (dependencies.length > 0) {
-            await putUnitsChunked(dependencies, 'dependencies');
+        // Runtime relationships of this source's units, and those now pointing at
+        // its moved units, get their `dynamic` edges back
+        const unitIds = new Set([...otherUnits, ...units].map(unit => unit.id));
+        const dynamicEdges = getDynamicEdges([...new Set([...units, ...referencingUnits])], unitIds);
+        tx.put([...dependencies, ...dynamicEdges], 'dependencies');
+        await tx.commit();
+        
+        // Link imports to exports across every source ingested so far, then
+        // recount fan-in/fan-out now that the edges are final
+        const moduleGraph = resolveModules
+            ? await resolveModuleGraph(workspace)
+            : { edgesCount: 0, unresolvedImports: [] };
+        if (resolveModules) {
+            await updateFanMetrics(workspace);
         }
         
         return { 
             success: true, 
             unitsCount: units.length, 
-            dependenciesCount: dependencies.length 
+            dependenciesCount: dependencies.length,
+            crossFileDependenciesCount: moduleGraph.edgesCount,
+            unresolvedImports: moduleGraph.unresolvedImports,
+            language,
+            changes,
+            errors
         };
     } catch (error) {
+        if (error.name === 'AbortError') {
+            return { success: false, aborted: true, error: 'Import cancelled' };
+        }
         console.error('Error ingesting code:', error);
         return { success: false, error: error.message };
     }
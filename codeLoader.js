@@ -1,7 +1,40 @@
-import { getUnit, getUnitsChunked } from './db.js';
+import { getUnit, getUnitsChunked, getUnitsByIndex, getDependenciesBySource } from './db.js';
+import { getDefinedNames } from './moduleGraph.js';
+import { parse, forEachChild } from './jsParser.js';
 
-// Resolve all dependencies for a set of entry point units
-async function resolveDependencies(entryPointIds) {
+// Code units can be run in two ways:
+// - concatenated (the default): the units' code is joined in dependency order
+//   and run as one function body, in sloppy mode.
+// - as modules (see loadModules): every unit becomes an ES module of its own,
+//   loaded from a Blob URL, importing the names it uses from the modules of the
+//   units that define them. Code runs in strict mode and may use module syntax
+//   such as top-level `await`.
+const LOAD_MODES = ['module', 'concatenate'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const LOADS_KEY = 'codeLoader.loads';
+
+// Edges of a unit's code: its own and those of the units nested in it, which
+// are loaded as part of it. `sourceUnits` caches units by source.
+async function getCodeDependencies(workspace, unit, sourceUnits = new Map()) {
+    if (!sourceUnits.has(unit.originalSource)) {
+        sourceUnits.set(unit.originalSource, unit.originalSource ? await getUnitsByIndex(workspace, 'originalSource', unit.originalSource) : []);
+    }
+    const nestedIds = new Set([unit.id]);
+    // Units come in source order, so a nested unit follows its parent
+    sourceUnits.get(unit.originalSource)
+        .sort((a, b) => (a.start || 0) - (b.start || 0))
+        .forEach(candidate => {
+            if (nestedIds.has(candidate.parentId)) nestedIds.add(candidate.id);
+        });
+    const dependencies = [];
+    for (const id of nestedIds) {
+        dependencies.push(...(await getDependenciesBySource(workspace, id)).filter(dep => !nestedIds.has(dep.targetId)));
+    }
+    return dependencies;
+}
+
+// Resolve all dependencies for a set of entry point units of a workspace
+async function resolveDependencies(workspace, entryPointIds) {
     if (!entryPointIds || !entryPointIds.length) {
         throw new Error('No entry points provided');
     }
@@ -10,6 +43,9 @@ async function resolveDependencies(entryPointIds) {
     const requiredUnits = new Set(entryPointIds);
     // Set to track processed units
     const processedUnits = new Set();
+    // Members (e.g. class methods) whose code is loaded as part of their parent
+    const ownedUnits = new Set();
+    const sourceUnits = new Map();
     
     // Process units until no new dependencies are found
     while (true) {
@@ -20,25 +56,29 @@ async function resolveDependencies(entryPointIds) {
         if (unprocessedIds.length === 0) break;
         
         // Get the units from the database
-        const units = await getUnitsChunked(unprocessedIds);
+        const units = await getUnitsChunked(workspace, unprocessedIds);
         
         // Mark these units as processed
         unprocessedIds.forEach(id => processedUnits.add(id));
         
         // Add static dependencies to the required units set
-        units.forEach(unit => {
-            if (unit.staticDependencies && Array.isArray(unit.staticDependencies)) {
-                // For each dependency name, try to find the corresponding unit
-                unit.staticDependencies.forEach(depName => {
-                    // This is a simplified approach - in reality, you'd need a more robust
-                    // way to map dependency names to unit IDs
-                    const matchingUnit = units.find(u => u.name === depName);
-                    if (matchingUnit) {
-                        requiredUnits.add(matchingUnit.id);
-                    }
-                });
+        for (const unit of units) {
+            if (!unit) continue;
+            
+            // A member cannot be loaded on its own, so load the unit that owns it
+            if (unit.parentId) {
+                ownedUnits.add(unit.id);
+                requiredUnits.add(unit.parentId);
             }
             
+            // Follow the dependency edges resolved at ingestion, which also lead to
+            // the top-level variables and statements a unit uses. Runtime edges
+            // are weighed below, from the unit's own record.
+            const dependencies = await getCodeDependencies(workspace, unit, sourceUnits);
+            dependencies
+                .filter(dep => dep.type !== 'dynamic')
+                .forEach(dep => requiredUnits.add(dep.targetId));
+            
             // Also add strong dynamic dependencies
             if (unit.dynamicRelationships && Array.isArray(unit.dynamicRelationships)) {
                 unit.dynamicRelationships
@@ -49,16 +89,28 @@ async function resolveDependencies(entryPointIds) {
                         }
                     });
             }
-        });
+        }
     }
     
-    return [...requiredUnits];
+    return [...requiredUnits].filter(id => !ownedUnits.has(id));
+}
+
+// Whether a unit defines `name`: variables by any name they declare, statements and types never
+function definesName(unit, name) {
+    return getDefinedNames(unit).includes(name);
 }
 
-// Perform a topological sort of the units
-async function topologicalSort(unitIds) {
+// The code of a unit that runs: TypeScript and JSX units run as their compiled
+// JavaScript; type units compile to nothing
+function getRunnableCode(unit) {
+    return unit.compiledCode !== undefined ? unit.compiledCode : unit.code;
+}
+
+// Perform a topological sort of the units, dependencies first: variables and
+// statements run as they are loaded, so what they use must already be defined
+async function topologicalSort(workspace, unitIds) {
     // Get all units
-    const units = await getUnitsChunked(unitIds);
+    const units = (await getUnitsChunked(workspace, unitIds)).filter(Boolean);
     
     // Build a dependency graph
     const graph = {};
@@ -73,8 +125,8 @@ async function topologicalSort(unitIds) {
     units.forEach(unit => {
         if (unit.staticDependencies && Array.isArray(unit.staticDependencies)) {
             unit.staticDependencies.forEach(depName => {
-                const targetUnit = units.find(u => u.name === depName);
-                if (targetUnit && graph[targetUnit.id]) {
+                const targetUnit = units.find(u => definesName(u, depName));
+                if (targetUnit && targetUnit !== unit && graph[targetUnit.id]) {
                     graph[unit.id].dependencies.push(targetUnit.id);
                 }
             });
@@ -103,7 +155,7 @@ async function topologicalSort(unitIds) {
         
         temp.delete(nodeId);
         perm.add(nodeId);
-        result.unshift(nodeId);
+        result.push(nodeId);
     };
     
     // Perform topological sort
@@ -121,8 +173,8 @@ async function topologicalSort(unitIds) {
 }
 
 // Concatenate code units in the correct order
-async function concatenateCode(unitIdsInOrder) {
-    const units = await getUnitsChunked(unitIdsInOrder);
+async function concatenateCode(workspace, unitIdsInOrder) {
+    const units = await getUnitsChunked(workspace, unitIdsInOrder);
     
     // Create a map for quick lookup
     const unitsMap = {};
@@ -130,14 +182,15 @@ async function concatenateCode(unitIdsInOrder) {
         unitsMap[unit.id] = unit;
     });
     
-    // Concatenate code in order
+    // Concatenate code in order, leaving out units without code to run
     let combinedCode = '';
     
     unitIdsInOrder.forEach(id => {
         const unit = unitsMap[id];
-        if (unit && unit.code) {
+        const code = unit && getRunnableCode(unit);
+        if (code) {
             combinedCode += `\n\n// ${unit.name} (${unit.id}) from ${unit.originalSource}\n`;
-            combinedCode += unit.code;
+            combinedCode += code;
         }
     });
     
@@ -167,17 +220,363 @@ function executeCode(codeString, context = {}) {
     }
 }
 
-// Main function to load and execute code units
-async function loadAndExecute(entryPointIds, context = {}) {
+// Names a unit's module exports: the names it defines, and `default` for a
+// definition that was its source's default export
+function getModuleExports(unit) {
+    if (unit.type === 'import' || unit.type === 'export') return [];
+    const names = getDefinedNames(unit).filter(name => IDENTIFIER_PATTERN.test(name) && name !== 'default');
+    const exports = names.map(name => ({ name, as: name }));
+    if (names.length === 1 && (unit.exportedAs || []).includes('default')) {
+        exports.push({ name: names[0], as: 'default' });
+    }
+    return exports;
+}
+
+// The unit among `targets` that exports `name`, preferably one from `source`
+function findExporter(targets, name, source) {
+    const exporters = targets.filter(unit => (unit.exportedAs || []).includes(name) || definesName(unit, name));
+    return exporters.find(unit => unit.originalSource === source) || exporters[0] || null;
+}
+
+// The loaded unit defining `name` for `unit`, preferably one from its own source
+function findDefiner(units, unit, name) {
+    const definers = units.filter(candidate => candidate !== unit && definesName(candidate, name));
+    return definers.find(candidate => candidate.originalSource === unit.originalSource) || definers[0] || null;
+}
+
+// The names each unit uses from other loaded units, by unit ID, as
+// [{ local, targetId, name, member }]: `local` (or `local.member`, for a
+// namespace import) is `name` of the unit `targetId`. Import declarations of a
+// unit's source are followed along its dependency edges; any other name comes
+// from the loaded unit defining it, as concatenated code would find it.
+async function resolveBindings(workspace, units) {
+    const unitsById = new Map(units.map(unit => [unit.id, unit]));
+    const specifiersBySource = new Map();
+    const sourceUnits = new Map();
+    const bindings = new Map();
+    for (const unit of units) {
+        const targets = (await getCodeDependencies(workspace, unit, sourceUnits))
+            .filter(dep => dep.type !== 'dynamic' && unitsById.has(dep.targetId))
+            .map(dep => unitsById.get(dep.targetId));
+        if (!specifiersBySource.has(unit.originalSource)) {
+            specifiersBySource.set(unit.originalSource, sourceUnits.get(unit.originalSource)
+                .filter(candidate => candidate.type === 'import')
+                .flatMap(importUnit => (importUnit.specifiers || []).map(spec => ({ ...spec, resolvedSource: importUnit.resolvedSource }))));
+        }
+
+        const unitBindings = new Map(); // `local` or `local.member` -> binding
+        (unit.staticDependencies || []).forEach(dependency => {
+            const [local, member] = dependency.split('.');
+            if (!IDENTIFIER_PATTERN.test(local) || definesName(unit, local)) return;
+            const spec = specifiersBySource.get(unit.originalSource).find(candidate => candidate.local === local);
+            let binding = null;
+            if (spec && (spec.imported !== '*' || IDENTIFIER_PATTERN.test(member || ''))) {
+                const imported = spec.imported === '*' ? member : spec.imported;
+                const target = findExporter(targets, imported, spec.resolvedSource);
+                const names = target ? getDefinedNames(target) : [];
+                const name = names.includes(imported) ? imported : names.length === 1 ? names[0] : null;
+                if (name) binding = { local, targetId: target.id, name, member: spec.imported === '*' ? member : null };
+            }
+            if (!binding) {
+                const definer = findDefiner(units, unit, local);
+                if (definer) binding = { local, targetId: definer.id, name: local, member: null };
+            }
+            if (binding) unitBindings.set(binding.member ? dependency : local, binding);
+        });
+        bindings.set(unit.id, [...unitBindings.values()]);
+    }
+    return bindings;
+}
+
+// Add the names assigned to through a pattern (`a`, `{ b, c: [d] }`, `...e`)
+function addAssignedNames(pattern, names) {
+    switch (pattern.type) {
+        case 'Identifier':
+            names.add(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(prop => {
+                addAssignedNames(prop.type === 'RestElement' ? prop : prop.value, names);
+            });
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => {
+                if (element) addAssignedNames(element, names);
+            });
+            break;
+        case 'RestElement':
+            addAssignedNames(pattern.argument, names);
+            break;
+        case 'AssignmentPattern':
+            addAssignedNames(pattern.left, names);
+            break;
+    }
+}
+
+// Names a unit's code assigns to (`x = 1`, `x += 1`, `x++`, `for (x of xs)`).
+// Scopes aren't tracked, so a local variable of the same name counts too.
+function getAssignedNames(unit) {
+    const names = new Set();
+    const code = getRunnableCode(unit);
+    if (!code) return names;
+    const visit = (node) => {
+        if (node.type === 'AssignmentExpression') {
+            addAssignedNames(node.left, names);
+        } else if (node.type === 'UpdateExpression') {
+            addAssignedNames(node.argument, names);
+        } else if ((node.type === 'ForInStatement' || node.type === 'ForOfStatement') && node.left.type !== 'VariableDeclaration') {
+            addAssignedNames(node.left, names);
+        }
+        forEachChild(node, visit);
+    };
+    visit(parse(code, { recover: true }));
+    return names;
+}
+
+// The units each unit's module has to be linked with, by unit ID: those it
+// imports from and, since an imported binding is read-only, those defining a
+// variable it assigns to. Linking both ways puts the latter in one module,
+// where the variable is shared as it is in concatenated code.
+function getModuleLinks(units, bindings) {
+    const links = new Map(units.map(unit => [unit.id, new Set(bindings.get(unit.id).map(({ targetId }) => targetId))]));
+    units.forEach(unit => {
+        const unitBindings = bindings.get(unit.id).filter(({ member }) => !member);
+        if (unitBindings.length === 0) return;
+        const assigned = getAssignedNames(unit);
+        unitBindings
+            .filter(({ local }) => assigned.has(local))
+            .forEach(({ targetId }) => links.get(targetId).add(unit.id));
+    });
+    return links;
+}
+
+// Group units into modules. A module's URL has to exist before the modules
+// importing it are made, so units linked to each other in a cycle share one.
+// Returns the units of each module, modules in load order (dependencies first)
+// and units in `sortedUnits` order.
+function groupModules(sortedUnits, links) {
+    const unitsById = new Map(sortedUnits.map(unit => [unit.id, unit]));
+    const positions = new Map(sortedUnits.map((unit, i) => [unit.id, i]));
+    const modules = [];
+
+    // Tarjan's algorithm, which finds each cycle after those it depends on
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const connect = (unitId) => {
+        indexes.set(unitId, indexes.size);
+        lowLinks.set(unitId, indexes.get(unitId));
+        stack.push(unitId);
+        onStack.add(unitId);
+        links.get(unitId).forEach(targetId => {
+            if (!indexes.has(targetId)) {
+                connect(targetId);
+                lowLinks.set(unitId, Math.min(lowLinks.get(unitId), lowLinks.get(targetId)));
+            } else if (onStack.has(targetId)) {
+                lowLinks.set(unitId, Math.min(lowLinks.get(unitId), indexes.get(targetId)));
+            }
+        });
+        if (lowLinks.get(unitId) !== indexes.get(unitId)) return;
+        const component = [];
+        let memberId;
+        do {
+            memberId = stack.pop();
+            onStack.delete(memberId);
+            component.push(memberId);
+        } while (memberId !== unitId);
+        modules.push(component.sort((a, b) => positions.get(a) - positions.get(b)).map(id => unitsById.get(id)));
+    };
+    sortedUnits.forEach(unit => {
+        if (!indexes.has(unit.id)) connect(unit.id);
+    });
+    return modules;
+}
+
+// The import map specifier of a unit's module
+function getModuleSpecifier(unitId) {
+    return `unit:${unitId}`;
+}
+
+// Source of the module holding `units`. Specifiers of the modules it imports
+// from are resolved through `importMap` as it is written, since a page's own
+// import map can't change once it has loaded a module. Without `linkByURL`
+// (where modules load from data: URLs, which would each carry the whole source
+// of everything below them) it reads those names instead from the namespaces
+// of the modules loaded before it, in the load's entry of the global registry:
+// they are bound when the module runs rather than live. The `contextKeys` are
+// read from the load's context in the registry into variables, which code may
+// assign to as it can to the parameters concatenated code gets.
+function renderModule(units, bindings, importMap, contextKeys, loadId, linkByURL) {
+    const unitIds = new Set(units.map(unit => unit.id));
+    const bound = new Set(units.flatMap(getDefinedNames));
+    const imports = new Map(); // URL -> { specifier, names: local name -> imported name }
+    const namespaces = new Map(); // local name -> member clauses
+    const addImport = (targetId, name, local) => {
+        const specifier = getModuleSpecifier(targetId);
+        const url = importMap.imports[specifier];
+        if (!imports.has(url)) imports.set(url, { specifier, names: new Map() });
+        imports.get(url).names.set(local, name);
+    };
+
+    units.flatMap(unit => bindings.get(unit.id)).forEach(({ local, targetId, name, member }) => {
+        if (unitIds.has(targetId)) return;
+        if (member) {
+            if (bound.has(local) && !namespaces.has(local)) return;
+            bound.add(local);
+            if (!namespaces.has(local)) namespaces.set(local, new Map());
+            const alias = `__${local}_${member}`;
+            if (namespaces.get(local).has(member)) return;
+            namespaces.get(local).set(member, alias);
+            addImport(targetId, name, alias);
+        } else if (!bound.has(local)) {
+            bound.add(local);
+            addImport(targetId, name, local);
+        }
+    });
+
+    const lines = [];
+    const load = `globalThis[Symbol.for(${JSON.stringify(LOADS_KEY)})].get(${JSON.stringify(loadId)})`;
+    imports.forEach(({ specifier, names }, url) => {
+        const clauses = [...names].map(([local, name]) => name === local ? name : `${name}${linkByURL ? ' as ' : ': '}${local}`);
+        lines.push(linkByURL
+            ? `import { ${clauses.join(', ')} } from ${JSON.stringify(url)};`
+            : `const { ${clauses.join(', ')} } = ${load}.modules.get(${JSON.stringify(specifier)});`);
+    });
+    namespaces.forEach((members, local) => {
+        const entries = [...members].map(([member, alias]) => `${member}: ${alias}`);
+        lines.push(`const ${local} = Object.freeze({ ${entries.join(', ')} });`);
+    });
+    const keys = contextKeys.filter(key => !bound.has(key));
+    if (keys.length > 0) {
+        lines.push(`let { ${keys.join(', ')} } = ${load}.context;`);
+    }
+
+    // Import and export declarations are replaced by the lines above and below
+    units.forEach(unit => {
+        const code = unit.type === 'import' || unit.type === 'export' ? null : getRunnableCode(unit);
+        if (code) lines.push('', `// ${unit.name} (${unit.id}) from ${unit.originalSource}`, code);
+    });
+
+    const exports = new Map(); // exported name -> clause
+    units.flatMap(getModuleExports).forEach(({ name, as }) => {
+        if (!exports.has(as)) exports.set(as, name === as ? name : `${name} as ${as}`);
+    });
+    if (exports.size > 0) lines.push('', `export { ${[...exports.values()].join(', ')} };`);
+    return lines.join('\n');
+}
+
+let blobModuleSupport = null;
+
+// Whether modules can be imported from Blob URLs here (Node, for one, only
+// imports file: and data: URLs). Checked once.
+function supportsBlobModules() {
+    if (!blobModuleSupport) {
+        blobModuleSupport = (async () => {
+            if (typeof Blob === 'undefined' || typeof URL.createObjectURL !== 'function') return false;
+            const url = URL.createObjectURL(new Blob(['export {};'], { type: 'text/javascript' }));
+            try {
+                await import(url);
+                return true;
+            } catch (error) {
+                return false;
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        })();
+    }
+    return blobModuleSupport;
+}
+
+// A URL to import a module from: a Blob URL, or a data: URL where those can't be imported
+async function createModuleURL(source) {
+    if (await supportsBlobModules()) {
+        return URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    }
+    return `data:text/javascript,${encodeURIComponent(source)}`;
+}
+
+let loadCount = 0;
+
+// Load code units with their dependencies as modules, every unit (or cycle of
+// units, see getModuleLinks) a module of its own. `context` values are visible to all of them as
+// variables. Returns the `namespace` of the first entry point's module (its
+// owner's, for a member), the `importMap` linking the modules
+// ({ imports: { 'unit:<id>': url } }) and the `modules` in load order, as
+// { unitIds, url, namespace }. URLs are revoked once everything has loaded.
+async function loadModules(workspace, entryPointIds, context = {}) {
+    const allRequiredIds = await resolveDependencies(workspace, entryPointIds);
+    const sortedIds = await topologicalSort(workspace, allRequiredIds);
+    const units = (await getUnitsChunked(workspace, sortedIds)).filter(Boolean);
+    const bindings = await resolveBindings(workspace, units);
+    const groups = groupModules(units, getModuleLinks(units, bindings));
+
+    // Modules find their context, and the namespaces of the modules loaded
+    // before them, under the load's ID
+    const registryKey = Symbol.for(LOADS_KEY);
+    if (!globalThis[registryKey]) globalThis[registryKey] = new Map();
+    const loadId = `load_${++loadCount}`;
+    const load = { context, modules: new Map() };
+    globalThis[registryKey].set(loadId, load);
+    const contextKeys = Object.keys(context).filter(key => IDENTIFIER_PATTERN.test(key));
+    const linkByURL = await supportsBlobModules();
+
+    const importMap = { imports: {} };
+    const modules = [];
+    try {
+        for (const group of groups) {
+            const url = await createModuleURL(renderModule(group, bindings, importMap, contextKeys, loadId, linkByURL));
+            group.forEach(unit => {
+                importMap.imports[getModuleSpecifier(unit.id)] = url;
+            });
+            modules.push({ unitIds: group.map(unit => unit.id), url, namespace: null });
+        }
+        // Dependencies come first, so a module that fails is the one being imported
+        for (const module of modules) {
+            try {
+                module.namespace = await import(module.url);
+                module.unitIds.forEach(id => load.modules.set(getModuleSpecifier(id), module.namespace));
+            } catch (error) {
+                throw new Error(`Cannot load ${module.unitIds.join(', ')}: ${error.message}`, { cause: error });
+            }
+        }
+    } finally {
+        globalThis[registryKey].delete(loadId);
+        modules.forEach(module => {
+            if (module.url.startsWith('blob:')) URL.revokeObjectURL(module.url);
+        });
+    }
+
+    let entry = await getUnit(workspace, entryPointIds[0]);
+    while (entry && entry.parentId && !importMap.imports[getModuleSpecifier(entry.id)]) {
+        entry = await getUnit(workspace, entry.parentId);
+    }
+    const entryModule = entry && modules.find(module => module.unitIds.includes(entry.id));
+    return { namespace: entryModule ? entryModule.namespace : null, importMap, modules };
+}
+
+// Main function to load and execute code units of a workspace. `options.mode` is
+// 'concatenate' (the default), which returns what the concatenated code
+// returns, or 'module', which returns the first entry point's module namespace.
+async function loadAndExecute(workspace, entryPointIds, context = {}, options = {}) {
+    const { mode = 'concatenate' } = options;
     try {
+        if (!LOAD_MODES.includes(mode)) {
+            throw new Error(`Unknown load mode: ${mode}`);
+        }
+        if (mode === 'module') {
+            const { namespace } = await loadModules(workspace, entryPointIds, context);
+            return namespace;
+        }
+
         // Resolve dependencies
-        const allRequiredIds = await resolveDependencies(entryPointIds);
+        const allRequiredIds = await resolveDependencies(workspace, entryPointIds);
         
         // Sort units in dependency order
-        const sortedIds = await topologicalSort(allRequiredIds);
+        const sortedIds = await topologicalSort(workspace, allRequiredIds);
         
         // Concatenate code
-        const code = await concatenateCode(sortedIds);
+        const code = await concatenateCode(workspace, sortedIds);
         
         // Execute the code
         return executeCode(code, context);
@@ -188,9 +587,11 @@ async function loadAndExecute(entryPointIds, context = {}) {
 }
 
 export { 
+    LOAD_MODES,
     resolveDependencies, 
     topologicalSort, 
     concatenateCode, 
     executeCode, 
+    loadModules,
     loadAndExecute 
 };
\ No newline at end of file
@@ -0,0 +1,217 @@
+// Per-unit code metrics
+// Complexity, size and nesting are computed by the analyzer from the AST and
+// stored in unit.metadata.metrics; fan-in/fan-out come from the dependency
+// graph and are refreshed once dependencies have been resolved.
+
+import { forEachChild } from './jsParser.js';
+import { getAllUnits, putUnitsChunked } from './db.js';
+
+// Metrics that can be queried (`complexityAbove`, `locBetween`, ...) and ranked.
+// `lowerIsWorse` marks metrics where small values deserve attention first.
+const METRICS = [
+    { key: 'cyclomaticComplexity', criterion: 'complexity', label: 'Cyclomatic complexity' },
+    { key: 'linesOfCode', criterion: 'loc', label: 'Lines of code' },
+    { key: 'parameterCount', criterion: 'params', label: 'Parameters' },
+    { key: 'maxNestingDepth', criterion: 'nesting', label: 'Max nesting depth' },
+    { key: 'fanIn', criterion: 'fanIn', label: 'Fan-in' },
+    { key: 'fanOut', criterion: 'fanOut', label: 'Fan-out' },
+    { key: 'maintainabilityIndex', criterion: 'maintainability', label: 'Maintainability index', lowerIsWorse: true }
+];
+
+const NESTING_TYPES = new Set([
+    'IfStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+    'WhileStatement', 'DoWhileStatement', 'SwitchStatement', 'TryStatement'
+]);
+
+const BRANCH_TYPES = new Set([
+    'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+    'WhileStatement', 'DoWhileStatement', 'CatchClause'
+]);
+
+const SHORT_CIRCUIT_OPERATORS = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+
+function isFunction(node) {
+    return node.type === 'FunctionDeclaration' ||
+        node.type === 'FunctionExpression' ||
+        node.type === 'ArrowFunctionExpression';
+}
+
+// Decision points and nesting of one function body. Nested functions are units
+// of their own and are not walked into.
+function measureControlFlow(root) {
+    let decisions = 0;
+    let maxDepth = 0;
+
+    const visit = (node, parent, depth) => {
+        if (node !== root && isFunction(node)) return;
+
+        if (BRANCH_TYPES.has(node.type)) decisions++;
+        if (node.type === 'SwitchCase' && node.test) decisions++;
+        if ((node.type === 'LogicalExpression' || node.type === 'AssignmentExpression') &&
+            SHORT_CIRCUIT_OPERATORS.has(node.operator)) {
+            decisions++;
+        }
+
+        // `else if` continues the chain rather than nesting deeper
+        const isElseIf = node.type === 'IfStatement' && parent && parent.type === 'IfStatement' && parent.alternate === node;
+        const childDepth = NESTING_TYPES.has(node.type) && !isElseIf ? depth + 1 : depth;
+        maxDepth = Math.max(maxDepth, childDepth);
+
+        forEachChild(node, child => visit(child, node, childDepth));
+    };
+    visit(root, null, 0);
+
+    return { complexity: decisions + 1, maxDepth };
+}
+
+// Halstead volume over the whole unit: operands are identifiers and literals,
+// operators are everything else (by operator symbol where the node has one)
+function measureHalsteadVolume(root) {
+    const operators = new Map();
+    const operands = new Map();
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    const visit = (node) => {
+        switch (node.type) {
+            case 'Identifier':
+            case 'PrivateIdentifier':
+                count(operands, node.name);
+                break;
+            case 'Literal':
+                count(operands, node.raw !== undefined ? node.raw : String(node.value));
+                break;
+            case 'TemplateElement':
+                count(operands, node.value ? node.value.raw : '');
+                break;
+            case 'ThisExpression':
+                count(operands, 'this');
+                break;
+            default:
+                count(operators, node.operator || node.type);
+        }
+        forEachChild(node, visit);
+    };
+    visit(root);
+
+    const total = [...operators.values(), ...operands.values()].reduce((sum, n) => sum + n, 0);
+    const distinct = operators.size + operands.size;
+    return distinct > 1 ? total * Math.log2(distinct) : total;
+}
+
+// Non-blank lines that hold more than comments
+function countLinesOfCode(source, start, end, comments) {
+    // First comment ending inside the range (comments are in source order)
+    let low = 0;
+    let high = comments.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (comments[mid].end <= start) low = mid + 1;
+        else high = mid;
+    }
+
+    // Drop the comments' text but keep their line breaks
+    const pieces = [];
+    let position = start;
+    for (let i = low; i < comments.length && comments[i].start < end; i++) {
+        const from = Math.max(comments[i].start, position);
+        const to = Math.min(comments[i].end, end);
+        pieces.push(source.slice(position, from), source.slice(from, to).replace(/[^\n]/g, ''));
+        position = to;
+    }
+    pieces.push(source.slice(position, end));
+    return pieces.join('').split('\n').filter(line => line.trim() !== '').length;
+}
+
+// Parameters of a function unit, or of a class's constructor
+function countParameters(node) {
+    if (isFunction(node)) return node.params.length;
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+        const constructor = node.body.body.find(member => member.type === 'MethodDefinition' && member.kind === 'constructor');
+        return constructor ? constructor.value.params.length : 0;
+    }
+    if ((node.type === 'MethodDefinition' || node.type === 'PropertyDefinition') && node.value && isFunction(node.value)) {
+        return node.value.params.length;
+    }
+    return 0;
+}
+
+// Metrics for the unit defined by `node`, whose source text spans start..end of `source`.
+// A class's complexity and nesting combine those of its members.
+function computeMetrics(node, source, start, end, comments = []) {
+    let complexity;
+    let maxDepth;
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+        complexity = 0;
+        maxDepth = 0;
+        node.body.body.forEach(member => {
+            const value = member.type === 'StaticBlock' ? member : member.value;
+            if (!value) return;
+            const flow = measureControlFlow(value);
+            complexity += flow.complexity;
+            maxDepth = Math.max(maxDepth, flow.maxDepth);
+        });
+        complexity = Math.max(complexity, 1);
+    } else {
+        // A class member's logic is in its value; a field without one has none
+        const isMember = node.type === 'MethodDefinition' || node.type === 'PropertyDefinition';
+        const flowRoot = isMember ? node.value : node;
+        ({ complexity, maxDepth } = flowRoot ? measureControlFlow(flowRoot) : { complexity: 1, maxDepth: 0 });
+    }
+
+    const linesOfCode = countLinesOfCode(source, start, end, comments);
+    const volume = measureHalsteadVolume(node);
+    // Normalized to 0-100, as popularized by Visual Studio
+    const rawIndex = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * complexity - 16.2 * Math.log(Math.max(linesOfCode, 1));
+    const maintainabilityIndex = Math.round(Math.max(0, rawIndex * 100 / 171) * 10) / 10;
+
+    return {
+        cyclomaticComplexity: complexity,
+        linesOfCode,
+        parameterCount: countParameters(node),
+        maxNestingDepth: maxDepth,
+        fanIn: 0,
+        fanOut: 0,
+        maintainabilityIndex
+    };
+}
+
+// Recount fan-in (distinct units depending on a unit) and fan-out (distinct
+// units it depends on) from the dependencies store, for every unit with metrics.
+// Runtime (`dynamic`) edges don't count: these measure the code as written.
+async function updateFanMetrics(workspace) {
+    const units = await getAllUnits(workspace);
+    const dependencies = await getAllUnits(workspace, 'dependencies');
+    const unitIds = new Set(units.map(unit => unit.id));
+
+    const fanIn = new Map();
+    const fanOut = new Map();
+    const addTo = (map, key, value) => {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(value);
+    };
+    dependencies.forEach(dep => {
+        if (dep.type === 'dynamic' || !unitIds.has(dep.sourceId) || !unitIds.has(dep.targetId)) return;
+        addTo(fanOut, dep.sourceId, dep.targetId);
+        addTo(fanIn, dep.targetId, dep.sourceId);
+    });
+
+    const updatedUnits = [];
+    units.forEach(unit => {
+        const metrics = unit.metadata && unit.metadata.metrics;
+        if (!metrics) return;
+        const unitFanIn = fanIn.has(unit.id) ? fanIn.get(unit.id).size : 0;
+        const unitFanOut = fanOut.has(unit.id) ? fanOut.get(unit.id).size : 0;
+        if (metrics.fanIn !== unitFanIn || metrics.fanOut !== unitFanOut) {
+            metrics.fanIn = unitFanIn;
+            metrics.fanOut = unitFanOut;
+            updatedUnits.push(unit);
+        }
+    });
+
+    if (updatedUnits.length > 0) {
+        await putUnitsChunked(workspace, updatedUnits);
+    }
+    return { success: true, unitsUpdated: updatedUnits.length };
+}
+
+export { METRICS, computeMetrics, updateFanMetrics };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// Full-text code search
+// Searches go through the `searchIndex` store instead of reading every unit: the
+// units holding every term of a query come from its multi-entry `terms` index
+// and are ranked with BM25 from their entries, and only the best ranked units
+// are read, to check phrases and cut snippets. See searchTokenizer.js for how
+// code and queries are split into terms.
+
+import { SEARCH_STORE, getKeysByIndex, countRecords, getUnitsChunked } from './db.js';
+import { tokenize, parseQuery, getContainedTerms } from './searchTokenizer.js';
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPETS_PER_UNIT = 3;
+const MAX_SNIPPET_LENGTH = 160;
+
+// IDs of the units holding each term, by term, and the number of indexed units
+async function getPostings(workspace, terms) {
+    const postings = new Map();
+    for (const term of terms) {
+        postings.set(term, await getKeysByIndex(workspace, 'terms', term, SEARCH_STORE));
+    }
+    return { postings, total: await countRecords(workspace, SEARCH_STORE) };
+}
+
+// IDs present in every list
+function intersect(lists) {
+    const [shortest, ...rest] = [...lists].sort((a, b) => a.length - b.length);
+    const sets = rest.map(list => new Set(list));
+    return shortest.filter(id => sets.every(set => set.has(id)));
+}
+
+// Units whose code may contain `text`, from the index: those holding the terms of
+// the words wholly inside it. Returns null when `text` has no such word.
+async function getCodeCandidates(workspace, text) {
+    const terms = getContainedTerms(text);
+    if (terms.length === 0) return null;
+    const { postings } = await getPostings(workspace, terms);
+    const ids = intersect([...postings.values()]);
+    return (await getUnitsChunked(workspace, ids)).filter(Boolean);
+}
+
+// Where the clauses match in `code`, as sorted [{ start, end }], or null if any
+// clause doesn't. Phrases may run across words; a multi-part word stays in one.
+function findMatches(code, clauses) {
+    const tokens = tokenize(code);
+    const ranges = [];
+    for (const clause of clauses) {
+        const { terms } = clause;
+        let found = false;
+        for (let i = 0; i + terms.length <= tokens.length; i++) {
+            let k = 0;
+            while (k < terms.length && tokens[i + k].term === terms[k] &&
+                (clause.phrase || tokens[i + k].word === tokens[i].word)) {
+                k++;
+            }
+            if (k < terms.length) continue;
+            ranges.push({ start: tokens[i].start, end: tokens[i + k - 1].end });
+            found = true;
+        }
+        if (!found) return null;
+    }
+    // Clauses may match the same text
+    return ranges.sort((a, b) => a.start - b.start).reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+        else merged.push(range);
+        return merged;
+    }, []);
+}
+
+// Lines of a unit holding matches, as [{ line, text, highlights: [[start, end]] }]
+// with highlight offsets into `text`. Long lines are cut around their first match.
+function getSnippets(unit, ranges) {
+    const code = unit.code;
+    const snippets = [];
+    let lineNumber = 0;
+    let lineStart = 0;
+    for (const range of ranges) {
+        while (true) {
+            const newline = code.indexOf('\n', lineStart);
+            if (newline === -1 || newline >= range.start) break;
+            lineStart = newline + 1;
+            lineNumber++;
+        }
+        let snippet = snippets[snippets.length - 1];
+        if (!snippet || snippet.lineNumber !== lineNumber) {
+            if (snippets.length === SNIPPETS_PER_UNIT) break;
+            const lineEnd = code.indexOf('\n', lineStart);
+            const text = code.slice(lineStart, lineEnd === -1 ? code.length : lineEnd).replace(/\s+$/, '');
+            snippet = { lineNumber, lineStart, text, ranges: [] };
+            snippets.push(snippet);
+        }
+        snippet.ranges.push([range.start - lineStart, Math.min(range.end - lineStart, snippet.text.length)]);
+    }
+
+    return snippets.map(({ lineNumber, text, ranges: lineRanges }) => {
+        let from = 0;
+        if (text.length > MAX_SNIPPET_LENGTH) {
+            from = Math.max(0, Math.min(lineRanges[0][0] - 40, text.length - MAX_SNIPPET_LENGTH));
+        }
+        const to = from + MAX_SNIPPET_LENGTH;
+        return {
+            line: (unit.startLine || 1) + lineNumber,
+            text: text.slice(from, to),
+            highlights: lineRanges
+                .filter(([start, end]) => start >= from && end <= to)
+                .map(([start, end]) => [start - from, end - from])
+        };
+    });
+}
+
+// Search unit code. `query` is a list of words and "quoted phrases" that must all
+// match; see parseQuery() in searchTokenizer.js. Options: `limit` (default 20),
+// and `type` and `originalSource` to narrow the units searched. Returns
+// { results, count, candidates }: the best matches, ranked, with their snippets,
+// and how many units hold every term of the query (phrases aside).
+async function searchCode(workspace, query, options = {}) {
+    const { limit = 20, type, originalSource } = options;
+    const clauses = parseQuery(query || '');
+    if (clauses.length === 0) throw new Error('Search query has no searchable words');
+    if (!(limit > 0)) throw new Error('limit must be a positive number');
+
+    const required = [...new Set(clauses.flatMap(clause => clause.terms))];
+    const wholes = [...new Set(clauses.map(clause => clause.whole).filter(whole => whole && !required.includes(whole)))];
+    const { postings, total } = await getPostings(workspace, [...required, ...wholes]);
+    const candidateIds = intersect(required.map(term => postings.get(term)));
+
+    // BM25 over the candidates' entries, with lengths compared to the candidates'
+    // average. Whole identifiers aren't required, but units using one as written
+    // rank higher.
+    const entries = (await getUnitsChunked(workspace, candidateIds, SEARCH_STORE)).filter(Boolean);
+    const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+    const idf = (term) => {
+        const df = postings.get(term).length;
+        return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+    };
+    const ranked = entries.map(entry => {
+        const norm = K1 * (1 - B + B * entry.length / (averageLength || 1));
+        const score = [...required, ...wholes].reduce((sum, term) => {
+            const index = entry.terms.indexOf(term);
+            if (index === -1) return sum;
+            const tf = entry.counts[index];
+            return sum + idf(term) * tf * (K1 + 1) / (tf + norm);
+        }, 0);
+        return { id: entry.unitId, score };
+    }).sort((a, b) => b.score - a.score);
+
+    // Read the best ranked units a page at a time until enough of them match
+    const results = [];
+    for (let i = 0; i < ranked.length && results.length < limit; i += limit) {
+        const page = ranked.slice(i, i + limit);
+        const units = await getUnitsChunked(workspace, page.map(candidate => candidate.id));
+        page.forEach((candidate, k) => {
+            const unit = units[k];
+            if (!unit || results.length >= limit) return;
+            if (type && unit.type !== type) return;
+            if (originalSource && unit.originalSource !== originalSource) return;
+            const ranges = findMatches(unit.code || '', clauses);
+            if (!ranges) return;
+            results.push({
+                id: unit.id,
+                name: unit.name,
+                type: unit.type,
+                originalSource: unit.originalSource,
+                startLine: unit.startLine,
+                score: Math.round(candidate.score * 1000) / 1000,
+                matches: ranges.length,
+                snippets: getSnippets(unit, ranges)
+            });
+        });
+    }
+
+    return { results, count: results.length, candidates: candidateIds.length };
+}
+
+export { getCodeCandidates, findMatches, searchCode };
\ No newline at end of file
@@ -1,182 +1,494 @@
+import { getSearchEntry } from './searchTokenizer.js';
+import { createIndexedDBAdapter } from './indexedDBAdapter.js';
+import { publishChanges } from './changeEvents.js';
+
 const DB_NAME = 'CodeComponentDB';
-const DB_VERSION = 1;
+const DEFAULT_WORKSPACE = 'default';
+
+// Full-text index of unit code, one entry per unit (see searchTokenizer.js).
+// Every write to `codeUnits` updates it in the same transaction.
+const SEARCH_STORE = 'searchIndex';
+
+// Derived tags stored in `unit.tags`, so flags can be looked up through the
+// multi-entry `tags` index (IndexedDB cannot index booleans)
+function getUnitTags(unit) {
+    const metadata = unit.metadata || {};
+    const tags = [];
+    if (metadata.tests && metadata.tests.length > 0) tags.push('hasTests');
+    if (metadata.doc && metadata.doc.deprecated) tags.push('deprecated');
+    return tags;
+}
+
+// Visit every record of a store inside an upgrade transaction, writing back
+// the records `transform` returns
+function migrateRecords(tx, storeName, transform) {
+    const request = tx.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const updated = transform(cursor.value);
+        if (updated) cursor.update(updated);
+        cursor.continue();
+    };
+}
+
+// Count a unit into the record of its cluster in `found` (cluster ID -> record),
+// creating a record named after the ID the first time. Returns the record, or
+// null for an unclustered unit.
+function countClusterMember(found, unit, now) {
+    if (!unit.clusterId) return null;
+    if (!found.has(unit.clusterId)) {
+        found.set(unit.clusterId, {
+            id: unit.clusterId,
+            name: unit.clusterId,
+            generatedName: unit.clusterId,
+            description: '',
+            rationale: null,
+            size: 0,
+            memberCount: 0,
+            runId: null,
+            owner: null,
+            tags: [],
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+    const cluster = found.get(unit.clusterId);
+    cluster.memberCount++;
+    if (!unit.parentId) cluster.size += unit.code ? unit.code.length : 0;
+    return cluster;
+}
+
+// Schema history, in order. Opening the database runs every step newer than the
+// stored version inside the upgrade transaction (with the in-memory adapter,
+// against its stand-in for the IndexedDB upgrade API). Never edit a released step:
+// add a new one with the next version instead.
+// A step that changes records also has upgradeRecords(stores), which does the
+// same to records held outside a database ({ storeName: [records] }, e.g. a
+// snapshot from an older version). Derived unit fields (tags, search entries)
+// need none: every write of a unit recomputes them.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Code units by cluster, dependencies by source and target',
+        migrate(db) {
+            const units = db.createObjectStore('codeUnits', { keyPath: 'id' });
+            units.createIndex('clusterId', 'clusterId', { unique: false });
+            const dependencies = db.createObjectStore('dependencies', { keyPath: 'id' });
+            dependencies.createIndex('sourceId', 'sourceId', { unique: false });
+            dependencies.createIndex('targetId', 'targetId', { unique: false });
+        }
+    },
+    {
+        version: 2,
+        description: 'Query indexes on name, type, originalSource and tags',
+        migrate(db, tx) {
+            const units = tx.objectStore('codeUnits');
+            units.createIndex('name', 'name', { unique: false });
+            units.createIndex('type', 'type', { unique: false });
+            units.createIndex('originalSource', 'originalSource', { unique: false });
+            units.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+            migrateRecords(tx, 'codeUnits', unit => ({ ...unit, tags: getUnitTags(unit) }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Revision history of unit code',
+        migrate(db) {
+            const revisions = db.createObjectStore('unitRevisions', { keyPath: 'id' });
+            revisions.createIndex('unitId', 'unitId', { unique: false });
+        }
+    },
+    {
+        version: 4,
+        description: 'Full-text index of unit code',
+        migrate(db, tx) {
+            const search = db.createObjectStore(SEARCH_STORE, { keyPath: 'unitId' });
+            search.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+            migrateRecords(tx, 'codeUnits', unit => {
+                search.put(getSearchEntry(unit));
+                return null;
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Proposed updates and plans with their review status',
+        migrate(db) {
+            const proposals = db.createObjectStore('proposals', { keyPath: 'id' });
+            proposals.createIndex('status', 'status', { unique: false });
+            proposals.createIndex('unitIds', 'unitIds', { unique: false, multiEntry: true });
+        }
+    },
+    {
+        version: 6,
+        description: 'Cluster records with names and metadata',
+        migrate(db, tx) {
+            const clusters = db.createObjectStore('clusters', { keyPath: 'id' });
+            clusters.createIndex('owner', 'owner', { unique: false });
+            clusters.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+            // Clusters units were already assigned to get a record named after their ID
+            const now = new Date().toISOString();
+            const found = new Map();
+            migrateRecords(tx, 'codeUnits', unit => {
+                const cluster = countClusterMember(found, unit, now);
+                if (cluster) clusters.put(cluster);
+                return null;
+            });
+        },
+        upgradeRecords(stores) {
+            const now = new Date().toISOString();
+            const found = new Map();
+            (stores.codeUnits || []).forEach(unit => countClusterMember(found, unit, now));
+            if (found.size > 0) stores.clusters = [...(stores.clusters || []), ...found.values()];
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Bring records written under schema `fromVersion` up to DB_VERSION, in place.
+// `stores` maps store names to arrays of records.
+function upgradeRecords(stores, fromVersion) {
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion && migration.upgradeRecords)
+        .forEach(migration => migration.upgradeRecords(stores));
+    return stores;
+}
+
+// Every workspace is a database of its own; the default one keeps the original name
+function getDatabaseName(workspaceId) {
+    return workspaceId === DEFAULT_WORKSPACE ? DB_NAME : `${DB_NAME}_${workspaceId}`;
+}
+
+// Storage adapter every database call goes through. An adapter has
+//   open(name, migrations): a connection to the named database, created or
+//     upgraded by running the migrations newer than its version
+//   deleteDatabase(name)
+// and a connection has
+//   storeNames, closed (set once it is closed, e.g. by another tab)
+//   get(storeName, keys): the records with those keys, undefined where missing
+//   getAll(storeName): every record, by key
+//   getAllByIndex(storeName, indexName, value), getKeysByIndex(...): the records
+//     (or their keys) whose indexed field equals `value`
+//   count(storeName)
+//   write(operations): apply [{ type: 'put', storeName, records }, { type:
+//     'delete', storeName, ids }, { type: 'clear', storeName }] in order, all
+//     of them or none
+//   close()
+// IndexedDB is the default; createMemoryAdapter() in memoryAdapter.js keeps
+// everything in memory, for running without a browser.
+let adapter = null;
+
+function getStorageAdapter() {
+    if (!adapter) adapter = createIndexedDBAdapter();
+    return adapter;
+}
+
+// Switch to another adapter, before anything is stored. Open connections are closed.
+function setStorageAdapter(storageAdapter) {
+    [...connections.keys()].forEach(closeDatabase);
+    adapter = storageAdapter;
+}
+
+// Open connections by database name
+const connections = new Map();
+let activeWorkspace = DEFAULT_WORKSPACE;
+
+// The workspace open in the UI. Database calls don't fall back on it: each
+// names its workspace, so an operation keeps to the one it started in
+// whatever else runs meanwhile.
+function getActiveWorkspace() {
+    return activeWorkspace;
+}
+
+function setActiveWorkspace(workspaceId) {
+    activeWorkspace = workspaceId;
+}
+
+// A connection to any database of the app through the storage adapter, reused
+// until it is closed
+async function openDatabase(name, migrations) {
+    const open = connections.get(name);
+    if (open) {
+        const connection = await open;
+        if (!connection.closed) return connection;
+        if (connections.get(name) === open) connections.delete(name);
+        return openDatabase(name, migrations);
+    }
+    const opening = getStorageAdapter().open(name, migrations);
+    connections.set(name, opening);
+    opening.catch(() => {
+        if (connections.get(name) === opening) connections.delete(name);
+    });
+    return opening;
+}
+
+function closeDatabase(name) {
+    const open = connections.get(name);
+    if (!open) return;
+    connections.delete(name);
+    open.then(connection => connection.close(), () => {});
+}
+
+// Close a workspace's connection, e.g. before its database is deleted
+function closeWorkspaceDB(workspaceId) {
+    closeDatabase(getDatabaseName(workspaceId));
+}
+
+// Close and delete a workspace's database
+async function deleteWorkspaceDB(workspaceId) {
+    closeWorkspaceDB(workspaceId);
+    await getStorageAdapter().deleteDatabase(getDatabaseName(workspaceId));
+}
+
+// A workspace's database. The helpers below all take the workspace ID first.
+async function openDB(workspace) {
+    return openDatabase(getDatabaseName(workspace), MIGRATIONS);
+}
 
-let db = null;
+// The writes an operation makes: code units carry their derived tags and their
+// search entries along
+function expandOperation(operation) {
+    if (operation.storeName !== 'codeUnits') return [operation];
+    if (operation.type !== 'put') return [operation, { ...operation, storeName: SEARCH_STORE }];
+    operation.records.forEach(unit => {
+        unit.tags = getUnitTags(unit);
+    });
+    return [operation, { type: 'put', storeName: SEARCH_STORE, records: operation.records.map(getSearchEntry) }];
+}
 
-async function openDB() {
-    return new Promise((resolve, reject) => {
-        if (db) {
-            resolve(db);
-            return;
+// Writes that must land together. Queue puts, deletes and clears on any stores
+// with the returned object, then commit() applies them all in one transaction,
+// in the order they were queued: if any of them fails, none is applied.
+// Reads belong before commit(); with IndexedDB a transaction ends at the first
+// await that isn't one of its own requests, so nothing else can run inside it.
+function createTransaction(workspace) {
+    const operations = [];
+    const transaction = {
+        put(records, storeName = 'codeUnits') {
+            operations.push({ type: 'put', storeName, records });
+            return transaction;
+        },
+        delete(ids, storeName = 'codeUnits') {
+            operations.push({ type: 'delete', storeName, ids });
+            return transaction;
+        },
+        clear(storeName) {
+            operations.push({ type: 'clear', storeName });
+            return transaction;
+        },
+        commit: () => commitOperations(workspace, operations)
+    };
+    return transaction;
+}
+
+// IDs of the cluster records `operations` write, delete or clear
+async function getWrittenClusterIds(db, operations) {
+    const ids = [];
+    for (const operation of operations.filter(operation => operation.storeName === 'clusters')) {
+        if (operation.type === 'clear') {
+            ids.push(...(await db.getAll('clusters')).map(cluster => cluster.id));
+        } else if (operation.type === 'delete') {
+            ids.push(...operation.ids);
+        } else {
+            ids.push(...operation.records.map(cluster => cluster.id));
         }
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains('codeUnits')) {
-                const store = db.createObjectStore('codeUnits', { keyPath: 'id' });
-                store.createIndex('clusterId', 'clusterId', { unique: false });
-            }
-            if (!db.objectStoreNames.contains('dependencies')) {
-                const store = db.createObjectStore('dependencies', { keyPath: 'id' });
-                store.createIndex('sourceId', 'sourceId', { unique: false });
-                store.createIndex('targetId', 'targetId', { unique: false });
-            }
-        };
-
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            resolve(db);
-        };
-
-        request.onerror = (event) => {
-            reject(event.target.error);
-        };
+    }
+    return ids;
+}
+
+// The change events (see changeEvents.js) of writing `operations` to a
+// workspace, from what the code units they touch look like before and after.
+// Writes to cluster records change their clusters too.
+async function describeChanges(db, workspace, operations) {
+    const clusterIds = new Set(await getWrittenClusterIds(db, operations));
+    const unitOperations = operations.filter(operation => operation.storeName === 'codeUnits');
+    if (unitOperations.length === 0 && clusterIds.size === 0) return [];
+
+    const before = new Map();
+    if (unitOperations.some(operation => operation.type === 'clear')) {
+        (await db.getAll('codeUnits')).forEach(unit => before.set(unit.id, unit.clusterId));
+    }
+    const ids = [...new Set(unitOperations.flatMap(operation =>
+        operation.type === 'put' ? operation.records.map(unit => unit.id) : operation.ids || []))]
+        .filter(id => id !== undefined && !before.has(id));
+    const stored = await db.get('codeUnits', ids);
+    ids.forEach((id, i) => {
+        if (stored[i]) before.set(id, stored[i].clusterId);
+    });
+
+    // What is there once every operation has run, and which units were written
+    const after = new Map(before);
+    const written = new Set();
+    unitOperations.forEach(operation => {
+        if (operation.type === 'clear') {
+            after.clear();
+        } else if (operation.type === 'delete') {
+            operation.ids.forEach(id => after.delete(id));
+        } else {
+            operation.records.forEach(unit => {
+                after.set(unit.id, unit.clusterId);
+                written.add(unit.id);
+            });
+        }
+    });
+
+    const created = [...after.keys()].filter(id => !before.has(id));
+    const updated = [...written].filter(id => before.has(id) && after.has(id));
+    const deleted = [...before.keys()].filter(id => !after.has(id));
+    new Set([...before.keys(), ...after.keys()]).forEach(id => {
+        const [from, to] = [before.get(id), after.get(id)];
+        if (from === to) return;
+        if (from) clusterIds.add(from);
+        if (to) clusterIds.add(to);
     });
+
+    return [
+        { type: 'unitCreated', workspace, ids: created },
+        { type: 'unitUpdated', workspace, ids: updated },
+        { type: 'unitDeleted', workspace, ids: deleted },
+        { type: 'clustersChanged', workspace, clusterIds: [...clusterIds] }
+    ].filter(event => (event.ids || event.clusterIds).length > 0);
 }
 
-// Implement chunked put operation
-async function putUnitsChunked(units, storeName = 'codeUnits', chunkSize = 50) {
-    const db = await openDB();
+async function commitOperations(workspace, operations) {
+    if (operations.length === 0) return;
+    const db = await openDB(workspace);
+    const changes = await describeChanges(db, workspace, operations);
+    await db.write(operations.flatMap(expandOperation));
+    publishChanges(changes);
+}
+
+// Implement chunked put operation. Code units get their `tags` and search entries
+// refreshed on the way in. Every chunk is committed on its own; use
+// createTransaction() for all-or-nothing writes.
+async function putUnitsChunked(workspace, units, storeName = 'codeUnits', chunkSize = 50) {
     for (let i = 0; i < units.length; i += chunkSize) {
-        const chunk = units.slice(i, i + chunkSize);
-        const tx = db.transaction(storeName, 'readwrite');
-        const store = tx.objectStore(storeName);
-        chunk.forEach(unit => store.put(unit));
-        await new Promise((resolve, reject) => {
-            tx.oncomplete = () => resolve();
-            tx.onerror = (event) => reject(event.target.error);
-        });
+        await commitOperations(workspace, [{ type: 'put', storeName, records: units.slice(i, i + chunkSize) }]);
     }
 }
 
 // Get a single unit by ID
-async function getUnit(id, storeName = 'codeUnits') {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(storeName, 'readonly');
-        const store = tx.objectStore(storeName);
-        const request = store.get(id);
-        
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+async function getUnit(workspace, id, storeName = 'codeUnits') {
+    const db = await openDB(workspace);
+    const [record] = await db.get(storeName, [id]);
+    return record;
 }
 
 // Get multiple units by IDs (chunked)
-async function getUnitsChunked(ids, storeName = 'codeUnits', chunkSize = 50) {
+async function getUnitsChunked(workspace, ids, storeName = 'codeUnits', chunkSize = 50) {
     const results = [];
-    const db = await openDB();
+    const db = await openDB(workspace);
     
     for (let i = 0; i < ids.length; i += chunkSize) {
-        const chunk = ids.slice(i, i + chunkSize);
-        const tx = db.transaction(storeName, 'readonly');
-        const store = tx.objectStore(storeName);
-        
-        const chunkResults = await Promise.all(
-            chunk.map(id => new Promise((resolve, reject) => {
-                const request = store.get(id);
-                request.onsuccess = () => resolve(request.result);
-                request.onerror = () => reject(request.error);
-            }))
-        );
-        
-        results.push(...chunkResults);
+        results.push(...await db.get(storeName, ids.slice(i, i + chunkSize)));
     }
     
     return results;
 }
 
+// Get the records whose indexed field equals `value` ('clusterId', 'name', 'type',
+// 'originalSource', or a tag for 'tags')
+async function getUnitsByIndex(workspace, indexName, value, storeName = 'codeUnits') {
+    const db = await openDB(workspace);
+    return db.getAllByIndex(storeName, indexName, value);
+}
+
+// Get the keys of the records whose indexed field equals `value`
+async function getKeysByIndex(workspace, indexName, value, storeName = 'codeUnits') {
+    const db = await openDB(workspace);
+    return db.getKeysByIndex(storeName, indexName, value);
+}
+
 // Get units by cluster ID
-async function getUnitsByCluster(clusterId, storeName = 'codeUnits') {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(storeName, 'readonly');
-        const store = tx.objectStore(storeName);
-        const index = store.index('clusterId');
-        const request = index.getAll(clusterId);
-        
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+async function getUnitsByCluster(workspace, clusterId, storeName = 'codeUnits') {
+    return getUnitsByIndex(workspace, 'clusterId', clusterId, storeName);
 }
 
 // Get all units
-async function getAllUnits(storeName = 'codeUnits') {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(storeName, 'readonly');
-        const store = tx.objectStore(storeName);
-        const request = store.getAll();
-        
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+async function getAllUnits(workspace, storeName = 'codeUnits') {
+    const db = await openDB(workspace);
+    return db.getAll(storeName);
+}
+
+// Number of records in a store
+async function countRecords(workspace, storeName = 'codeUnits') {
+    const db = await openDB(workspace);
+    return db.count(storeName);
+}
+
+// Names of the stores of a workspace
+async function getStoreNames(workspace) {
+    const db = await openDB(workspace);
+    return db.storeNames;
 }
 
 // Get dependencies by source ID
-async function getDependenciesBySource(sourceId) {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('dependencies', 'readonly');
-        const store = tx.objectStore('dependencies');
-        const index = store.index('sourceId');
-        const request = index.getAll(sourceId);
-        
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+async function getDependenciesBySource(workspace, sourceId) {
+    return getUnitsByIndex(workspace, 'sourceId', sourceId, 'dependencies');
 }
 
 // Get dependencies by target ID
-async function getDependenciesByTarget(targetId) {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('dependencies', 'readonly');
-        const store = tx.objectStore('dependencies');
-        const index = store.index('targetId');
-        const request = index.getAll(targetId);
-        
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+async function getDependenciesByTarget(workspace, targetId) {
+    return getUnitsByIndex(workspace, 'targetId', targetId, 'dependencies');
 }
 
-// Delete a unit by ID
-async function deleteUnit(id, storeName = 'codeUnits') {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(storeName, 'readwrite');
-        const store = tx.objectStore(storeName);
-        const request = store.delete(id);
-        
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-    });
+// Delete a record by ID. Only the record (and a code unit's search entry) goes: to
+// delete code units along with their edges and history, use deleteUnits() in
+// dependencyIntegrity.js.
+async function deleteUnit(workspace, id, storeName = 'codeUnits') {
+    await commitOperations(workspace, [{ type: 'delete', storeName, ids: [id] }]);
+}
+
+// Delete multiple units by IDs (chunked)
+async function deleteUnitsChunked(workspace, ids, storeName = 'codeUnits', chunkSize = 50) {
+    for (let i = 0; i < ids.length; i += chunkSize) {
+        await commitOperations(workspace, [{ type: 'delete', storeName, ids: ids.slice(i, i + chunkSize) }]);
+    }
 }
 
 // Clear all data from a store
-async function clearStore(storeName) {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(storeName, 'readwrite');
-        const store = tx.objectStore(storeName);
-        const request = store.clear();
-        
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-    });
+async function clearStore(workspace, storeName) {
+    await commitOperations(workspace, [{ type: 'clear', storeName }]);
+}
+
+// Clear every store, leaving an empty workspace
+async function clearAllStores(workspace) {
+    const storeNames = await getStoreNames(workspace);
+    await commitOperations(workspace, storeNames.map(storeName => ({ type: 'clear', storeName })));
 }
 
 export { 
+    DB_VERSION,
+    MIGRATIONS,
+    upgradeRecords,
+    DEFAULT_WORKSPACE,
+    SEARCH_STORE,
+    getStorageAdapter,
+    setStorageAdapter,
+    getDatabaseName,
+    getActiveWorkspace,
+    setActiveWorkspace,
+    openDatabase,
+    closeWorkspaceDB,
+    deleteWorkspaceDB,
+    getUnitTags,
     openDB, 
+    createTransaction,
     putUnitsChunked, 
     getUnit, 
     getUnitsChunked, 
+    getUnitsByIndex,
+    getKeysByIndex,
     getUnitsByCluster, 
     getAllUnits,
+    countRecords,
+    getStoreNames,
     getDependenciesBySource,
     getDependenciesByTarget,
     deleteUnit,
-    clearStore
+    deleteUnitsChunked,
+    clearStore,
+    clearAllStores
 };
\ No newline at end of file
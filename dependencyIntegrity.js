@@ -0,0 +1,262 @@
+// Dependency integrity
+// The dependencies store holds the edges between units: `static` edges for the
+// names a unit uses (`crossFile` when they lead to another file), `import` edges
+// and `dynamic` edges mirroring the runtime calls recorded in units'
+// `dynamicRelationships`. All of them are derived from the units, so when a
+// unit's code changes its edges are derived again, deleting a unit deals with
+// the edges into it, and checkIntegrity finds and repairs whatever has drifted.
+
+import { getAllUnits, getUnitsByIndex, createTransaction } from './db.js';
+import { analyzeCode, linkDependencies } from './staticAnalyzerWorker.js';
+import { computeModuleGraph } from './moduleGraph.js';
+import { updateFanMetrics } from './codeMetrics.js';
+
+// Unit fields the analyzer derives from the code itself
+const DERIVED_FIELDS = ['name', 'kind', 'staticDependencies', 'ownDependencies', 'declares', 'extends', 'source', 'specifiers', 'exports'];
+
+// Edge fields that must match what the units say
+const EDGE_FIELDS = ['sourceId', 'targetId', 'type', 'crossFile', 'frequency'];
+
+function createDynamicEdge(sourceId, rel) {
+    return {
+        id: `dyn_${sourceId}_${rel.targetId}`,
+        sourceId,
+        targetId: rel.targetId,
+        type: 'dynamic',
+        frequency: rel.frequency
+    };
+}
+
+// Dynamic edges for the runtime calls of `units` that lead to a unit in `unitIds`
+function getDynamicEdges(units, unitIds) {
+    return units.flatMap(unit => (unit.dynamicRelationships || [])
+        .filter(rel => unitIds.has(rel.targetId))
+        .map(rel => createDynamicEdge(unit.id, rel)));
+}
+
+// Every edge the units call for, by edge ID. Sources are linked in source order,
+// as at import, since the first of two units with one name is the one found.
+// Import units whose resolved source changed are updated in place and returned.
+function computeExpectedEdges(units) {
+    const unitsBySource = new Map();
+    units.forEach(unit => {
+        if (!unitsBySource.has(unit.originalSource)) unitsBySource.set(unit.originalSource, []);
+        unitsBySource.get(unit.originalSource).push(unit);
+    });
+
+    const edges = new Map();
+    unitsBySource.forEach(sourceUnits => {
+        sourceUnits.sort((a, b) => (a.start || 0) - (b.start || 0));
+        linkDependencies(sourceUnits).forEach(edge => edges.set(edge.id, edge));
+    });
+    const { edges: moduleEdges, updatedImports } = computeModuleGraph(units);
+    moduleEdges.forEach(edge => edges.set(edge.id, edge));
+    getDynamicEdges(units, new Set(units.map(unit => unit.id))).forEach(edge => edges.set(edge.id, edge));
+    return { edges, updatedImports };
+}
+
+// How a unit's code is analyzed on its own: class members need a class around
+// them and object members an object literal, which puts them one level down
+function getAnalysisWrapper(unit) {
+    if (unit.type === 'method' || unit.type === 'field') return { before: 'class Owner {\n', after: '\n}', depth: 1 };
+    if (unit.memberOf) return { before: '({\n', after: '\n})', depth: 1 };
+    return { before: '', after: '', depth: 0 };
+}
+
+// Analyze a unit's changed code again and update what the analyzer derives from
+// it: its name, the names it uses and declares, and its metrics (fan-in and
+// fan-out are recounted from the edges). A nested function analyzed on its own
+// takes the locals of the function around it for globals, so it may list a few
+// more names than at import; names that match no unit make no edge.
+function reanalyzeUnit(unit) {
+    if (unit.type === 'type') return unit;
+    const wrapper = getAnalysisWrapper(unit);
+    const { units, errors } = analyzeCode(wrapper.before + unit.code + wrapper.after, 0, 0, { language: unit.language || 'js' });
+    if (errors.length > 0) {
+        throw new Error(`Cannot parse code of ${unit.name}: ${errors[0].message}`);
+    }
+    const candidates = units.filter(candidate => candidate.depth === wrapper.depth && candidate.type === unit.type);
+    const analyzed = candidates.find(candidate => candidate.name === unit.name) || candidates[0];
+    if (!analyzed) {
+        throw new Error(`The new code of ${unit.name} does not define a ${unit.type}`);
+    }
+
+    DERIVED_FIELDS.forEach(field => {
+        if (analyzed[field] !== undefined) unit[field] = analyzed[field];
+        else delete unit[field];
+    });
+    if (analyzed.metadata) {
+        unit.metadata = unit.metadata || {};
+        const previous = unit.metadata.metrics || {};
+        unit.metadata.metrics = { ...analyzed.metadata.metrics, fanIn: previous.fanIn || 0, fanOut: previous.fanOut || 0 };
+        if (analyzed.metadata.signature) unit.metadata.signature = analyzed.metadata.signature;
+    }
+    return unit;
+}
+
+// Queue on `transaction` the edges of units whose code changed or that are new:
+// edges from and to them are derived again, and those they no longer call for
+// are deleted. Run updateFanMetrics() once the transaction is committed.
+async function refreshUnitEdges(workspace, changedUnits, transaction) {
+    const changedById = new Map(changedUnits.map(unit => [unit.id, unit]));
+    const storedUnits = await getAllUnits(workspace);
+    const units = storedUnits.map(unit => changedById.get(unit.id) || unit);
+    const storedIds = new Set(storedUnits.map(unit => unit.id));
+    changedUnits.forEach(unit => {
+        if (!storedIds.has(unit.id)) units.push(unit);
+    });
+
+    const touches = (edge) => changedById.has(edge.sourceId) || changedById.has(edge.targetId);
+    const { edges, updatedImports } = computeExpectedEdges(units);
+    const expected = [...edges.values()].filter(touches);
+    const expectedIds = new Set(expected.map(edge => edge.id));
+    const stale = (await getAllUnits(workspace, 'dependencies')).filter(dep => touches(dep) && !expectedIds.has(dep.id));
+
+    transaction
+        .delete(stale.map(dep => dep.id), 'dependencies')
+        .put(expected, 'dependencies')
+        .put(updatedImports.filter(unit => !changedById.has(unit.id)));
+    return { edgesWritten: expected.length, edgesRemoved: stale.length };
+}
+
+// Delete units along with their members and nested units, in one transaction.
+// Their own edges and revision history go with them. What happens to the
+// units that still point at them depends on `orphans`: 'remove' (the default)
+// deletes the edges into them and the runtime calls recorded against them;
+// 'flag' keeps those edges, marked `orphaned`, so the callers can be fixed
+// (checkIntegrity reports them until they are).
+async function deleteUnits(workspace, ids, options = {}) {
+    const { orphans = 'remove' } = options;
+    if (orphans !== 'remove' && orphans !== 'flag') {
+        throw new Error(`Unknown orphan handling: ${orphans}`);
+    }
+    const units = await getAllUnits(workspace);
+    const unitIds = new Set(units.map(unit => unit.id));
+    const missing = ids.filter(id => !unitIds.has(id));
+    if (missing.length > 0) throw new Error(`Unit not found: ${missing.join(', ')}`);
+
+    const childrenOf = new Map();
+    units.forEach(unit => {
+        if (!unit.parentId) return;
+        if (!childrenOf.has(unit.parentId)) childrenOf.set(unit.parentId, []);
+        childrenOf.get(unit.parentId).push(unit.id);
+    });
+    const deleted = new Set();
+    const queue = [...ids];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (deleted.has(id)) continue;
+        deleted.add(id);
+        queue.push(...(childrenOf.get(id) || []));
+    }
+
+    const dependencies = await getAllUnits(workspace, 'dependencies');
+    const outgoing = dependencies.filter(dep => deleted.has(dep.sourceId));
+    const incoming = dependencies.filter(dep => !deleted.has(dep.sourceId) && deleted.has(dep.targetId));
+    const callers = units.filter(unit => !deleted.has(unit.id) &&
+        (unit.dynamicRelationships || []).some(rel => deleted.has(rel.targetId)));
+    const revisions = [];
+    for (const id of deleted) {
+        revisions.push(...await getUnitsByIndex(workspace, 'unitId', id, 'unitRevisions'));
+    }
+
+    const tx = createTransaction(workspace)
+        .delete([...deleted])
+        .delete(outgoing.map(dep => dep.id), 'dependencies')
+        .delete(revisions.map(record => record.id), 'unitRevisions');
+    if (orphans === 'remove') {
+        callers.forEach(unit => {
+            unit.dynamicRelationships = unit.dynamicRelationships.filter(rel => !deleted.has(rel.targetId));
+        });
+        tx.delete(incoming.map(dep => dep.id), 'dependencies').put(callers);
+    } else {
+        tx.put(incoming.map(dep => ({ ...dep, orphaned: true })), 'dependencies');
+    }
+    await tx.commit();
+    await updateFanMetrics(workspace);
+
+    return {
+        deleted: [...deleted],
+        edgesRemoved: outgoing.length + (orphans === 'remove' ? incoming.length : 0),
+        orphanedEdges: orphans === 'flag' ? incoming.map(dep => dep.id) : [],
+        affectedUnits: [...new Set([...incoming.map(dep => dep.sourceId), ...callers.map(unit => unit.id)])]
+    };
+}
+
+const describeEdge = (dep) => ({ id: dep.id, sourceId: dep.sourceId, targetId: dep.targetId, type: dep.type });
+
+// Compare the dependencies store with what the units call for and report:
+// edges to or from units that don't exist (dangling), edges no unit calls for
+// (stale), edges missing or differing from what the units say (missing,
+// outdated), runtime calls recorded against missing units, import units whose
+// resolved source is out of date, members whose parent is gone and revisions
+// of deleted units. With `repair`, everything but the members is put right;
+// those are only reported, since deleting or re-importing them is a choice.
+async function checkIntegrity(workspace, options = {}) {
+    const { repair = false } = options;
+    const units = await getAllUnits(workspace);
+    const unitsById = new Map(units.map(unit => [unit.id, unit]));
+    const dependencies = await getAllUnits(workspace, 'dependencies');
+    const storedById = new Map(dependencies.map(dep => [dep.id, dep]));
+    const { edges, updatedImports } = computeExpectedEdges(units);
+
+    const dangling = dependencies.filter(dep => !unitsById.has(dep.sourceId) || !unitsById.has(dep.targetId));
+    const stale = dependencies.filter(dep => !edges.has(dep.id) && unitsById.has(dep.sourceId) && unitsById.has(dep.targetId));
+    const missing = [...edges.values()].filter(edge => !storedById.has(edge.id));
+    const outdated = [...edges.values()].filter(edge => storedById.has(edge.id) &&
+        EDGE_FIELDS.some(field => storedById.get(edge.id)[field] !== edge[field]));
+    const deadRelationships = units.flatMap(unit => (unit.dynamicRelationships || [])
+        .filter(rel => !unitsById.has(rel.targetId))
+        .map(rel => ({ unitId: unit.id, targetId: rel.targetId })));
+    const missingParents = units
+        .filter(unit => unit.parentId && !unitsById.has(unit.parentId))
+        .map(unit => ({ unitId: unit.id, parentId: unit.parentId }));
+    const orphanedRevisions = (await getAllUnits(workspace, 'unitRevisions'))
+        .filter(record => !unitsById.has(record.unitId))
+        .map(record => record.id);
+
+    const issues = {
+        danglingEdges: dangling.map(describeEdge),
+        staleEdges: stale.map(describeEdge),
+        missingEdges: missing.map(describeEdge),
+        outdatedEdges: outdated.map(describeEdge),
+        deadRelationships,
+        outdatedImports: updatedImports.map(unit => unit.id),
+        missingParents,
+        orphanedRevisions
+    };
+    const issueCount = Object.values(issues).reduce((sum, list) => sum + list.length, 0);
+
+    let repaired = 0;
+    if (repair && issueCount > missingParents.length) {
+        const prunedUnits = [...new Set(deadRelationships.map(rel => rel.unitId))].map(id => {
+            const unit = unitsById.get(id);
+            unit.dynamicRelationships = unit.dynamicRelationships.filter(rel => unitsById.has(rel.targetId));
+            return unit;
+        });
+        await createTransaction(workspace)
+            .delete([...dangling, ...stale].map(dep => dep.id), 'dependencies')
+            .put([...missing, ...outdated], 'dependencies')
+            .put([...new Set([...prunedUnits, ...updatedImports])])
+            .delete(orphanedRevisions, 'unitRevisions')
+            .commit();
+        await updateFanMetrics(workspace);
+        repaired = issueCount - missingParents.length;
+    }
+
+    return {
+        consistent: issueCount === 0,
+        counts: Object.fromEntries(Object.entries(issues).map(([key, list]) => [key, list.length])),
+        issues,
+        repaired
+    };
+}
+
+export {
+    computeExpectedEdges,
+    getDynamicEdges,
+    reanalyzeUnit,
+    refreshUnitEdges,
+    deleteUnits,
+    checkIntegrity
+};
\ No newline at end of file
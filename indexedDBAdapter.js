@@ -0,0 +1,109 @@
+// IndexedDB storage adapter
+// The adapter the app uses in the browser: every database is an IndexedDB
+// database, upgraded by running the migrations newer than its stored version.
+// See db.js for the adapter interface.
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one read request against a store (or one of its indexes)
+async function read(db, storeName, makeRequest) {
+    const tx = db.transaction(storeName, 'readonly');
+    return requestResult(makeRequest(tx.objectStore(storeName)));
+}
+
+function openDatabase(name, migrations) {
+    const version = migrations[migrations.length - 1].version;
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            const tx = event.target.transaction;
+            migrations
+                .filter(migration => migration.version > event.oldVersion)
+                .forEach(migration => migration.migrate(db, tx));
+        };
+
+        request.onsuccess = (event) => resolve(event.target.result);
+
+        request.onblocked = () => {
+            console.warn('Database upgrade is waiting for other tabs to close it');
+        };
+
+        request.onerror = (event) => {
+            reject(event.target.error);
+        };
+    });
+}
+
+function createIndexedDBAdapter() {
+    const open = async (name, migrations) => {
+        const db = await openDatabase(name, migrations);
+
+        const connection = {
+            closed: false,
+            get storeNames() {
+                return [...db.objectStoreNames];
+            },
+            // All keys are read in one transaction
+            get(storeName, keys) {
+                const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                return Promise.all(keys.map(key => requestResult(store.get(key))));
+            },
+            getAll: (storeName) => read(db, storeName, store => store.getAll()),
+            getAllByIndex: (storeName, indexName, value) => read(db, storeName, store => store.index(indexName).getAll(value)),
+            getKeysByIndex: (storeName, indexName, value) => read(db, storeName, store => store.index(indexName).getAllKeys(value)),
+            count: (storeName) => read(db, storeName, store => store.count()),
+            write(operations) {
+                const storeNames = [...new Set(operations.map(operation => operation.storeName))];
+                if (storeNames.length === 0) return Promise.resolve();
+                return new Promise((resolve, reject) => {
+                    const tx = db.transaction(storeNames, 'readwrite');
+                    tx.oncomplete = () => resolve();
+                    // A failed request aborts the transaction, which rolls back every write
+                    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+                    try {
+                        operations.forEach(operation => {
+                            const store = tx.objectStore(operation.storeName);
+                            if (operation.type === 'clear') {
+                                store.clear();
+                            } else if (operation.type === 'delete') {
+                                operation.ids.forEach(id => store.delete(id));
+                            } else {
+                                operation.records.forEach(record => store.put(record));
+                            }
+                        });
+                    } catch (error) {
+                        // e.g. a record without a key: abort so nothing queued so far is written
+                        tx.abort();
+                        reject(error);
+                    }
+                });
+            },
+            close() {
+                connection.closed = true;
+                db.close();
+            }
+        };
+
+        // Let a newer version opened in another tab upgrade (or delete) the database
+        db.onversionchange = () => connection.close();
+        return connection;
+    };
+
+    const deleteDatabase = (name) => new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = (event) => reject(event.target.error);
+        request.onblocked = () => console.warn(`Deleting database ${name} is waiting for other tabs to close it`);
+    });
+
+    return { name: 'indexeddb', open, deleteDatabase };
+}
+
+export { createIndexedDBAdapter };
\ No newline at end of file
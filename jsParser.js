@@ -0,0 +1,2504 @@
+// JavaScript tokenizer and recursive-descent parser used by the static analyzer.
+// It produces an ESTree-shaped AST where every node carries exact `start` and
+// `end` character offsets into the source text. Comments are collected on the
+// side so callers can attach them to nodes. The parser is lenient: it aims to
+// understand real-world code rather than to validate it.
+// With the `typescript` option, type syntax is skipped rather than parsed, and
+// the ranges it covers are reported in `program.typeOnlyRanges`; with `jsx`,
+// JSX elements are parsed into JSX* nodes.
+
+const RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for',
+    'function', 'if', 'import', 'in', 'instanceof', 'new', 'null', 'return', 'super',
+    'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with'
+]);
+
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+    '&', '|', '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+const ASSIGNMENT_OPERATORS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=',
+    '&&=', '||=', '??='
+]);
+
+const BINARY_PRECEDENCE = {
+    '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '===': 6, '!==': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7, 'instanceof': 7, 'in': 7,
+    '<<': 8, '>>': 8, '>>>': 8,
+    '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11
+};
+
+// Closing bracket for each opening one, for skipping over TypeScript types
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+// TypeScript keywords that prefix a type: `keyof T`, `readonly string[]`, `new () => T`, ...
+const TYPE_OPERATORS = new Set(['keyof', 'typeof', 'readonly', 'unique', 'infer', 'asserts', 'new', 'abstract']);
+
+// TypeScript-only modifiers of class members and of constructor parameters
+const MEMBER_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override', 'abstract', 'declare']);
+const PARAMETER_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override']);
+
+// Declarations that exist only in the type system
+const TYPE_ONLY_DECLARATIONS = new Set([
+    'TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSDeclareFunction', 'TSAmbientDeclaration'
+]);
+
+const IDENTIFIER_START = /[$_\p{ID_Start}\\]/u;
+const IDENTIFIER_CHARS = /(?:[$_\u200c\u200d\p{ID_Continue}]|\\u\{[0-9a-fA-F]+\}|\\u[0-9a-fA-F]{4})+/uy;
+const LINE_BREAK = /\r\n?|[\n\u2028\u2029]/g;
+
+function isLineBreak(ch) {
+    return ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029';
+}
+
+function isWhitespace(ch) {
+    return ch === ' ' || ch === '\t' || ch === '\v' || ch === '\f' || ch === '\u00a0' ||
+        ch === '\ufeff' || (ch > '\u007f' && /\s/.test(ch));
+}
+
+function isDigit(ch) {
+    return ch >= '0' && ch <= '9';
+}
+
+// Offsets of the first character of every line, for offset -> line lookups
+function getLineStarts(input) {
+    const starts = [0];
+    LINE_BREAK.lastIndex = 0;
+    let match;
+    while ((match = LINE_BREAK.exec(input)) !== null) {
+        starts.push(match.index + match[0].length);
+    }
+    return starts;
+}
+
+// Convert a character offset to a 1-based line and 0-based column
+function getLineInfo(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] };
+}
+
+// Whether a token can begin a type
+function startsType(token) {
+    return token.type === 'name' || token.type === 'string' || token.type === 'num' || token.type === 'template' ||
+        (token.type === 'punct' && ['(', '[', '{', '<', '-'].includes(token.value));
+}
+
+function decodeIdentifier(raw) {
+    if (raw.indexOf('\\') === -1) return raw;
+    return raw.replace(/\\u\{([0-9a-fA-F]+)\}|\\u([0-9a-fA-F]{4})/g, (m, braced, plain) =>
+        String.fromCodePoint(parseInt(braced || plain, 16)));
+}
+
+class Tokenizer {
+    constructor(input) {
+        this.input = input;
+        this.pos = 0;
+        this.comments = [];
+        if (input.startsWith('#!')) {
+            let end = 2;
+            while (end < input.length && !isLineBreak(input[end])) end++;
+            this.comments.push({ type: 'Line', value: input.slice(2, end), start: 0, end });
+            this.pos = end;
+        }
+    }
+
+    raise(pos, message) {
+        // Parsing TypeScript backtracks on errors, so the line table is kept
+        if (!this.lineStarts) this.lineStarts = getLineStarts(this.input);
+        const { line, column } = getLineInfo(this.lineStarts, pos);
+        const error = new SyntaxError(`${message} (${line}:${column})`);
+        error.reason = message;
+        error.pos = pos;
+        error.line = line;
+        error.column = column;
+        throw error;
+    }
+
+    // Skip whitespace and comments, reporting whether a line break was crossed
+    skipSpace() {
+        const input = this.input;
+        let sawNewline = false;
+        while (this.pos < input.length) {
+            const ch = input[this.pos];
+            if (isLineBreak(ch)) {
+                sawNewline = true;
+                this.pos++;
+            } else if (isWhitespace(ch)) {
+                this.pos++;
+            } else if (ch === '/' && input[this.pos + 1] === '/') {
+                const start = this.pos;
+                let end = start + 2;
+                while (end < input.length && !isLineBreak(input[end])) end++;
+                this.comments.push({ type: 'Line', value: input.slice(start + 2, end), start, end });
+                this.pos = end;
+            } else if (ch === '/' && input[this.pos + 1] === '*') {
+                const start = this.pos;
+                const close = input.indexOf('*/', start + 2);
+                if (close === -1) this.raise(start, 'Unterminated comment');
+                const value = input.slice(start + 2, close);
+                if (/[\n\r\u2028\u2029]/.test(value)) sawNewline = true;
+                this.comments.push({ type: 'Block', value, start, end: close + 2 });
+                this.pos = close + 2;
+            } else {
+                break;
+            }
+        }
+        return sawNewline;
+    }
+
+    nextToken() {
+        const nlBefore = this.skipSpace();
+        const input = this.input;
+        const start = this.pos;
+
+        if (start >= input.length) {
+            return { type: 'eof', value: null, start, end: start, nlBefore: true };
+        }
+
+        const ch = input[start];
+        let token;
+
+        if (ch === '"' || ch === "'") {
+            token = this.readString(ch);
+        } else if (ch === '`') {
+            token = this.readTemplateToken(start + 1);
+            token.start = start;
+        } else if (isDigit(ch) || (ch === '.' && isDigit(input[start + 1] || ''))) {
+            token = this.readNumber();
+        } else if (ch === '#' && IDENTIFIER_START.test(input[start + 1] || '')) {
+            this.pos++;
+            const name = this.readIdentifierName();
+            token = { type: 'privateName', value: name };
+        } else if (IDENTIFIER_START.test(String.fromCodePoint(input.codePointAt(start)))) {
+            token = { type: 'name', value: this.readIdentifierName() };
+        } else {
+            token = this.readPunctuator();
+        }
+
+        token.start = start;
+        token.end = this.pos;
+        token.nlBefore = nlBefore;
+        return token;
+    }
+
+    readIdentifierName() {
+        IDENTIFIER_CHARS.lastIndex = this.pos;
+        const match = IDENTIFIER_CHARS.exec(this.input);
+        if (!match) this.raise(this.pos, 'Invalid identifier');
+        this.pos += match[0].length;
+        return decodeIdentifier(match[0]);
+    }
+
+    readPunctuator() {
+        const input = this.input;
+        const start = this.pos;
+        for (const punct of PUNCTUATORS) {
+            if (input.startsWith(punct, start)) {
+                // `?.5` is a conditional followed by a number, not optional chaining
+                if (punct === '?.' && isDigit(input[start + 2] || '')) continue;
+                this.pos += punct.length;
+                return { type: 'punct', value: punct };
+            }
+        }
+        this.raise(start, `Unexpected character '${input[start]}'`);
+    }
+
+    readEscape() {
+        const input = this.input;
+        const ch = input[this.pos++];
+        switch (ch) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case 'v': return '\v';
+            case '\r':
+                if (input[this.pos] === '\n') this.pos++;
+                return '';
+            case '\n': case '\u2028': case '\u2029':
+                return '';
+            case 'x': {
+                const hex = input.substr(this.pos, 2);
+                this.pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            case 'u': {
+                if (input[this.pos] === '{') {
+                    const close = input.indexOf('}', this.pos);
+                    if (close === -1) this.raise(this.pos, 'Invalid Unicode escape');
+                    const code = parseInt(input.slice(this.pos + 1, close), 16);
+                    this.pos = close + 1;
+                    return String.fromCodePoint(code);
+                }
+                const hex = input.substr(this.pos, 4);
+                this.pos += 4;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            default:
+                if (ch >= '0' && ch <= '7') {
+                    let octal = ch;
+                    while (octal.length < 3 && input[this.pos] >= '0' && input[this.pos] <= '7') {
+                        octal += input[this.pos++];
+                    }
+                    return String.fromCharCode(parseInt(octal, 8));
+                }
+                return ch;
+        }
+    }
+
+    readString(quote) {
+        const input = this.input;
+        const start = this.pos++;
+        let value = '';
+        let chunkStart = this.pos;
+        for (;;) {
+            if (this.pos >= input.length) this.raise(start, 'Unterminated string constant');
+            const ch = input[this.pos];
+            if (ch === quote) break;
+            if (ch === '\\') {
+                value += input.slice(chunkStart, this.pos);
+                this.pos++;
+                value += this.readEscape();
+                chunkStart = this.pos;
+            } else if (ch === '\n' || ch === '\r') {
+                this.raise(start, 'Unterminated string constant');
+            } else {
+                this.pos++;
+            }
+        }
+        value += input.slice(chunkStart, this.pos);
+        this.pos++;
+        return { type: 'string', value, raw: input.slice(start, this.pos) };
+    }
+
+    // Read a template chunk starting just after '`' or the '}' closing a substitution
+    readTemplateToken(from) {
+        const input = this.input;
+        this.pos = from;
+        let cooked = '';
+        let chunkStart = from;
+        for (;;) {
+            if (this.pos >= input.length) this.raise(from, 'Unterminated template');
+            const ch = input[this.pos];
+            if (ch === '`') {
+                const raw = input.slice(from, this.pos);
+                cooked += input.slice(chunkStart, this.pos);
+                this.pos++;
+                return { type: 'template', value: cooked, raw, tail: true, start: from - 1, end: this.pos };
+            }
+            if (ch === '$' && input[this.pos + 1] === '{') {
+                const raw = input.slice(from, this.pos);
+                cooked += input.slice(chunkStart, this.pos);
+                this.pos += 2;
+                return { type: 'template', value: cooked, raw, tail: false, start: from - 1, end: this.pos };
+            }
+            if (ch === '\\') {
+                cooked += input.slice(chunkStart, this.pos);
+                this.pos++;
+                cooked += this.readEscape();
+                chunkStart = this.pos;
+            } else {
+                this.pos++;
+            }
+        }
+    }
+
+    // Re-read a '/' or '/=' token as a regular expression literal
+    readRegExp(start) {
+        const input = this.input;
+        this.pos = start + 1;
+        let inClass = false;
+        for (;;) {
+            if (this.pos >= input.length || isLineBreak(input[this.pos])) {
+                this.raise(start, 'Unterminated regular expression');
+            }
+            const ch = input[this.pos];
+            if (ch === '\\') {
+                this.pos += 2;
+                continue;
+            }
+            if (ch === '[') inClass = true;
+            else if (ch === ']' && inClass) inClass = false;
+            else if (ch === '/' && !inClass) break;
+            this.pos++;
+        }
+        const pattern = input.slice(start + 1, this.pos);
+        this.pos++;
+        const flagsStart = this.pos;
+        while (this.pos < input.length && /[a-zA-Z0-9_$]/.test(input[this.pos])) this.pos++;
+        const flags = input.slice(flagsStart, this.pos);
+        return {
+            type: 'regexp',
+            value: { pattern, flags },
+            raw: input.slice(start, this.pos),
+            start,
+            end: this.pos
+        };
+    }
+
+    readNumber() {
+        const input = this.input;
+        const start = this.pos;
+        let isBigInt = false;
+        const prefix = input.slice(start, start + 2).toLowerCase();
+
+        if (prefix === '0x' || prefix === '0o' || prefix === '0b') {
+            this.pos += 2;
+            while (this.pos < input.length && /[0-9a-fA-F_]/.test(input[this.pos])) this.pos++;
+        } else {
+            while (this.pos < input.length && /[0-9_]/.test(input[this.pos])) this.pos++;
+            if (input[this.pos] === '.') {
+                this.pos++;
+                while (this.pos < input.length && /[0-9_]/.test(input[this.pos])) this.pos++;
+            }
+            if (input[this.pos] === 'e' || input[this.pos] === 'E') {
+                this.pos++;
+                if (input[this.pos] === '+' || input[this.pos] === '-') this.pos++;
+                while (this.pos < input.length && /[0-9_]/.test(input[this.pos])) this.pos++;
+            }
+        }
+        if (input[this.pos] === 'n') {
+            isBigInt = true;
+            this.pos++;
+        }
+        if (this.pos < input.length && IDENTIFIER_START.test(input[this.pos])) {
+            this.raise(this.pos, 'Identifier directly after number');
+        }
+
+        const raw = input.slice(start, this.pos);
+        const digits = raw.replace(/_/g, '');
+        let value;
+        if (isBigInt) {
+            value = null;
+        } else if (/^0[0-7]+$/.test(digits)) {
+            value = parseInt(digits, 8);
+        } else if (/^0[oO]/.test(digits)) {
+            value = parseInt(digits.slice(2), 8);
+        } else if (/^0[bB]/.test(digits)) {
+            value = parseInt(digits.slice(2), 2);
+        } else {
+            value = Number(digits);
+        }
+        return { type: 'num', value, raw, bigint: isBigInt ? digits.slice(0, -1) : undefined };
+    }
+}
+
+class Parser {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.options = options;
+        this.tokenizer = new Tokenizer(input);
+        this.tok = null;
+        this.prevEnd = 0;
+        this.inFunction = false;
+        this.inAsync = options.allowAwaitOutsideFunction !== false;
+        this.inGenerator = false;
+        this.typescript = Boolean(options.typescript);
+        this.jsx = Boolean(options.jsx);
+        this.typeOnlyRanges = [];
+        this.next();
+    }
+
+    // --- Token helpers ---
+
+    next() {
+        this.prevEnd = this.tok ? this.tok.end : 0;
+        this.tok = this.tokenizer.nextToken();
+    }
+
+    peek() {
+        const tokenizer = this.tokenizer;
+        const pos = tokenizer.pos;
+        const commentCount = tokenizer.comments.length;
+        let token;
+        try {
+            token = tokenizer.nextToken();
+        } catch (error) {
+            token = { type: 'invalid', value: null, start: pos, end: pos, nlBefore: false };
+        }
+        tokenizer.pos = pos;
+        tokenizer.comments.length = commentCount;
+        return token;
+    }
+
+    is(value) {
+        return this.tok.type === 'punct' && this.tok.value === value;
+    }
+
+    isName(value) {
+        return this.tok.type === 'name' && this.tok.value === value;
+    }
+
+    // Whether the token after the current one is one of the given punctuators
+    peekIs(...values) {
+        const next = this.peek();
+        return next.type === 'punct' && values.includes(next.value);
+    }
+
+    eat(value) {
+        if (this.is(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    eatName(value) {
+        if (this.isName(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.eat(value)) this.unexpected();
+    }
+
+    expectName(value) {
+        if (!this.eatName(value)) this.unexpected();
+    }
+
+    raise(pos, message) {
+        this.tokenizer.raise(pos, message);
+    }
+
+    unexpected(token = this.tok) {
+        const shown = token.type === 'eof' ? 'end of input' : this.input.slice(token.start, token.end);
+        this.raise(token.start, `Unexpected token '${shown}'`);
+    }
+
+    // Automatic semicolon insertion
+    semicolon() {
+        if (this.eat(';')) return;
+        if (this.is('}') || this.tok.type === 'eof' || this.tok.nlBefore) return;
+        this.unexpected();
+    }
+
+    canInsertSemicolon() {
+        return this.tok.type === 'eof' || this.is('}') || this.is(';') || this.tok.nlBefore;
+    }
+
+    finish(type, start, props) {
+        return Object.assign({ type, start, end: this.prevEnd }, props);
+    }
+
+    // --- Backtracking, for syntax TypeScript makes ambiguous ---
+
+    saveState() {
+        return {
+            pos: this.tokenizer.pos,
+            commentCount: this.tokenizer.comments.length,
+            tok: this.tok,
+            prevEnd: this.prevEnd,
+            rangeCount: this.typeOnlyRanges.length
+        };
+    }
+
+    restoreState(state) {
+        this.tokenizer.pos = state.pos;
+        this.tokenizer.comments.length = state.commentCount;
+        this.tok = state.tok;
+        this.prevEnd = state.prevEnd;
+        this.typeOnlyRanges.length = state.rangeCount;
+    }
+
+    // Run `fn`, keeping what it consumed if it returns a result. If it returns
+    // false or fails with a syntax error, the position is restored and null returned.
+    tryParse(fn) {
+        const state = this.saveState();
+        try {
+            const result = fn();
+            if (result !== false) return result;
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+        }
+        this.restoreState(state);
+        return null;
+    }
+
+    // Run `fn` to look ahead; the position is always restored
+    lookahead(fn) {
+        const state = this.saveState();
+        try {
+            return fn();
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            return false;
+        } finally {
+            this.restoreState(state);
+        }
+    }
+
+    withContext(flags, fn) {
+        const saved = { inFunction: this.inFunction, inAsync: this.inAsync, inGenerator: this.inGenerator };
+        Object.assign(this, flags);
+        try {
+            return fn();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    // --- Program ---
+
+    parseProgram() {
+        const body = [];
+        const errors = [];
+        while (this.tok.type !== 'eof') {
+            const statementToken = this.tok;
+            const rangeCount = this.typeOnlyRanges.length;
+            try {
+                body.push(this.parseStatement());
+            } catch (error) {
+                if (!(error instanceof SyntaxError) || !this.options.recover) throw error;
+                errors.push({ message: error.reason || error.message, pos: error.pos, line: error.line, column: error.column });
+                // A skipped statement is left as written, types and all
+                this.typeOnlyRanges.length = rangeCount;
+                this.recover(statementToken);
+            }
+        }
+        return {
+            type: 'Program',
+            start: 0,
+            end: this.input.length,
+            sourceType: 'module',
+            body,
+            comments: this.tokenizer.comments,
+            typeOnlyRanges: this.typeOnlyRanges,
+            errors
+        };
+    }
+
+    // Resume after a failed statement at the next token that starts a line at
+    // column zero, which is where top-level declarations usually begin
+    recover(statementToken) {
+        this.inFunction = false;
+        this.inGenerator = false;
+        this.inAsync = this.options.allowAwaitOutsideFunction !== false;
+        const tokenizer = this.tokenizer;
+        const input = this.input;
+        tokenizer.pos = statementToken.end;
+        tokenizer.comments = tokenizer.comments.filter(comment => comment.end <= statementToken.end);
+        for (;;) {
+            try {
+                this.tok = tokenizer.nextToken();
+            } catch (error) {
+                tokenizer.pos = (error.pos || tokenizer.pos) + 1;
+                continue;
+            }
+            if (this.tok.type === 'eof') return;
+            const atLineStart = this.tok.start === 0 || isLineBreak(input[this.tok.start - 1]);
+            if (this.tok.nlBefore && atLineStart && !this.is('}') && !this.is(')') && !this.is(']')) {
+                return;
+            }
+        }
+    }
+
+    // --- Statements ---
+
+    parseStatement() {
+        const tok = this.tok;
+        const start = tok.start;
+
+        if (tok.type === 'punct') {
+            if (tok.value === '{') return this.parseBlock();
+            if (tok.value === ';') {
+                this.next();
+                return this.finish('EmptyStatement', start);
+            }
+        }
+
+        if (tok.type === 'name' && this.typescript) {
+            const declaration = this.parseTypeScriptStatement();
+            if (declaration) return declaration;
+        }
+
+        if (tok.type === 'name') {
+            switch (tok.value) {
+                case 'var':
+                case 'const':
+                    return this.parseVarStatement(tok.value);
+                case 'let': {
+                    const next = this.peek();
+                    if (next.type === 'name' || (next.type === 'punct' && (next.value === '[' || next.value === '{'))) {
+                        return this.parseVarStatement('let');
+                    }
+                    break;
+                }
+                case 'using': {
+                    const next = this.peek();
+                    if (next.type === 'name' && !next.nlBefore && !RESERVED_WORDS.has(next.value)) {
+                        return this.parseVarStatement('using');
+                    }
+                    break;
+                }
+                case 'function':
+                    this.next();
+                    return this.parseFunction(start, true, false);
+                case 'async': {
+                    const next = this.peek();
+                    if (next.type === 'name' && next.value === 'function' && !next.nlBefore) {
+                        this.next();
+                        this.next();
+                        return this.parseFunction(start, true, true);
+                    }
+                    break;
+                }
+                case 'class':
+                    return this.parseClass(true);
+                case 'if': return this.parseIfStatement();
+                case 'for': return this.parseForStatement();
+                case 'while': return this.parseWhileStatement();
+                case 'do': return this.parseDoStatement();
+                case 'return': return this.parseReturnStatement();
+                case 'break':
+                case 'continue':
+                    return this.parseBreakContinue(tok.value);
+                case 'throw': return this.parseThrowStatement();
+                case 'try': return this.parseTryStatement();
+                case 'switch': return this.parseSwitchStatement();
+                case 'with': return this.parseWithStatement();
+                case 'debugger':
+                    this.next();
+                    this.semicolon();
+                    return this.finish('DebuggerStatement', start);
+                case 'import': {
+                    const next = this.peek();
+                    if (!(next.type === 'punct' && (next.value === '(' || next.value === '.'))) {
+                        return this.parseImport();
+                    }
+                    break;
+                }
+                case 'export':
+                    return this.parseExport();
+            }
+        }
+
+        const expression = this.parseExpression();
+        if (expression.type === 'Identifier' && expression.start === start && this.eat(':')) {
+            const body = this.parseStatement();
+            return this.finish('LabeledStatement', start, { label: expression, body });
+        }
+        this.semicolon();
+        return this.finish('ExpressionStatement', start, { expression });
+    }
+
+    // Declarations only TypeScript has, or null if the statement is plain JavaScript
+    parseTypeScriptStatement() {
+        const start = this.tok.start;
+        const next = this.peek();
+        const nextIsName = next.type === 'name' && !next.nlBefore;
+        switch (this.tok.value) {
+            case 'interface':
+                return nextIsName ? this.parseInterface() : null;
+            case 'type':
+                return nextIsName ? this.parseTypeAlias() : null;
+            case 'enum':
+                return nextIsName ? this.parseEnum(start, false) : null;
+            case 'const':
+                if (next.type !== 'name' || next.value !== 'enum') return null;
+                this.next();
+                return this.parseEnum(start, true);
+            case 'namespace':
+            case 'module':
+                return nextIsName ? this.parseNamespace(start) : null;
+            case 'declare':
+                return nextIsName ? this.parseAmbientDeclaration() : null;
+            case 'abstract':
+                if (!nextIsName || next.value !== 'class') return null;
+                this.next();
+                this.markTypeOnly(start, this.tok.start);
+                return this.parseClass(true);
+        }
+        return null;
+    }
+
+    parseBlock() {
+        const start = this.tok.start;
+        this.expect('{');
+        const body = [];
+        while (!this.eat('}')) {
+            if (this.tok.type === 'eof') this.unexpected();
+            body.push(this.parseStatement());
+        }
+        return this.finish('BlockStatement', start, { body });
+    }
+
+    parseVarStatement(kind) {
+        const start = this.tok.start;
+        this.next();
+        const declarations = this.parseVarDeclarations(false);
+        this.semicolon();
+        return this.finish('VariableDeclaration', start, { kind, declarations });
+    }
+
+    parseVarDeclarations(noIn) {
+        const declarations = [];
+        do {
+            const start = this.tok.start;
+            const id = this.parseBindingAtom();
+            this.skipBindingType();
+            const init = this.eat('=') ? this.parseMaybeAssign(noIn) : null;
+            declarations.push(this.finish('VariableDeclarator', start, { id, init }));
+        } while (this.eat(','));
+        return declarations;
+    }
+
+    parseIfStatement() {
+        const start = this.tok.start;
+        this.next();
+        const test = this.parseParenExpression();
+        const consequent = this.parseStatement();
+        const alternate = this.eatName('else') ? this.parseStatement() : null;
+        return this.finish('IfStatement', start, { test, consequent, alternate });
+    }
+
+    parseParenExpression() {
+        this.expect('(');
+        const expression = this.parseExpression();
+        this.expect(')');
+        return expression;
+    }
+
+    parseForStatement() {
+        const start = this.tok.start;
+        this.next();
+        const isAwait = this.eatName('await');
+        this.expect('(');
+
+        let init = null;
+        if (!this.is(';')) {
+            const initStart = this.tok.start;
+            const isLet = this.isName('let') && (() => {
+                const next = this.peek();
+                return next.type === 'name' || (next.type === 'punct' && (next.value === '[' || next.value === '{'));
+            })();
+            if (this.isName('var') || this.isName('const') || isLet) {
+                const kind = this.tok.value;
+                this.next();
+                const declarations = this.parseVarDeclarations(true);
+                init = this.finish('VariableDeclaration', initStart, { kind, declarations });
+            } else {
+                init = this.parseExpression(true);
+            }
+
+            if (this.isName('of') || this.isName('in')) {
+                const isOf = this.tok.value === 'of';
+                this.next();
+                const left = init.type === 'VariableDeclaration' ? init : this.toAssignable(init);
+                const right = isOf ? this.parseMaybeAssign() : this.parseExpression();
+                this.expect(')');
+                const body = this.parseStatement();
+                return isOf
+                    ? this.finish('ForOfStatement', start, { await: isAwait, left, right, body })
+                    : this.finish('ForInStatement', start, { left, right, body });
+            }
+        }
+
+        this.expect(';');
+        const test = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        const update = this.is(')') ? null : this.parseExpression();
+        this.expect(')');
+        const body = this.parseStatement();
+        return this.finish('ForStatement', start, { init, test, update, body });
+    }
+
+    parseWhileStatement() {
+        const start = this.tok.start;
+        this.next();
+        const test = this.parseParenExpression();
+        const body = this.parseStatement();
+        return this.finish('WhileStatement', start, { test, body });
+    }
+
+    parseDoStatement() {
+        const start = this.tok.start;
+        this.next();
+        const body = this.parseStatement();
+        this.expectName('while');
+        const test = this.parseParenExpression();
+        this.eat(';');
+        return this.finish('DoWhileStatement', start, { body, test });
+    }
+
+    parseReturnStatement() {
+        const start = this.tok.start;
+        this.next();
+        const argument = this.canInsertSemicolon() ? null : this.parseExpression();
+        this.semicolon();
+        return this.finish('ReturnStatement', start, { argument });
+    }
+
+    parseBreakContinue(keyword) {
+        const start = this.tok.start;
+        this.next();
+        let label = null;
+        if (this.tok.type === 'name' && !this.tok.nlBefore && !RESERVED_WORDS.has(this.tok.value)) {
+            label = this.parseIdent();
+        }
+        this.semicolon();
+        return this.finish(keyword === 'break' ? 'BreakStatement' : 'ContinueStatement', start, { label });
+    }
+
+    parseThrowStatement() {
+        const start = this.tok.start;
+        this.next();
+        const argument = this.parseExpression();
+        this.semicolon();
+        return this.finish('ThrowStatement', start, { argument });
+    }
+
+    parseTryStatement() {
+        const start = this.tok.start;
+        this.next();
+        const block = this.parseBlock();
+        let handler = null;
+        if (this.isName('catch')) {
+            const clauseStart = this.tok.start;
+            this.next();
+            let param = null;
+            if (this.eat('(')) {
+                param = this.parseBindingAtom();
+                this.skipBindingType();
+                this.expect(')');
+            }
+            const body = this.parseBlock();
+            handler = this.finish('CatchClause', clauseStart, { param, body });
+        }
+        const finalizer = this.eatName('finally') ? this.parseBlock() : null;
+        if (!handler && !finalizer) this.raise(this.tok.start, 'Missing catch or finally clause');
+        return this.finish('TryStatement', start, { block, handler, finalizer });
+    }
+
+    parseSwitchStatement() {
+        const start = this.tok.start;
+        this.next();
+        const discriminant = this.parseParenExpression();
+        const cases = [];
+        this.expect('{');
+        while (!this.eat('}')) {
+            const caseStart = this.tok.start;
+            let test = null;
+            if (this.eatName('case')) {
+                test = this.parseExpression();
+            } else {
+                this.expectName('default');
+            }
+            this.expect(':');
+            const consequent = [];
+            while (!this.isName('case') && !this.isName('default') && !this.is('}')) {
+                if (this.tok.type === 'eof') this.unexpected();
+                consequent.push(this.parseStatement());
+            }
+            cases.push(this.finish('SwitchCase', caseStart, { test, consequent }));
+        }
+        return this.finish('SwitchStatement', start, { discriminant, cases });
+    }
+
+    parseWithStatement() {
+        const start = this.tok.start;
+        this.next();
+        const object = this.parseParenExpression();
+        const body = this.parseStatement();
+        return this.finish('WithStatement', start, { object, body });
+    }
+
+    // --- Modules ---
+
+    parseModuleSource() {
+        if (this.tok.type !== 'string') this.unexpected();
+        const source = this.parseLiteral();
+        // Import attributes: `with { type: 'json' }` (or the older `assert`)
+        if ((this.isName('with') || this.isName('assert')) && !this.tok.nlBefore) {
+            this.next();
+            this.parseObjectLike();
+        }
+        return source;
+    }
+
+    parseModuleExportName() {
+        if (this.tok.type === 'string') return this.parseLiteral();
+        return this.parseIdent(true);
+    }
+
+    parseImport() {
+        const start = this.tok.start;
+        this.next();
+        const specifiers = [];
+
+        // `import type { A } from '...'` brings in types only
+        const next = this.peek();
+        const typeOnly = this.typescript && this.isName('type') &&
+            (next.value === '{' || next.value === '*' || (next.type === 'name' && next.value !== 'from'));
+        if (typeOnly) this.next();
+
+        if (this.tok.type !== 'string') {
+            if (this.tok.type === 'name') {
+                const localStart = this.tok.start;
+                const local = this.parseIdent();
+                specifiers.push(this.finish('ImportDefaultSpecifier', localStart, { local }));
+                this.eat(',');
+            }
+            if (this.is('*')) {
+                const nsStart = this.tok.start;
+                this.next();
+                this.expectName('as');
+                const local = this.parseIdent();
+                specifiers.push(this.finish('ImportNamespaceSpecifier', nsStart, { local }));
+            } else if (this.eat('{')) {
+                while (!this.eat('}')) {
+                    const specStart = this.tok.start;
+                    const isType = this.isTypeSpecifier();
+                    if (isType) this.next();
+                    const imported = this.parseModuleExportName();
+                    const local = this.eatName('as') ? this.parseIdent() : imported;
+                    if (!isType) specifiers.push(this.finish('ImportSpecifier', specStart, { imported, local }));
+                    if (!this.is('}')) this.expect(',');
+                    if (isType) this.markTypeOnly(specStart);
+                }
+            }
+            this.expectName('from');
+        }
+
+        const source = this.parseModuleSource();
+        this.semicolon();
+        if (typeOnly) this.markTypeOnly(start);
+        return this.finish('ImportDeclaration', start, { specifiers, source });
+    }
+
+    // `type A` in `import { type A, B }` or `export { type A }`
+    isTypeSpecifier() {
+        if (!this.typescript || !this.isName('type')) return false;
+        const next = this.peek();
+        return (next.type === 'name' && next.value !== 'as') || next.type === 'string';
+    }
+
+    parseExport() {
+        const start = this.tok.start;
+        this.next();
+
+        // `export type { A }` and `export type * from '...'` only re-export types
+        const typeOnly = this.typescript && this.isName('type') && this.peekIs('{', '*');
+        if (typeOnly) this.next();
+
+        if (this.eat('*')) {
+            const exported = this.eatName('as') ? this.parseModuleExportName() : null;
+            this.expectName('from');
+            const source = this.parseModuleSource();
+            this.semicolon();
+            if (typeOnly) this.markTypeOnly(start);
+            return this.finish('ExportAllDeclaration', start, { exported, source });
+        }
+
+        if (this.eatName('default')) {
+            const declStart = this.tok.start;
+            let declaration;
+            if (this.isName('function')) {
+                this.next();
+                declaration = this.parseFunction(declStart, true, false, true);
+            } else if (this.isName('async') && this.peek().value === 'function' && !this.peek().nlBefore) {
+                this.next();
+                this.next();
+                declaration = this.parseFunction(declStart, true, true, true);
+            } else if (this.isName('class')) {
+                declaration = this.parseClass(true, true);
+            } else if (this.typescript && this.isName('abstract') && this.peek().value === 'class') {
+                this.next();
+                this.markTypeOnly(declStart, this.tok.start);
+                declaration = this.parseClass(true, true);
+            } else if (this.typescript && this.isName('interface') && this.peek().type === 'name') {
+                declaration = this.parseInterface();
+            } else {
+                declaration = this.parseMaybeAssign();
+                this.semicolon();
+            }
+            if (TYPE_ONLY_DECLARATIONS.has(declaration.type)) this.markTypeOnly(start, declaration.start);
+            return this.finish('ExportDefaultDeclaration', start, { declaration });
+        }
+
+        if (this.is('{')) {
+            this.next();
+            const specifiers = [];
+            while (!this.eat('}')) {
+                const specStart = this.tok.start;
+                const isType = this.isTypeSpecifier();
+                if (isType) this.next();
+                const local = this.parseModuleExportName();
+                const exported = this.eatName('as') ? this.parseModuleExportName() : local;
+                if (!isType) specifiers.push(this.finish('ExportSpecifier', specStart, { local, exported }));
+                if (!this.is('}')) this.expect(',');
+                if (isType) this.markTypeOnly(specStart);
+            }
+            const source = this.eatName('from') ? this.parseModuleSource() : null;
+            this.semicolon();
+            if (typeOnly) this.markTypeOnly(start);
+            return this.finish('ExportNamedDeclaration', start, { declaration: null, specifiers, source });
+        }
+
+        const declaration = this.parseStatement();
+        if (TYPE_ONLY_DECLARATIONS.has(declaration.type)) this.markTypeOnly(start, declaration.start);
+        return this.finish('ExportNamedDeclaration', start, { declaration, specifiers: [], source: null });
+    }
+
+    // --- Functions and classes ---
+
+    parseFunction(start, isStatement, isAsync, allowAnonymous = false) {
+        const generator = this.eat('*');
+        let id = null;
+        if (this.tok.type === 'name') {
+            id = this.parseIdent();
+        } else if (isStatement && !allowAnonymous) {
+            this.unexpected();
+        }
+        const { params, body } = this.parseFunctionRest(isAsync, generator);
+        // An overload signature or `declare function` has no code
+        if (!body) {
+            this.markTypeOnly(start);
+            return this.finish('TSDeclareFunction', start, { id });
+        }
+        return this.finish(isStatement ? 'FunctionDeclaration' : 'FunctionExpression', start, {
+            id, params, body, async: isAsync, generator, expression: false
+        });
+    }
+
+    parseFunctionRest(isAsync, generator) {
+        return this.withContext({ inFunction: true, inAsync: isAsync, inGenerator: generator }, () => {
+            this.skipTypeParameters();
+            const params = this.parseFunctionParams();
+            this.skipTypeAnnotation();
+            // Overload signatures and abstract methods end without a body
+            if (this.typescript && !this.is('{')) {
+                this.semicolon();
+                return { params, body: null };
+            }
+            const body = this.parseBlock();
+            return { params, body };
+        });
+    }
+
+    parseFunctionParams() {
+        this.expect('(');
+        const params = [];
+        while (!this.eat(')')) {
+            // A `this` parameter only declares the type of `this`
+            if (this.typescript && this.isName('this') && this.peekIs(':')) {
+                const thisStart = this.tok.start;
+                this.next();
+                this.skipTypeAnnotation();
+                this.eat(',');
+                this.markTypeOnly(thisStart);
+                continue;
+            }
+            // `constructor(private name)` also declares a property
+            const paramStart = this.tok.start;
+            let isProperty = false;
+            while (this.typescript && this.tok.type === 'name' && PARAMETER_MODIFIERS.has(this.tok.value) &&
+                this.peek().type === 'name') {
+                this.next();
+                isProperty = true;
+            }
+            if (isProperty) this.markTypeOnly(paramStart, this.tok.start);
+            const param = this.is('...') ? this.parseRestBinding() : this.parseBindingElement();
+            if (isProperty) param.parameterProperty = true;
+            params.push(param);
+            if (!this.is(')')) this.expect(',');
+        }
+        return params;
+    }
+
+    parseArrow(start, params, isAsync, noIn) {
+        this.expect('=>');
+        return this.withContext({ inFunction: true, inAsync: isAsync, inGenerator: false }, () => {
+            if (this.is('{')) {
+                const body = this.parseBlock();
+                return this.finish('ArrowFunctionExpression', start, {
+                    id: null, params, body, async: isAsync, generator: false, expression: false
+                });
+            }
+            const body = this.parseMaybeAssign(noIn);
+            return this.finish('ArrowFunctionExpression', start, {
+                id: null, params, body, async: isAsync, generator: false, expression: true
+            });
+        });
+    }
+
+    parseClass(isStatement, allowAnonymous = false) {
+        const start = this.tok.start;
+        this.next();
+        let id = null;
+        if (this.tok.type === 'name' && !this.isName('extends') && !(this.typescript && this.isName('implements'))) {
+            id = this.parseIdent();
+        } else if (isStatement && !allowAnonymous) {
+            this.unexpected();
+        }
+        this.skipTypeParameters();
+        let superClass = null;
+        if (this.eatName('extends')) {
+            const superStart = this.tok.start;
+            superClass = this.parseSubscripts(this.parseExprAtom(), superStart, false);
+            if (this.typescript && this.is('<')) {
+                const typeStart = this.tok.start;
+                this.skipTypeArguments();
+                this.markTypeOnly(typeStart);
+            }
+        }
+        if (this.typescript && this.isName('implements')) {
+            const implementsStart = this.tok.start;
+            this.next();
+            do {
+                this.skipType();
+            } while (this.eat(','));
+            this.markTypeOnly(implementsStart);
+        }
+        const bodyStart = this.tok.start;
+        this.expect('{');
+        const members = [];
+        while (!this.eat('}')) {
+            if (this.eat(';')) continue;
+            if (this.tok.type === 'eof') this.unexpected();
+            // Members that are only types come back as null
+            const member = this.parseClassMember();
+            if (member) members.push(member);
+        }
+        const body = this.finish('ClassBody', bodyStart, { body: members });
+        return this.finish(isStatement ? 'ClassDeclaration' : 'ClassExpression', start, { id, superClass, body });
+    }
+
+    // Whether the token after a modifier keyword starts a member name
+    isModifierFollowedByName(allowBrace) {
+        const next = this.peek();
+        if (next.type === 'name' || next.type === 'string' || next.type === 'num' || next.type === 'privateName') {
+            return true;
+        }
+        return next.type === 'punct' && (next.value === '[' || next.value === '*' || (allowBrace && next.value === '{'));
+    }
+
+    parseClassMember() {
+        const start = this.tok.start;
+        let isStatic = false;
+        let isAsync = false;
+        let generator = false;
+        let kind = 'method';
+        // Abstract and `declare` members have no code
+        let isAmbient = this.skipMemberModifiers();
+
+        if (this.isName('static') && this.isModifierFollowedByName(true)) {
+            this.next();
+            if (this.is('{')) {
+                const body = this.withContext({ inFunction: true, inAsync: false, inGenerator: false }, () =>
+                    this.parseBlock().body);
+                return this.finish('StaticBlock', start, { body });
+            }
+            isStatic = true;
+            isAmbient = this.skipMemberModifiers() || isAmbient;
+        }
+        if (this.typescript && this.is('[') && this.isIndexSignature()) {
+            this.skipBracketed();
+            this.skipTypeAnnotation();
+            this.semicolon();
+            this.markTypeOnly(start);
+            return null;
+        }
+        if (this.isName('async') && this.isModifierFollowedByName(false) && !this.peek().nlBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat('*')) generator = true;
+        if (!isAsync && !generator && (this.isName('get') || this.isName('set')) && this.isModifierFollowedByName(false)) {
+            kind = this.tok.value;
+            this.next();
+        }
+
+        const { key, computed } = this.parsePropertyName();
+        // Optional (`name?`) and definitely assigned (`name!`) members
+        if (this.typescript && (this.is('?') || this.is('!'))) {
+            const markerStart = this.tok.start;
+            this.next();
+            this.markTypeOnly(markerStart);
+        }
+
+        if (this.is('(') || (this.typescript && this.is('<'))) {
+            if (!isStatic && !computed && kind === 'method' &&
+                ((key.type === 'Identifier' && key.name === 'constructor') ||
+                 (key.type === 'Literal' && key.value === 'constructor'))) {
+                kind = 'constructor';
+            }
+            const valueStart = this.tok.start;
+            const { params, body } = this.parseFunctionRest(isAsync, generator);
+            if (!body) {
+                this.markTypeOnly(start);
+                return null;
+            }
+            const value = this.finish('FunctionExpression', valueStart, {
+                id: null, params, body, async: isAsync, generator, expression: false
+            });
+            return this.finish('MethodDefinition', start, { key, computed, static: isStatic, kind, value });
+        }
+
+        this.skipTypeAnnotation();
+        let value = null;
+        if (this.eat('=')) {
+            value = this.withContext({ inFunction: true, inAsync: false, inGenerator: false }, () =>
+                this.parseMaybeAssign());
+        }
+        this.semicolon();
+        if (isAmbient) {
+            this.markTypeOnly(start);
+            return null;
+        }
+        return this.finish('PropertyDefinition', start, { key, computed, static: isStatic, value });
+    }
+
+    // Skip TypeScript modifiers such as `private` or `readonly`, reporting
+    // whether one of them (`abstract`, `declare`) means the member has no code
+    skipMemberModifiers() {
+        let isAmbient = false;
+        while (this.typescript && this.tok.type === 'name' && MEMBER_MODIFIERS.has(this.tok.value) &&
+            this.isModifierFollowedByName(false)) {
+            if (this.tok.value === 'abstract' || this.tok.value === 'declare') isAmbient = true;
+            const modifierStart = this.tok.start;
+            this.next();
+            this.markTypeOnly(modifierStart, this.tok.start);
+        }
+        return isAmbient;
+    }
+
+    // `[key: string]: Type` in a class body
+    isIndexSignature() {
+        return this.lookahead(() => {
+            this.next();
+            return this.tok.type === 'name' && this.peekIs(':');
+        });
+    }
+
+    parsePropertyName() {
+        const tok = this.tok;
+        if (this.eat('[')) {
+            const key = this.parseMaybeAssign();
+            this.expect(']');
+            return { key, computed: true };
+        }
+        if (tok.type === 'string' || tok.type === 'num') {
+            return { key: this.parseLiteral(), computed: false };
+        }
+        if (tok.type === 'privateName') {
+            this.next();
+            return { key: this.finish('PrivateIdentifier', tok.start, { name: tok.value }), computed: false };
+        }
+        return { key: this.parseIdent(true), computed: false };
+    }
+
+    // --- Binding patterns ---
+
+    parseBindingAtom() {
+        const start = this.tok.start;
+        if (this.eat('[')) {
+            const elements = [];
+            while (!this.eat(']')) {
+                if (this.is(',')) {
+                    this.next();
+                    elements.push(null);
+                    continue;
+                }
+                elements.push(this.is('...') ? this.parseRestBinding() : this.parseBindingElement());
+                if (!this.is(']')) this.expect(',');
+            }
+            return this.finish('ArrayPattern', start, { elements });
+        }
+        if (this.eat('{')) {
+            const properties = [];
+            while (!this.eat('}')) {
+                if (this.is('...')) {
+                    properties.push(this.parseRestBinding());
+                } else {
+                    const propStart = this.tok.start;
+                    const { key, computed } = this.parsePropertyName();
+                    let value;
+                    let shorthand = false;
+                    if (this.eat(':')) {
+                        value = this.parseBindingElement();
+                    } else {
+                        if (key.type !== 'Identifier') this.unexpected();
+                        shorthand = true;
+                        value = key;
+                        if (this.eat('=')) {
+                            const right = this.parseMaybeAssign();
+                            value = this.finish('AssignmentPattern', propStart, { left: key, right });
+                        }
+                    }
+                    properties.push(this.finish('Property', propStart, {
+                        key, value, computed, shorthand, method: false, kind: 'init'
+                    }));
+                }
+                if (!this.is('}')) this.expect(',');
+            }
+            return this.finish('ObjectPattern', start, { properties });
+        }
+        return this.parseIdent();
+    }
+
+    parseBindingElement() {
+        const start = this.tok.start;
+        const left = this.parseBindingAtom();
+        this.skipBindingType();
+        if (!this.eat('=')) return left;
+        const right = this.parseMaybeAssign();
+        return this.finish('AssignmentPattern', start, { left, right });
+    }
+
+    parseRestBinding() {
+        const start = this.tok.start;
+        this.expect('...');
+        const argument = this.parseBindingAtom();
+        this.skipBindingType();
+        return this.finish('RestElement', start, { argument });
+    }
+
+    // Convert an expression parsed with the cover grammar into a pattern
+    toAssignable(node) {
+        switch (node.type) {
+            case 'Identifier':
+            case 'MemberExpression':
+            case 'ObjectPattern':
+            case 'ArrayPattern':
+            case 'AssignmentPattern':
+            case 'RestElement':
+                return node;
+            case 'ObjectExpression':
+                node.type = 'ObjectPattern';
+                node.properties = node.properties.map(prop => {
+                    if (prop.type === 'SpreadElement') {
+                        return Object.assign(prop, { type: 'RestElement', argument: this.toAssignable(prop.argument) });
+                    }
+                    prop.value = this.toAssignable(prop.value);
+                    return prop;
+                });
+                return node;
+            case 'ArrayExpression':
+                node.type = 'ArrayPattern';
+                node.elements = node.elements.map(element => {
+                    if (!element) return element;
+                    if (element.type === 'SpreadElement') {
+                        return Object.assign(element, { type: 'RestElement', argument: this.toAssignable(element.argument) });
+                    }
+                    return this.toAssignable(element);
+                });
+                return node;
+            case 'SpreadElement':
+                return Object.assign(node, { type: 'RestElement', argument: this.toAssignable(node.argument) });
+            case 'AssignmentExpression':
+                if (node.operator !== '=') break;
+                delete node.operator;
+                node.type = 'AssignmentPattern';
+                node.left = this.toAssignable(node.left);
+                return node;
+        }
+        this.raise(node.start, 'Invalid assignment target');
+    }
+
+    // --- Expressions ---
+
+    parseExpression(noIn = false) {
+        const start = this.tok.start;
+        const expression = this.parseMaybeAssign(noIn);
+        if (!this.is(',')) return expression;
+        const expressions = [expression];
+        while (this.eat(',')) expressions.push(this.parseMaybeAssign(noIn));
+        return this.finish('SequenceExpression', start, { expressions });
+    }
+
+    parseMaybeAssign(noIn = false) {
+        if (this.inGenerator && this.isName('yield')) return this.parseYield(noIn);
+
+        const start = this.tok.start;
+        const left = this.parseMaybeConditional(noIn);
+        if (this.tok.type === 'punct' && ASSIGNMENT_OPERATORS.has(this.tok.value)) {
+            const operator = this.tok.value;
+            const target = operator === '=' ? this.toAssignable(left) : left;
+            this.next();
+            const right = this.parseMaybeAssign(noIn);
+            return this.finish('AssignmentExpression', start, { operator, left: target, right });
+        }
+        return left;
+    }
+
+    parseYield(noIn) {
+        const start = this.tok.start;
+        this.next();
+        let delegate = false;
+        let argument = null;
+        if (!this.tok.nlBefore) {
+            delegate = this.eat('*');
+            const endsExpression = this.tok.type === 'eof' ||
+                (this.tok.type === 'punct' && [')', ']', '}', ',', ';', ':'].includes(this.tok.value)) ||
+                (this.isName('in') || this.isName('of'));
+            if (delegate || !endsExpression) argument = this.parseMaybeAssign(noIn);
+        }
+        return this.finish('YieldExpression', start, { delegate, argument });
+    }
+
+    parseMaybeConditional(noIn) {
+        const start = this.tok.start;
+        const test = this.parseExprOps(noIn);
+        // `(a?: T) =>` marks an optional arrow parameter rather than a conditional
+        if (this.typescript && this.is('?') && this.peekIs(':', ',', ')', '=')) return test;
+        if (!this.eat('?')) return test;
+        const consequent = this.parseMaybeAssign();
+        this.expect(':');
+        const alternate = this.parseMaybeAssign(noIn);
+        return this.finish('ConditionalExpression', start, { test, consequent, alternate });
+    }
+
+    parseExprOps(noIn) {
+        const start = this.tok.start;
+        const left = this.parseMaybeUnary();
+        if (left.type === 'ArrowFunctionExpression' && left.start === start) return left;
+        return this.parseExprOp(left, start, -1, noIn);
+    }
+
+    currentBinaryOperator(noIn) {
+        const tok = this.tok;
+        if (tok.type === 'punct' && Object.prototype.hasOwnProperty.call(BINARY_PRECEDENCE, tok.value)) {
+            return tok.value;
+        }
+        if (tok.type === 'name' && (tok.value === 'instanceof' || (tok.value === 'in' && !noIn))) {
+            return tok.value;
+        }
+        return null;
+    }
+
+    parseExprOp(left, leftStart, minPrec, noIn) {
+        for (;;) {
+            // `value as T` and `value satisfies T` bind like relational operators
+            if (this.typescript && (this.isName('as') || this.isName('satisfies')) && !this.tok.nlBefore && minPrec < 7) {
+                const typeStart = this.tok.start;
+                this.next();
+                if (!this.eatName('const')) this.skipType();
+                this.markTypeOnly(typeStart);
+                continue;
+            }
+            const operator = this.currentBinaryOperator(noIn);
+            if (!operator) return left;
+            const prec = BINARY_PRECEDENCE[operator];
+            if (prec <= minPrec) return left;
+            this.next();
+            const rightStart = this.tok.start;
+            const right = this.parseExprOp(this.parseMaybeUnary(), rightStart, operator === '**' ? prec - 1 : prec, noIn);
+            const type = operator === '&&' || operator === '||' || operator === '??' ? 'LogicalExpression' : 'BinaryExpression';
+            left = this.finish(type, leftStart, { operator, left, right });
+        }
+    }
+
+    parseMaybeUnary() {
+        const tok = this.tok;
+        const start = tok.start;
+
+        if (tok.type === 'name' && tok.value === 'await' && this.inAsync) {
+            this.next();
+            const argument = this.parseMaybeUnary();
+            return this.finish('AwaitExpression', start, { argument });
+        }
+
+        const isPrefix = (tok.type === 'punct' && ['!', '~', '+', '-', '++', '--'].includes(tok.value)) ||
+            (tok.type === 'name' && (tok.value === 'typeof' || tok.value === 'void' || tok.value === 'delete'));
+        if (isPrefix) {
+            const operator = tok.value;
+            this.next();
+            const argument = this.parseMaybeUnary();
+            if (operator === '++' || operator === '--') {
+                return this.finish('UpdateExpression', start, { operator, prefix: true, argument });
+            }
+            return this.finish('UnaryExpression', start, { operator, prefix: true, argument });
+        }
+
+        const expression = this.parseExprSubscripts();
+        if ((this.is('++') || this.is('--')) && !this.tok.nlBefore) {
+            const operator = this.tok.value;
+            this.next();
+            return this.finish('UpdateExpression', start, { operator, prefix: false, argument: expression });
+        }
+        return expression;
+    }
+
+    parseExprSubscripts() {
+        const start = this.tok.start;
+        const base = this.parseExprAtom();
+        // An unparenthesized arrow function cannot be called or indexed
+        if (base.type === 'ArrowFunctionExpression' && base.start === start) return base;
+        return this.parseSubscripts(base, start, false);
+    }
+
+    parseSubscripts(base, start, noCalls) {
+        let optionalChain = false;
+        for (;;) {
+            const tok = this.tok;
+            if (this.is('?.') && !noCalls) {
+                optionalChain = true;
+                this.next();
+                if (this.eat('(')) {
+                    const args = this.parseArguments();
+                    base = this.finish('CallExpression', start, { callee: base, arguments: args, optional: true });
+                } else if (this.eat('[')) {
+                    const property = this.parseExpression();
+                    this.expect(']');
+                    base = this.finish('MemberExpression', start, { object: base, property, computed: true, optional: true });
+                } else {
+                    const property = this.parseMemberProperty();
+                    base = this.finish('MemberExpression', start, { object: base, property, computed: false, optional: true });
+                }
+            } else if (this.eat('.')) {
+                const property = this.parseMemberProperty();
+                base = this.finish('MemberExpression', start, { object: base, property, computed: false, optional: false });
+            } else if (this.eat('[')) {
+                const property = this.parseExpression();
+                this.expect(']');
+                base = this.finish('MemberExpression', start, { object: base, property, computed: true, optional: false });
+            } else if (this.typescript && this.is('!') && !tok.nlBefore) {
+                // Non-null assertion `value!`
+                this.next();
+                this.markTypeOnly(tok.start);
+            } else if (this.typescript && this.is('<') && this.tryCallTypeArguments()) {
+                // Type arguments `f<T>(x)`; the call is parsed next time round
+            } else if (!noCalls && this.is('(')) {
+                const isAsyncArrow = base.type === 'Identifier' && base.name === 'async' &&
+                    base.end === this.prevEnd && !tok.nlBefore && !optionalChain;
+                this.next();
+                const args = this.parseArguments();
+                if (isAsyncArrow && this.typescript && this.is(':')) this.tryArrowReturnType();
+                if (isAsyncArrow && this.is('=>') && !this.tok.nlBefore) {
+                    const params = args.map(arg => this.toAssignable(arg));
+                    return this.parseArrow(start, params, true, false);
+                }
+                base = this.finish('CallExpression', start, { callee: base, arguments: args, optional: false });
+            } else if (tok.type === 'template') {
+                const quasi = this.parseTemplate();
+                base = this.finish('TaggedTemplateExpression', start, { tag: base, quasi });
+            } else {
+                return base;
+            }
+        }
+    }
+
+    parseMemberProperty() {
+        if (this.tok.type === 'privateName') {
+            const tok = this.tok;
+            this.next();
+            return this.finish('PrivateIdentifier', tok.start, { name: tok.value });
+        }
+        return this.parseIdent(true);
+    }
+
+    parseArguments() {
+        const args = [];
+        while (!this.eat(')')) {
+            if (this.is('...')) {
+                const spreadStart = this.tok.start;
+                this.next();
+                const argument = this.parseMaybeAssign();
+                args.push(this.finish('SpreadElement', spreadStart, { argument }));
+                // ...or a typed rest parameter
+                if (this.typescript && this.is(':')) this.skipBindingType();
+            } else {
+                // The arguments may turn out to be typed `async (...) =>` parameters
+                args.push(this.parseTypedArrowParam(this.parseMaybeAssign()));
+            }
+            if (!this.is(')')) this.expect(',');
+        }
+        return args;
+    }
+
+    parseExprAtom() {
+        const tok = this.tok;
+        const start = tok.start;
+
+        switch (tok.type) {
+            case 'punct':
+                switch (tok.value) {
+                    case '/':
+                    case '/=': {
+                        const regexToken = this.tokenizer.readRegExp(start);
+                        regexToken.nlBefore = tok.nlBefore;
+                        this.tok = regexToken;
+                        this.next();
+                        let value = null;
+                        try {
+                            value = new RegExp(regexToken.value.pattern, regexToken.value.flags);
+                        } catch (error) {
+                            value = null;
+                        }
+                        return this.finish('Literal', start, { value, raw: regexToken.raw, regex: regexToken.value });
+                    }
+                    case '(':
+                        return this.parseParenAndDistinguish();
+                    case '[':
+                        return this.parseArrayLiteral();
+                    case '{':
+                        return this.parseObjectLike();
+                    case '<': {
+                        const arrow = this.typescript ? this.tryGenericArrow() : null;
+                        if (arrow) return arrow;
+                        if (this.jsx) {
+                            const element = this.parseJsxElementAt();
+                            this.next();
+                            return element;
+                        }
+                        if (this.typescript) return this.parseTypeAssertion();
+                        break;
+                    }
+                }
+                break;
+            case 'num':
+            case 'string':
+                return this.parseLiteral();
+            case 'template':
+                return this.parseTemplate();
+            case 'privateName':
+                this.next();
+                return this.finish('PrivateIdentifier', start, { name: tok.value });
+            case 'name':
+                return this.parseNameAtom();
+        }
+        this.unexpected();
+    }
+
+    parseNameAtom() {
+        const tok = this.tok;
+        const start = tok.start;
+        switch (tok.value) {
+            case 'this':
+                this.next();
+                return this.finish('ThisExpression', start);
+            case 'super':
+                this.next();
+                return this.finish('Super', start);
+            case 'null':
+                this.next();
+                return this.finish('Literal', start, { value: null, raw: 'null' });
+            case 'true':
+            case 'false':
+                this.next();
+                return this.finish('Literal', start, { value: tok.value === 'true', raw: tok.value });
+            case 'function':
+                this.next();
+                return this.parseFunction(start, false, false);
+            case 'class':
+                return this.parseClass(false);
+            case 'new':
+                return this.parseNew();
+            case 'import': {
+                this.next();
+                if (this.eat('.')) {
+                    const property = this.parseIdent(true);
+                    return this.finish('MetaProperty', start, {
+                        meta: { type: 'Identifier', start, end: start + 6, name: 'import' },
+                        property
+                    });
+                }
+                this.expect('(');
+                const source = this.parseMaybeAssign();
+                const options = this.eat(',') && !this.is(')') ? this.parseMaybeAssign() : null;
+                this.eat(',');
+                this.expect(')');
+                return this.finish('ImportExpression', start, { source, options });
+            }
+            case 'async': {
+                const next = this.peek();
+                if (!next.nlBefore && next.type === 'name' && next.value === 'function') {
+                    this.next();
+                    this.next();
+                    return this.parseFunction(start, false, true);
+                }
+                if (this.typescript && !next.nlBefore && next.value === '<') {
+                    // A generic async arrow `async <T>(x: T) => x`
+                    const arrow = this.tryParse(() => {
+                        this.next();
+                        this.skipTypeParameters();
+                        if (!this.eat('(')) return false;
+                        const args = this.parseArguments();
+                        if (this.is(':')) this.tryArrowReturnType();
+                        if (!this.is('=>') || this.tok.nlBefore) return false;
+                        return this.parseArrow(start, args.map(arg => this.toAssignable(arg)), true, false);
+                    });
+                    if (arrow) return arrow;
+                }
+                if (!next.nlBefore && next.type === 'name' && !RESERVED_WORDS.has(next.value)) {
+                    this.next();
+                    const param = this.parseIdent();
+                    if (this.is('=>') && !this.tok.nlBefore) {
+                        return this.parseArrow(start, [param], true, false);
+                    }
+                    this.unexpected();
+                }
+                break;
+            }
+        }
+
+        const id = this.parseIdent();
+        if (this.is('=>') && !this.tok.nlBefore) {
+            return this.parseArrow(start, [id], false, false);
+        }
+        return id;
+    }
+
+    parseIdent(allowReserved = false) {
+        const tok = this.tok;
+        if (tok.type !== 'name' || (!allowReserved && RESERVED_WORDS.has(tok.value))) this.unexpected();
+        this.next();
+        return this.finish('Identifier', tok.start, { name: tok.value });
+    }
+
+    parseLiteral() {
+        const tok = this.tok;
+        this.next();
+        const props = { value: tok.value, raw: tok.raw };
+        if (tok.bigint !== undefined) props.bigint = tok.bigint;
+        return this.finish('Literal', tok.start, props);
+    }
+
+    parseTemplate() {
+        const start = this.tok.start;
+        const quasis = [];
+        const expressions = [];
+        for (;;) {
+            const tok = this.tok;
+            if (tok.type !== 'template') this.unexpected();
+            const quasiStart = tok.start + 1;
+            quasis.push({
+                type: 'TemplateElement',
+                start: quasiStart,
+                end: quasiStart + tok.raw.length,
+                value: { raw: tok.raw, cooked: tok.value },
+                tail: tok.tail
+            });
+            if (tok.tail) {
+                this.next();
+                break;
+            }
+            this.next();
+            expressions.push(this.parseExpression());
+            if (!this.is('}')) this.unexpected();
+            const continuation = this.tokenizer.readTemplateToken(this.tok.start + 1);
+            continuation.nlBefore = false;
+            this.tok = continuation;
+        }
+        return this.finish('TemplateLiteral', start, { quasis, expressions });
+    }
+
+    parseNew() {
+        const start = this.tok.start;
+        this.next();
+        if (this.eat('.')) {
+            const property = this.parseIdent(true);
+            return this.finish('MetaProperty', start, {
+                meta: { type: 'Identifier', start, end: start + 3, name: 'new' },
+                property
+            });
+        }
+        const calleeStart = this.tok.start;
+        const callee = this.parseSubscripts(this.parseExprAtom(), calleeStart, true);
+        const args = this.eat('(') ? this.parseArguments() : [];
+        return this.finish('NewExpression', start, { callee, arguments: args });
+    }
+
+    parseParenAndDistinguish() {
+        const start = this.tok.start;
+        this.next();
+        const items = [];
+        let trailingComma = false;
+        while (!this.is(')')) {
+            if (this.is('...')) {
+                items.push(this.parseRestBinding());
+            } else {
+                items.push(this.parseTypedArrowParam(this.parseMaybeAssign()));
+            }
+            if (this.is(')')) break;
+            this.expect(',');
+            if (this.is(')')) trailingComma = true;
+        }
+        const innerEnd = this.prevEnd;
+        this.expect(')');
+        if (this.typescript && this.is(':')) this.tryArrowReturnType();
+
+        if (this.is('=>') && !this.tok.nlBefore) {
+            const params = items.map(item => this.toAssignable(item));
+            return this.parseArrow(start, params, false, false);
+        }
+
+        if (items.length === 0 || trailingComma || items.some(item => item.type === 'RestElement')) {
+            this.unexpected();
+        }
+        if (items.length === 1) return items[0];
+        return {
+            type: 'SequenceExpression',
+            start: items[0].start,
+            end: innerEnd,
+            expressions: items
+        };
+    }
+
+    parseArrayLiteral() {
+        const start = this.tok.start;
+        this.next();
+        const elements = [];
+        while (!this.eat(']')) {
+            if (this.is(',')) {
+                this.next();
+                elements.push(null);
+                continue;
+            }
+            if (this.is('...')) {
+                const spreadStart = this.tok.start;
+                this.next();
+                const argument = this.parseMaybeAssign();
+                elements.push(this.finish('SpreadElement', spreadStart, { argument }));
+            } else {
+                elements.push(this.parseMaybeAssign());
+            }
+            if (!this.is(']')) this.expect(',');
+        }
+        return this.finish('ArrayExpression', start, { elements });
+    }
+
+    // Object literals; shorthand `{ a = 1 }` is accepted for destructuring cover grammar
+    parseObjectLike() {
+        const start = this.tok.start;
+        this.expect('{');
+        const properties = [];
+        while (!this.eat('}')) {
+            if (this.is('...')) {
+                const spreadStart = this.tok.start;
+                this.next();
+                const argument = this.parseMaybeAssign();
+                properties.push(this.finish('SpreadElement', spreadStart, { argument }));
+            } else {
+                properties.push(this.parseObjectProperty());
+            }
+            if (!this.is('}')) this.expect(',');
+        }
+        return this.finish('ObjectExpression', start, { properties });
+    }
+
+    parseObjectProperty() {
+        const start = this.tok.start;
+        let isAsync = false;
+        let generator = false;
+        let kind = 'init';
+
+        if (this.isName('async') && this.isModifierFollowedByName(false) && !this.peek().nlBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat('*')) generator = true;
+        if (!isAsync && !generator && (this.isName('get') || this.isName('set')) && this.isModifierFollowedByName(false)) {
+            kind = this.tok.value;
+            this.next();
+        }
+
+        const { key, computed } = this.parsePropertyName();
+
+        if (this.is('(') || (this.typescript && this.is('<'))) {
+            const valueStart = this.tok.start;
+            const { params, body } = this.parseFunctionRest(isAsync, generator);
+            const value = this.finish('FunctionExpression', valueStart, {
+                id: null, params, body, async: isAsync, generator, expression: false
+            });
+            return this.finish('Property', start, {
+                key, value, computed, shorthand: false, method: kind === 'init', kind
+            });
+        }
+
+        if (isAsync || generator || kind !== 'init') this.unexpected();
+
+        if (this.eat(':')) {
+            const value = this.parseMaybeAssign();
+            return this.finish('Property', start, { key, value, computed, shorthand: false, method: false, kind });
+        }
+
+        if (key.type !== 'Identifier' || computed) this.unexpected();
+        let value = key;
+        if (this.eat('=')) {
+            const right = this.parseMaybeAssign();
+            value = this.finish('AssignmentPattern', start, { left: key, right });
+        }
+        return this.finish('Property', start, { key, value, computed, shorthand: true, method: false, kind });
+    }
+
+    // --- TypeScript ---
+    // Types are skipped token by token rather than parsed; what they cover is
+    // recorded in typeOnlyRanges so the source transform can blank it out.
+
+    markTypeOnly(start, end = this.prevEnd) {
+        if (end > start) this.typeOnlyRanges.push({ start, end });
+    }
+
+    // Split a `>>`, `>=`, ... token so that a single `>` can close a type argument list
+    splitGreaterThan() {
+        const tok = this.tok;
+        if (tok.type !== 'punct' || tok.value[0] !== '>' || tok.value.length === 1) return;
+        this.tokenizer.pos = tok.start + 1;
+        this.tok = { type: 'punct', value: '>', start: tok.start, end: tok.start + 1, nlBefore: tok.nlBefore };
+    }
+
+    // Skip from an opening bracket (or template) to just past its matching close
+    skipBracketed() {
+        const stack = [];
+        do {
+            if (this.tok.type === 'eof') this.unexpected();
+            const top = stack[stack.length - 1];
+            if (top === '>') this.splitGreaterThan();
+            const tok = this.tok;
+            if (tok.type === 'template' && !tok.tail) {
+                stack.push('template');
+            } else if (tok.type === 'punct' && tok.value === '}' && top === 'template') {
+                stack.pop();
+                const continuation = this.tokenizer.readTemplateToken(tok.start + 1);
+                continuation.nlBefore = false;
+                this.tok = continuation;
+                if (!continuation.tail) stack.push('template');
+            } else if (tok.type === 'punct' && BRACKET_PAIRS[tok.value]) {
+                stack.push(BRACKET_PAIRS[tok.value]);
+            } else if (tok.type === 'punct' && tok.value === top) {
+                stack.pop();
+            }
+            this.next();
+        } while (stack.length > 0);
+    }
+
+    // A type: a union or intersection of operands, possibly conditional
+    skipType() {
+        if (this.is('|') || this.is('&')) this.next();
+        this.skipTypeOperand();
+        while (this.is('|') || this.is('&')) {
+            this.next();
+            this.skipTypeOperand();
+        }
+        if (this.isName('extends') && !this.tok.nlBefore) {
+            this.next();
+            this.skipType();
+            this.expect('?');
+            this.skipType();
+            this.expect(':');
+            this.skipType();
+        }
+    }
+
+    skipTypeOperand() {
+        const tok = this.tok;
+        if (tok.type === 'name' && TYPE_OPERATORS.has(tok.value) && startsType(this.peek())) {
+            this.next();
+            this.skipTypeOperand();
+            return;
+        }
+        if (this.is('<') || (this.is('(') && this.isFunctionTypeStart())) {
+            // A function type `(a: A) => B` or `<T>(a: T) => T`
+            if (this.is('<')) this.skipBracketed();
+            this.skipBracketed();
+            this.expect('=>');
+            this.skipType();
+            return;
+        } else if (this.eat('(')) {
+            this.skipType();
+            this.expect(')');
+        } else if (this.is('[') || this.is('{') || tok.type === 'template') {
+            this.skipBracketed();
+        } else if (tok.type === 'string' || tok.type === 'num') {
+            this.next();
+        } else if (this.is('-')) {
+            this.next();
+            if (this.tok.type !== 'num') this.unexpected();
+            this.next();
+        } else if (tok.type === 'name') {
+            this.next();
+            if (tok.value === 'import' && this.is('(')) this.skipBracketed();
+            while (this.eat('.')) this.next();
+            if (this.is('<')) this.skipTypeArguments();
+            // Type predicates: `value is T`
+            if (this.isName('is') && !this.tok.nlBefore) {
+                this.next();
+                this.skipType();
+                return;
+            }
+        } else {
+            this.unexpected();
+        }
+        // Array types and indexed access: `T[]`, `T['key']`
+        while (this.is('[') && !this.tok.nlBefore) this.skipBracketed();
+    }
+
+    // `(` opens a function type's parameters when what follows reads as a parameter:
+    // `()`, `(...rest`, `(name:`, `(name,`, `(name?`, `(name)` then `=>`, or a pattern
+    isFunctionTypeStart() {
+        return this.lookahead(() => {
+            this.next();
+            if (this.is(')') || this.is('...')) return true;
+            if (this.is('[') || this.is('{')) this.skipBracketed();
+            else if (this.tok.type === 'name') this.next();
+            else return false;
+            if (this.is(':') || this.is(',') || this.is('?') || this.is('=')) return true;
+            return this.eat(')') && this.is('=>');
+        });
+    }
+
+    // `<A, B>` after a type name or before a call
+    skipTypeArguments() {
+        this.expect('<');
+        for (;;) {
+            this.splitGreaterThan();
+            if (this.eat('>')) return;
+            this.skipType();
+            this.splitGreaterThan();
+            if (!this.is('>')) this.expect(',');
+        }
+    }
+
+    // `<T extends U = V>` after a function, class or type alias name
+    skipTypeParameters() {
+        if (!this.typescript || !this.is('<')) return;
+        const start = this.tok.start;
+        this.skipBracketed();
+        this.markTypeOnly(start);
+    }
+
+    // `: Type` after parameters or a class field
+    skipTypeAnnotation() {
+        if (!this.typescript || !this.is(':')) return;
+        const start = this.tok.start;
+        this.next();
+        this.skipType();
+        this.markTypeOnly(start);
+    }
+
+    // `?` or `!` and a `: Type` annotation after a declared name
+    skipBindingType() {
+        if (!this.typescript) return;
+        const start = this.tok.start;
+        if (this.is('?') || this.is('!')) this.next();
+        if (this.eat(':')) this.skipType();
+        this.markTypeOnly(start);
+    }
+
+    // Arrow parameters are first parsed as expressions, and may carry `?`, a type
+    // and then a default value
+    parseTypedArrowParam(item) {
+        if (!this.typescript || !(this.is(':') || this.is('?'))) return item;
+        this.skipBindingType();
+        if (!this.eat('=')) return item;
+        const right = this.parseMaybeAssign();
+        return this.finish('AssignmentExpression', item.start, { operator: '=', left: this.toAssignable(item), right });
+    }
+
+    // `(a): T => ...`: a colon after the parameters only starts a return type if an arrow follows
+    tryArrowReturnType() {
+        this.tryParse(() => {
+            const start = this.tok.start;
+            this.next();
+            this.skipType();
+            if (!this.is('=>') || this.tok.nlBefore) return false;
+            this.markTypeOnly(start);
+            return true;
+        });
+    }
+
+    // `f<T>(x)` and `new C<T>()`: `<` only opens type arguments if a call follows,
+    // otherwise it is a comparison
+    tryCallTypeArguments() {
+        return Boolean(this.tryParse(() => {
+            const start = this.tok.start;
+            this.skipTypeArguments();
+            if (!this.is('(') && this.tok.type !== 'template') return false;
+            this.markTypeOnly(start);
+            return true;
+        }));
+    }
+
+    // `<T>(x: T) => x`; with JSX, only `<T,>` and `<T extends U>` start type parameters
+    tryGenericArrow() {
+        if (this.jsx && !this.lookahead(() => {
+            this.next();
+            if (this.tok.type !== 'name') return false;
+            const next = this.peek();
+            return next.type === 'punct' ? next.value === ',' : next.value === 'extends';
+        })) {
+            return null;
+        }
+        return this.tryParse(() => {
+            this.skipTypeParameters();
+            if (!this.is('(')) return false;
+            const arrow = this.parseParenAndDistinguish();
+            return arrow.type === 'ArrowFunctionExpression' ? arrow : false;
+        });
+    }
+
+    // `<T>value`, the older form of `value as T`
+    parseTypeAssertion() {
+        const start = this.tok.start;
+        this.skipTypeArguments();
+        this.markTypeOnly(start);
+        return this.parseMaybeUnary();
+    }
+
+    // `interface Name<T> extends Base { ... }` is all type; only its name is kept
+    parseInterface() {
+        const start = this.tok.start;
+        this.next();
+        const id = this.parseIdent();
+        while (!this.is('{')) {
+            if (this.tok.type === 'eof') this.unexpected();
+            if (this.is('<')) this.skipBracketed();
+            else this.next();
+        }
+        this.skipBracketed();
+        this.markTypeOnly(start);
+        return this.finish('TSInterfaceDeclaration', start, { id });
+    }
+
+    // `type Name<T> = ...;`
+    parseTypeAlias() {
+        const start = this.tok.start;
+        this.next();
+        const id = this.parseIdent();
+        this.skipTypeParameters();
+        this.expect('=');
+        this.skipType();
+        this.semicolon();
+        this.markTypeOnly(start);
+        return this.finish('TSTypeAliasDeclaration', start, { id });
+    }
+
+    // `enum Name { A, B = 2 }`, which the source transform turns into an object
+    parseEnum(start, isConst) {
+        this.next();
+        const id = this.parseIdent();
+        this.expect('{');
+        const members = [];
+        while (!this.eat('}')) {
+            const memberStart = this.tok.start;
+            const { key } = this.parsePropertyName();
+            const initializer = this.eat('=') ? this.parseMaybeAssign() : null;
+            members.push(this.finish('TSEnumMember', memberStart, { id: key, initializer }));
+            if (!this.is('}')) this.expect(',');
+        }
+        return this.finish('TSEnumDeclaration', start, { id, members, const: isConst });
+    }
+
+    // `namespace A.B { ... }` (or `module A { ... }`), which the source transform
+    // turns into a function filling in an object
+    parseNamespace(start) {
+        this.next();
+        const ids = [this.parseIdent().name];
+        while (this.eat('.')) ids.push(this.parseIdent().name);
+        const bodyStart = this.tok.start;
+        this.expect('{');
+        const body = [];
+        while (!this.eat('}')) {
+            if (this.tok.type === 'eof') this.unexpected();
+            body.push(this.parseStatement());
+        }
+        return this.finish('TSModuleDeclaration', start, { ids, body, bodyStart });
+    }
+
+    // `declare ...` describes code that exists elsewhere, so all of it is type-only
+    parseAmbientDeclaration() {
+        const start = this.tok.start;
+        this.next();
+        if (this.isName('module') || this.isName('namespace') || this.isName('global')) {
+            this.next();
+            while (!this.is('{') && !this.canInsertSemicolon()) this.next();
+            if (this.is('{')) this.skipBracketed();
+            else this.semicolon();
+        } else {
+            this.parseStatement();
+        }
+        this.markTypeOnly(start);
+        return this.finish('TSAmbientDeclaration', start);
+    }
+
+    // --- JSX ---
+    // Element contents are read straight from the input, since JSX text isn't
+    // made of JavaScript tokens. parseJsxElementAt() stops on the element's
+    // final `>`, leaving the caller to decide how to go on from there.
+
+    parseJsxElementAt() {
+        const start = this.tok.start;
+        this.next();
+        this.splitGreaterThan();
+        if (this.is('>')) {
+            const children = this.parseJsxChildren();
+            this.parseJsxClosingTag(null);
+            return { type: 'JSXFragment', start, end: this.tok.end, children };
+        }
+        const name = this.parseJsxElementName();
+        const attributes = [];
+        for (;;) {
+            this.splitGreaterThan();
+            if (this.is('>') || this.is('/')) break;
+            attributes.push(this.parseJsxAttribute());
+        }
+        const selfClosing = this.is('/');
+        let children = [];
+        if (selfClosing) {
+            this.next();
+            this.splitGreaterThan();
+            if (!this.is('>')) this.unexpected();
+        } else {
+            children = this.parseJsxChildren();
+            this.parseJsxClosingTag(name);
+        }
+        return { type: 'JSXElement', start, end: this.tok.end, name, attributes, children, selfClosing };
+    }
+
+    // Children up to the closing tag, starting after the `>` that is the current token.
+    // Ends with the closing tag's `<` as the current token.
+    parseJsxChildren() {
+        const input = this.input;
+        const children = [];
+        let pos = this.tok.end;
+        for (;;) {
+            let end = pos;
+            while (end < input.length && input[end] !== '<' && input[end] !== '{') end++;
+            if (end >= input.length) this.raise(pos, 'Unterminated JSX contents');
+            if (end > pos) children.push({ type: 'JSXText', start: pos, end, value: input.slice(pos, end) });
+            this.tokenizer.pos = end;
+            this.next();
+            if (this.is('{')) {
+                children.push(this.parseJsxExpressionContainer());
+            } else {
+                if (this.peekIs('/')) return children;
+                children.push(this.parseJsxElementAt());
+            }
+            pos = this.tok.end;
+        }
+    }
+
+    // `{expression}`, `{...spread}` or an empty `{/* comment */}`, ending on the `}`
+    parseJsxExpressionContainer() {
+        const start = this.tok.start;
+        this.next();
+        let expression;
+        if (this.is('}')) {
+            expression = { type: 'JSXEmptyExpression', start: this.prevEnd, end: this.tok.start };
+        } else if (this.is('...')) {
+            this.next();
+            const argument = this.parseExpression();
+            if (!this.is('}')) this.unexpected();
+            return { type: 'JSXSpreadChild', start, end: this.tok.end, expression: argument };
+        } else {
+            expression = this.parseExpression();
+        }
+        if (!this.is('}')) this.unexpected();
+        return { type: 'JSXExpressionContainer', start, end: this.tok.end, expression };
+    }
+
+    // `</name>`, or `</>` closing a fragment, ending on its `>`
+    parseJsxClosingTag(openingName) {
+        this.next();
+        this.expect('/');
+        if (openingName) {
+            const name = this.parseJsxElementName();
+            const expected = this.input.slice(openingName.start, openingName.end);
+            if (this.input.slice(name.start, name.end) !== expected) {
+                this.raise(name.start, `Expected corresponding JSX closing tag for <${expected}>`);
+            }
+        }
+        this.splitGreaterThan();
+        if (!this.is('>')) this.unexpected();
+    }
+
+    // `div`, `my-element`, `Foo.Bar` or `svg:rect`
+    parseJsxElementName() {
+        const start = this.tok.start;
+        let name = this.parseJsxIdentifier();
+        if (this.is(':')) {
+            this.next();
+            const local = this.parseJsxIdentifier();
+            return { type: 'JSXNamespacedName', start, end: local.end, namespace: name, name: local };
+        }
+        while (this.eat('.')) {
+            const property = this.parseJsxIdentifier();
+            name = { type: 'JSXMemberExpression', start, end: property.end, object: name, property };
+        }
+        return name;
+    }
+
+    // JSX names may contain dashes: `data-id`, `aria-label`
+    parseJsxIdentifier() {
+        const start = this.tok.start;
+        if (this.tok.type !== 'name') this.unexpected();
+        this.next();
+        while ((this.is('-') || this.tok.type === 'name' || this.tok.type === 'num') && this.tok.start === this.prevEnd) {
+            this.next();
+        }
+        return { type: 'JSXIdentifier', start, end: this.prevEnd, name: this.input.slice(start, this.prevEnd) };
+    }
+
+    parseJsxAttribute() {
+        const start = this.tok.start;
+        if (this.is('{')) {
+            this.next();
+            this.expect('...');
+            const argument = this.parseMaybeAssign();
+            if (!this.is('}')) this.unexpected();
+            this.next();
+            return this.finish('JSXSpreadAttribute', start, { argument });
+        }
+        let name = this.parseJsxIdentifier();
+        if (this.is(':')) {
+            this.next();
+            const local = this.parseJsxIdentifier();
+            name = { type: 'JSXNamespacedName', start, end: local.end, namespace: name, name: local };
+        }
+        const value = this.is('=') ? this.parseJsxAttributeValue() : null;
+        return this.finish('JSXAttribute', start, { name, value });
+    }
+
+    // The value after `=`. Strings are taken as written: they have no escapes and may span lines.
+    parseJsxAttributeValue() {
+        const input = this.input;
+        const tokenizer = this.tokenizer;
+        tokenizer.pos = this.tok.end;
+        tokenizer.skipSpace();
+        const quote = input[tokenizer.pos];
+        if (quote === '"' || quote === "'") {
+            const start = tokenizer.pos;
+            const close = input.indexOf(quote, start + 1);
+            if (close === -1) this.raise(start, 'Unterminated string constant');
+            tokenizer.pos = close + 1;
+            this.tok = {
+                type: 'string',
+                value: input.slice(start + 1, close),
+                raw: input.slice(start, close + 1),
+                start,
+                end: close + 1,
+                nlBefore: false
+            };
+            return this.parseLiteral();
+        }
+        this.next();
+        let value;
+        if (this.is('{')) value = this.parseJsxExpressionContainer();
+        else if (this.is('<')) value = this.parseJsxElementAt();
+        else this.unexpected();
+        this.next();
+        return value;
+    }
+}
+
+// Parse a whole source text. With `recover: true`, statements that fail to
+// parse are skipped and reported in `program.errors` instead of throwing.
+function parse(input, options = {}) {
+    const parser = new Parser(input, options);
+    return parser.parseProgram();
+}
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'
+]);
+
+function isRegExpAllowedAfter(prev) {
+    if (!prev) return true;
+    if (prev.type === 'name') return KEYWORDS_BEFORE_EXPRESSION.has(prev.value);
+    if (prev.type === 'punct') return prev.value !== ')' && prev.value !== ']' && prev.value !== '}';
+    return false;
+}
+
+// Split source text into chunks of roughly `chunkLines` lines without cutting
+// through a top-level statement. This only tokenizes (tracking bracket depth),
+// so it is much cheaper than a full parse. A chunk is closed at the first line
+// past the target size that starts a new top-level statement, i.e. the line
+// begins with a name token at depth zero right after a `;` or `}`.
+function splitAtStatementBoundaries(input, chunkLines) {
+    const tokenizer = new Tokenizer(input);
+    const lineStarts = getLineStarts(input);
+    const chunks = [];
+    const stack = [];
+    let chunkStart = 0;
+    let chunkStartLine = 1;
+    let prev = null;
+
+    for (;;) {
+        let tok;
+        try {
+            tok = tokenizer.nextToken();
+            if (tok.type === 'punct' && (tok.value === '/' || tok.value === '/=') && isRegExpAllowedAfter(prev)) {
+                tok = tokenizer.readRegExp(tok.start);
+            }
+        } catch (error) {
+            // Leave the rest in one chunk and let the parser report the problem
+            break;
+        }
+        if (tok.type === 'eof') break;
+
+        if (stack.length === 0 && tok.nlBefore && tok.type === 'name' &&
+            prev && prev.type === 'punct' && (prev.value === ';' || prev.value === '}')) {
+            const { line } = getLineInfo(lineStarts, tok.start);
+            if (line - chunkStartLine >= chunkLines) {
+                const cut = lineStarts[line - 1];
+                chunks.push({ start: chunkStart, end: cut });
+                chunkStart = cut;
+                chunkStartLine = line;
+            }
+        }
+
+        if (tok.type === 'template' && !tok.tail) {
+            stack.push('template');
+        } else if (tok.type === 'punct') {
+            if (tok.value === '{' || tok.value === '(' || tok.value === '[') {
+                stack.push(tok.value);
+            } else if (tok.value === '}' && stack[stack.length - 1] === 'template') {
+                stack.pop();
+                tok = tokenizer.readTemplateToken(tok.start + 1);
+                if (!tok.tail) stack.push('template');
+            } else if (tok.value === '}' || tok.value === ')' || tok.value === ']') {
+                stack.pop();
+            }
+        }
+        prev = tok;
+    }
+
+    chunks.push({ start: chunkStart, end: input.length });
+    return chunks;
+}
+
+// Visit the direct child nodes of an AST node
+function forEachChild(node, callback) {
+    for (const key in node) {
+        if (key === 'type' || key === 'start' || key === 'end' || key === 'comments' || key === 'errors') continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => {
+                if (child && typeof child.type === 'string') callback(child, key);
+            });
+        } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+            callback(value, key);
+        }
+    }
+}
+
+export {
+    TYPE_ONLY_DECLARATIONS,
+    Tokenizer,
+    Parser,
+    parse,
+    forEachChild,
+    getLineStarts,
+    getLineInfo,
+    splitAtStatementBoundaries
+};
\ No newline at end of file
@@ -1,17 +1,43 @@
-import { openDB, clearStore } from './db.js';
+import { openDB, clearAllStores, getActiveWorkspace } from './db.js';
 import { ingestCode } from './codeIngester.js';
+import {
+    DEFAULT_EXCLUDE,
+    parseGlobList,
+    entriesFromFileList,
+    entriesFromDirectoryHandle,
+    entriesFromZip,
+    ingestProject
+} from './projectIngester.js';
 import { clusterUnits } from './codeClusterer.js';
+import { METRICS } from './codeMetrics.js';
 import { traceAllGlobal, traceObject } from './runtimeTracer.js';
 import { startPeriodicUpdates } from './relationshipUpdater.js';
 import { runTests, addTestToUnit } from './unitTester.js';
 import { loadAndExecute } from './codeLoader.js';
-import { handleAIRequest, setupMessageHandler, pendingUpdates } from './aiInterface.js';
+import { handleAIRequest, setupMessageHandler } from './aiInterface.js';
+import { getProposal } from './proposals.js';
+import { subscribe } from './changeEvents.js';
+import {
+    listWorkspaces,
+    createWorkspace,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+    switchWorkspace,
+    restoreActiveWorkspace
+} from './workspaceManager.js';
+
+// Abort controllers of the import and clustering runs in progress, if any
+let currentImport = null;
+let currentClustering = null;
 
 // Initialize the app
 async function initApp() {
     try {
-        // Initialize database
-        await openDB();
+        // Open the workspace used last
+        const workspace = await restoreActiveWorkspace();
+        await openDB(workspace.id);
+        await updateWorkspaceSelect(workspace.id);
         
         // Set up message handler for AI interface
         setupMessageHandler();
@@ -21,6 +47,7 @@ async function initApp() {
         
         // Set up UI event handlers
         setupUIHandlers();
+        watchChanges();
         
         // Update units in select dropdown
         await updateUnitSelect();
@@ -28,7 +55,7 @@ async function initApp() {
         // Update pending updates display
         updatePendingUpdatesDisplay();
         
-        log('System initialized successfully.', 'success');
+        log(`System initialized successfully (workspace: ${workspace.name}).`, 'success');
     } catch (error) {
         log(`Initialization error: ${error.message}`, 'error');
         console.error('Initialization error:', error);
@@ -57,6 +84,7 @@ function setupUIHandlers() {
     document.getElementById('analyze-btn').addEventListener('click', async () => {
         const codeInput = document.getElementById('code-input').value;
         const sourceName = document.getElementById('source-name').value || 'unknown';
+        const language = document.getElementById('source-language').value || undefined;
         
         if (!codeInput) {
             log('Please enter code to analyze.', 'error');
@@ -69,16 +97,41 @@ function setupUIHandlers() {
         const progressText = document.getElementById('import-progress-text');
         progressBar.style.display = 'block';
         
+        const cancelButton = document.getElementById('cancel-import-btn');
+        currentImport = new AbortController();
+        cancelButton.style.display = 'inline-block';
+        
         try {
             // Ingest code
-            const result = await ingestCode(codeInput, sourceName, (progress) => {
+            const topLevelOnly = document.getElementById('top-level-only').checked;
+            const { signal } = currentImport;
+            const result = await ingestCode(getActiveWorkspace(), codeInput, sourceName, (progress) => {
                 const percent = Math.round((progress.processedChunks / progress.totalChunks) * 100);
                 progressFill.style.width = `${percent}%`;
                 progressText.textContent = `${percent}% (${progress.processedChunks}/${progress.totalChunks} chunks)`;
-            });
+            }, { topLevelOnly, signal, language });
             
-            if (result.success) {
-                log(`Code imported successfully. Found ${result.unitsCount} units and ${result.dependenciesCount} dependencies.`, 'success');
+            if (result.aborted) {
+                log('Import cancelled.', 'error');
+            } else if (result.success) {
+                log(`Code imported successfully (${result.language}). Found ${result.unitsCount} units and ${result.dependenciesCount} dependencies.`, 'success');
+                
+                if (result.crossFileDependenciesCount > 0) {
+                    log(`Linked ${result.crossFileDependenciesCount} import/export dependencies across files.`, 'success');
+                }
+                
+                // Summarize how a re-imported source differs from what was stored
+                const { added, changed, moved, removed, unchanged } = result.changes;
+                if (changed.length + moved.length + removed.length + unchanged > 0) {
+                    log(`Reconciled ${sourceName}: ${added.length} added, ${changed.length} changed, ${moved.length} moved, ${removed.length} removed, ${unchanged} unchanged.`, 'success');
+                }
+                
+                // Report syntax errors the analyzer had to skip over
+                if (result.errors && result.errors.length > 0) {
+                    result.errors.forEach(err => {
+                        log(`Skipped unparsable code at line ${err.line}:${err.column}: ${err.message}`, 'error');
+                    });
+                }
                 
                 // Update units in select dropdown
                 await updateUnitSelect();
@@ -89,6 +142,9 @@ function setupUIHandlers() {
             log(`Import error: ${error.message}`, 'error');
             console.error('Import error:', error);
         } finally {
+            currentImport = null;
+            cancelButton.style.display = 'none';
+            
             // Hide progress bar after delay
             setTimeout(() => {
                 progressBar.style.display = 'none';
@@ -96,16 +152,209 @@ function setupUIHandlers() {
         }
     });
     
+    // Cancel buttons abort the run in progress
+    ['cancel-import-btn', 'cancel-project-btn'].forEach(buttonId => {
+        document.getElementById(buttonId).addEventListener('click', () => {
+            if (currentImport) currentImport.abort();
+        });
+    });
+    
+    document.getElementById('cancel-clustering-btn').addEventListener('click', () => {
+        if (currentClustering) currentClustering.abort();
+    });
+    
+    // Project import: folder picker, zip picker and zip drop zone
+    const getExcludeGlobs = () => parseGlobList(document.getElementById('project-exclude').value);
+    
+    document.getElementById('choose-folder-btn').addEventListener('click', async () => {
+        // Prefer the File System Access API, which lets excluded folders be skipped unread
+        if (!window.showDirectoryPicker) {
+            document.getElementById('folder-input').click();
+            return;
+        }
+        try {
+            const dirHandle = await window.showDirectoryPicker();
+            await importProject(await entriesFromDirectoryHandle(dirHandle, getExcludeGlobs()));
+        } catch (error) {
+            if (error.name !== 'AbortError') log(`Folder import error: ${error.message}`, 'error');
+        }
+    });
+    
+    document.getElementById('folder-input').addEventListener('change', async (event) => {
+        await importProject(entriesFromFileList(event.target.files));
+        event.target.value = '';
+    });
+    
+    document.getElementById('choose-zip-btn').addEventListener('click', () => {
+        document.getElementById('zip-input').click();
+    });
+    
+    const importZip = async (file) => {
+        try {
+            await importProject(await entriesFromZip(file));
+        } catch (error) {
+            log(`Zip import error: ${error.message}`, 'error');
+        }
+    };
+    
+    document.getElementById('zip-input').addEventListener('change', async (event) => {
+        if (event.target.files.length > 0) await importZip(event.target.files[0]);
+        event.target.value = '';
+    });
+    
+    const dropZone = document.getElementById('project-drop-zone');
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', async (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('dragover');
+        const file = [...event.dataTransfer.files].find(f => f.name.toLowerCase().endsWith('.zip'));
+        if (!file) {
+            log('Please drop a .zip archive.', 'error');
+            return;
+        }
+        await importZip(file);
+    });
+    
     // Clear database button
+    // Export the workspace as a snapshot file
+    document.getElementById('export-snapshot-btn').addEventListener('click', async () => {
+        const format = document.getElementById('snapshot-format').value;
+        try {
+            const result = await handleAIRequest({ command: 'exportWorkspace', format });
+            if (!result.success) {
+                log(`Error exporting workspace: ${result.error}`, 'error');
+                return;
+            }
+            const type = format === 'ndjson' ? 'application/x-ndjson' : 'application/json';
+            const url = URL.createObjectURL(new Blob([result.snapshot], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `workspace-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+            log(`Workspace exported (${result.counts.codeUnits} units, ${result.counts.dependencies} dependencies).`, 'success');
+        } catch (error) {
+            log(`Error exporting workspace: ${error.message}`, 'error');
+        }
+    });
+    
+    document.getElementById('import-snapshot-btn').addEventListener('click', () => {
+        document.getElementById('snapshot-input').click();
+    });
+    
+    document.getElementById('snapshot-input').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        const mode = document.getElementById('snapshot-mode').value;
+        if (mode === 'replace' && !confirm('Replace the current workspace with this snapshot? Everything not in it will be lost.')) return;
+        try {
+            const result = await handleAIRequest({ command: 'importWorkspace', snapshot: await file.text(), mode });
+            if (result.success) {
+                const counts = Object.entries(result.counts).map(([store, count]) => `${count} ${store}`).join(', ');
+                log(`Snapshot from ${result.exportedAt || 'unknown date'} imported (${mode}): ${counts}.`, 'success');
+                await updateUnitSelect();
+                updatePendingUpdatesDisplay();
+            } else {
+                log(`Error importing snapshot: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            log(`Error importing snapshot: ${error.message}`, 'error');
+        }
+    });
+    
+    // Workspace switcher in the header
+    document.getElementById('workspace-select').addEventListener('change', async (event) => {
+        // Imports and clustering write to the workspace they started in
+        if (currentImport || currentClustering) {
+            log('Wait for the running import or clustering to finish before switching workspaces.', 'error');
+            await updateWorkspaceSelect(getActiveWorkspace());
+            return;
+        }
+        try {
+            const workspace = await switchWorkspace(event.target.value);
+            await showWorkspace();
+            log(`Switched to workspace: ${workspace.name}`, 'success');
+        } catch (error) {
+            log(`Error switching workspace: ${error.message}`, 'error');
+        }
+    });
+    
+    document.getElementById('new-workspace-btn').addEventListener('click', async () => {
+        const name = prompt('Name of the new workspace:');
+        if (!name) return;
+        try {
+            const workspace = await createWorkspace(name);
+            await switchWorkspace(workspace.id);
+            await updateWorkspaceSelect(workspace.id);
+            await showWorkspace();
+            log(`Workspace created: ${workspace.name}`, 'success');
+        } catch (error) {
+            log(`Error creating workspace: ${error.message}`, 'error');
+        }
+    });
+    
+    document.getElementById('rename-workspace-btn').addEventListener('click', async () => {
+        const select = document.getElementById('workspace-select');
+        const name = prompt('New name of the workspace:', select.selectedOptions[0].textContent);
+        if (!name) return;
+        try {
+            const workspace = await renameWorkspace(select.value, name);
+            await updateWorkspaceSelect(workspace.id);
+            log(`Workspace renamed to: ${workspace.name}`, 'success');
+        } catch (error) {
+            log(`Error renaming workspace: ${error.message}`, 'error');
+        }
+    });
+    
+    document.getElementById('duplicate-workspace-btn').addEventListener('click', async () => {
+        const select = document.getElementById('workspace-select');
+        const name = prompt('Name of the copy:', `${select.selectedOptions[0].textContent} (copy)`);
+        if (!name) return;
+        try {
+            const workspace = await duplicateWorkspace(select.value, name);
+            await updateWorkspaceSelect(select.value);
+            log(`Workspace duplicated as: ${workspace.name}`, 'success');
+        } catch (error) {
+            log(`Error duplicating workspace: ${error.message}`, 'error');
+        }
+    });
+    
+    // The active workspace can't be deleted, so the next one is opened first
+    document.getElementById('delete-workspace-btn').addEventListener('click', async () => {
+        const select = document.getElementById('workspace-select');
+        const workspaces = await listWorkspaces();
+        if (workspaces.length < 2) {
+            log('The last workspace cannot be deleted.', 'error');
+            return;
+        }
+        const workspace = workspaces.find(candidate => candidate.id === select.value);
+        if (!confirm(`Delete workspace "${workspace.name}" and everything in it? This action cannot be undone.`)) return;
+        try {
+            const next = workspaces.find(candidate => candidate.id !== workspace.id);
+            await switchWorkspace(next.id);
+            await deleteWorkspace(workspace.id);
+            await updateWorkspaceSelect(next.id);
+            await showWorkspace();
+            log(`Workspace deleted: ${workspace.name}`, 'success');
+        } catch (error) {
+            log(`Error deleting workspace: ${error.message}`, 'error');
+        }
+    });
+    
     document.getElementById('clear-db-btn').addEventListener('click', async () => {
         if (confirm('Are you sure you want to clear the database? This action cannot be undone.')) {
             try {
-                await clearStore('codeUnits');
-                await clearStore('dependencies');
+                await clearAllStores(getActiveWorkspace());
                 log('Database cleared successfully.', 'success');
                 
                 // Update units in select dropdown
                 await updateUnitSelect();
+                updatePendingUpdatesDisplay();
             } catch (error) {
                 log(`Error clearing database: ${error.message}`, 'error');
             }
@@ -122,14 +371,24 @@ function setupUIHandlers() {
         progressFill.style.width = '0%';
         progressText.textContent = 'Starting...';
         
+        const cancelButton = document.getElementById('cancel-clustering-btn');
+        currentClustering = new AbortController();
+        cancelButton.style.display = 'inline-block';
+        
         try {
-            // Run clustering algorithm
-            progressFill.style.width = '50%';
-            progressText.textContent = 'Clustering units...';
-            
-            const result = await clusterUnits();
+            // Run clustering algorithm on the worker pool
+            const { signal } = currentClustering;
+            const result = await clusterUnits(getActiveWorkspace(), undefined, {
+                signal,
+                onProgress: ({ stage, percent }) => {
+                    progressFill.style.width = `${percent}%`;
+                    progressText.textContent = stage === 'graph' ? 'Building dependency graph...' : `Clustering units... ${percent}%`;
+                }
+            });
             
-            if (result.success) {
+            if (result.aborted) {
+                log('Clustering cancelled.', 'error');
+            } else if (result.success) {
                 log(`Clustering completed successfully. Created ${result.clusters} clusters for ${result.unitsUpdated} units.`, 'success');
                 
                 // Update units in select dropdown
@@ -145,6 +404,9 @@ function setupUIHandlers() {
             log(`Clustering error: ${error.message}`, 'error');
             console.error('Clustering error:', error);
         } finally {
+            currentClustering = null;
+            cancelButton.style.display = 'none';
+            
             // Hide progress bar after delay
             setTimeout(() => {
                 progressBar.style.display = 'none';
@@ -168,14 +430,17 @@ function setupUIHandlers() {
                 
                 let html = `<h3>All Units (${result.units.length})</h3>`;
                 html += '<table style="width: 100%; border-collapse: collapse;">';
-                html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">ID</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Name</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Type</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Cluster</th></tr>';
+                html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">ID</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Name</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Type</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Cluster</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Description</th></tr>';
                 
                 result.units.forEach(unit => {
+                    // First line of the description, full text on hover
+                    const description = (unit.metadata && unit.metadata.description) || '';
                     html += `<tr>
                         <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.id}</td>
                         <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.name}</td>
                         <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.type || 'unknown'}</td>
                         <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.clusterId || 'unclustered'}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;" title="${escapeHtml(description)}">${escapeHtml(description.split('\n')[0])}</td>
                     </tr>`;
                 });
                 
@@ -189,59 +454,108 @@ function setupUIHandlers() {
         }
     });
     
-    // View clusters button
-    document.getElementById('view-clusters-btn').addEventListener('click', async () => {
+    // Rank units by a metric, worst first
+    const rankMetricSelect = document.getElementById('rank-metric');
+    METRICS.forEach(metric => {
+        const option = document.createElement('option');
+        option.value = metric.key;
+        option.textContent = metric.label;
+        rankMetricSelect.appendChild(option);
+    });
+    
+    document.getElementById('rank-units-btn').addEventListener('click', async () => {
+        const metric = METRICS.find(m => m.key === rankMetricSelect.value);
+        
         try {
             const result = await handleAIRequest({ command: 'findUnits', query: '' });
             
             if (result.success) {
-                // Group units by cluster
-                const clusters = {};
-                
-                result.units.forEach(unit => {
-                    const clusterId = unit.clusterId || 'unclustered';
-                    
-                    if (!clusters[clusterId]) {
-                        clusters[clusterId] = [];
-                    }
-                    
-                    clusters[clusterId].push(unit);
-                });
-                
-                // Display clusters
                 const resultsDiv = document.getElementById('analysis-results');
+                const ranked = result.units
+                    .filter(unit => unit.metadata && unit.metadata.metrics)
+                    .sort((a, b) => {
+                        const difference = b.metadata.metrics[metric.key] - a.metadata.metrics[metric.key];
+                        return metric.lowerIsWorse ? -difference : difference;
+                    })
+                    .slice(0, 100);
                 
-                if (Object.keys(clusters).length === 0) {
-                    resultsDiv.innerHTML = '<p>No clusters found.</p>';
+                if (ranked.length === 0) {
+                    resultsDiv.innerHTML = '<p>No units with metrics found. Import code to compute them.</p>';
                     return;
                 }
                 
-                let html = `<h3>Clusters (${Object.keys(clusters).length})</h3>`;
+                let html = `<h3>Units by ${metric.label} (top ${ranked.length})</h3>`;
+                html += '<table style="width: 100%; border-collapse: collapse;">';
+                html += `<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Name</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Type</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Source</th><th style="text-align: right; padding: 8px; border-bottom: 1px solid #ddd;">${metric.label}</th></tr>`;
                 
-                Object.entries(clusters).forEach(([clusterId, units]) => {
-                    html += `<div style="margin-bottom: 20px;">`;
-                    html += `<h4>${clusterId} (${units.length} units)</h4>`;
-                    html += '<table style="width: 100%; border-collapse: collapse;">';
-                    html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">ID</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Name</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Type</th></tr>';
-                    
-                    units.forEach(unit => {
-                        html += `<tr>
-                            <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.id}</td>
-                            <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.name}</td>
-                            <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.type || 'unknown'}</td>
-                        </tr>`;
-                    });
-                    
-                    html += '</table>';
-                    html += `</div>`;
+                ranked.forEach(unit => {
+                    html += `<tr>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;" title="${unit.id}">${unit.qualifiedName || unit.name}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.type || 'unknown'}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.originalSource}:${unit.startLine}</td>
+                        <td style="text-align: right; padding: 8px; border-bottom: 1px solid #ddd;">${unit.metadata.metrics[metric.key]}</td>
+                    </tr>`;
                 });
                 
+                html += '</table>';
                 resultsDiv.innerHTML = html;
             } else {
-                log(`Error viewing clusters: ${result.error}`, 'error');
+                log(`Error ranking units: ${result.error}`, 'error');
             }
         } catch (error) {
-            log(`Error viewing clusters: ${error.message}`, 'error');
+            log(`Error ranking units: ${error.message}`, 'error');
+        }
+    });
+    
+    // Full-text code search
+    const searchInput = document.getElementById('search-input');
+    const runSearch = async () => {
+        const query = searchInput.value.trim();
+        if (!query) return;
+        const resultsDiv = document.getElementById('search-results');
+        
+        try {
+            const result = await handleAIRequest({ command: 'searchCode', query });
+            if (!result.success) {
+                resultsDiv.innerHTML = `<p>${escapeHtml(result.error)}</p>`;
+                return;
+            }
+            if (result.results.length === 0) {
+                resultsDiv.innerHTML = '<p>No matches found.</p>';
+                return;
+            }
+            
+            let html = `<p>Top ${result.count} of ${result.candidates} units with every word of the query:</p>`;
+            result.results.forEach(match => {
+                html += `<div style="padding: 8px 0; border-bottom: 1px solid #ddd;">
+                    <strong title="${escapeHtml(match.id)}">${escapeHtml(match.name)}</strong>
+                    <span style="color: #666;">${escapeHtml(match.type)} in ${escapeHtml(match.originalSource)}, score ${match.score}</span>
+                    ${match.snippets.map(renderSnippet).join('')}
+                </div>`;
+            });
+            resultsDiv.innerHTML = html;
+        } catch (error) {
+            log(`Error searching code: ${error.message}`, 'error');
+        }
+    };
+    document.getElementById('search-btn').addEventListener('click', runSearch);
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') runSearch();
+    });
+    
+    // View clusters button
+    document.getElementById('view-clusters-btn').addEventListener('click', showClusters);
+    
+    // Show the selected unit's documentation
+    document.getElementById('unit-select').addEventListener('change', async (event) => {
+        const docsDiv = document.getElementById('unit-docs');
+        docsDiv.innerHTML = '';
+        updateUnitHistoryDisplay(event.target.value);
+        if (!event.target.value) return;
+        
+        const result = await handleAIRequest({ command: 'getDocumentation', id: event.target.value });
+        if (result.success && result.documentation.length > 0) {
+            docsDiv.innerHTML = renderUnitDocs(result.documentation[0]);
         }
     });
     
@@ -305,6 +619,7 @@ function setupUIHandlers() {
                 }
                 
                 resultsDiv.innerHTML = html;
+                updateUnitHistoryDisplay(unitId);
             } else {
                 log(`Error running tests: ${result.error}`, 'error');
             }
@@ -329,7 +644,7 @@ function setupUIHandlers() {
         }
         
         try {
-            const result = await addTestToUnit(unitId, testCode);
+            const result = await addTestToUnit(getActiveWorkspace(), unitId, testCode);
             log(`Test added successfully. Unit now has ${result} tests.`, 'success');
             
             // Clear the test code input
@@ -365,19 +680,201 @@ function setupUIHandlers() {
             if (command.command === 'proposeUpdate' || command.command === 'applyUpdate') {
                 updatePendingUpdatesDisplay();
             }
+            if (command.command === 'applyUpdate' || command.command === 'revertUnit') {
+                updateUnitHistoryDisplay(document.getElementById('unit-select').value);
+            }
         } catch (error) {
             log(`Error executing command: ${error.message}`, 'error');
         }
     });
 }
 
-// Update unit select dropdown
+// Import a set of project files and show a per-file summary
+async function importProject(entries) {
+    const include = parseGlobList(document.getElementById('project-include').value);
+    const exclude = parseGlobList(document.getElementById('project-exclude').value);
+    
+    const progressBar = document.getElementById('project-progress');
+    const progressFill = document.getElementById('project-progress-fill');
+    const progressText = document.getElementById('project-progress-text');
+    const summaryDiv = document.getElementById('project-summary');
+    progressBar.style.display = 'block';
+    progressFill.style.width = '0%';
+    summaryDiv.innerHTML = '';
+    
+    const cancelButton = document.getElementById('cancel-project-btn');
+    currentImport = new AbortController();
+    cancelButton.style.display = 'inline-block';
+    
+    try {
+        const { signal } = currentImport;
+        const result = await ingestProject(getActiveWorkspace(), entries, {
+            include: include.length > 0 ? include : undefined,
+            exclude: exclude.length > 0 ? exclude : DEFAULT_EXCLUDE,
+            topLevelOnly: document.getElementById('top-level-only').checked,
+            signal,
+            onProgress: ({ path, fileIndex, totalFiles, chunk }) => {
+                const fileShare = chunk ? chunk.processedChunks / chunk.totalChunks : 0;
+                const percent = Math.round(((fileIndex + fileShare) / totalFiles) * 100);
+                progressFill.style.width = `${percent}%`;
+                progressText.textContent = `${percent}% (file ${fileIndex + 1}/${totalFiles}: ${path})`;
+            },
+            onFileComplete: (file) => {
+                if (file.success) {
+                    log(`Imported ${file.path}: ${file.unitsCount} units, ${file.dependenciesCount} dependencies.`, 'success');
+                } else {
+                    log(`Error importing ${file.path}: ${file.error}`, 'error');
+                }
+            }
+        });
+        
+        const { totals } = result;
+        if (result.aborted) {
+            log(`Project import cancelled after ${totals.files} files.`, 'error');
+        }
+        log(`Project import finished: ${totals.files} files (${totals.failed} failed, ${result.skipped.length} skipped), ${totals.units} units, ${totals.dependencies} dependencies, ${totals.crossFileDependencies} cross-file dependencies.`, totals.failed > 0 ? 'error' : 'success');
+        
+        let html = '<h3>Import Summary</h3>';
+        html += '<table style="width: 100%; border-collapse: collapse;">';
+        html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">File</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Units</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Dependencies</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Changes</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Status</th></tr>';
+        
+        result.files.forEach(file => {
+            const changes = file.changes
+                ? `+${file.changes.added.length} ~${file.changes.changed.length} &#8597;${file.changes.moved.length} -${file.changes.removed.length}`
+                : '';
+            const status = file.success
+                ? (file.errors.length > 0 ? `${file.errors.length} syntax errors skipped` : 'OK')
+                : `Error: ${escapeHtml(file.error)}`;
+            html += `<tr>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(file.path)}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${file.success ? file.unitsCount : '-'}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${file.success ? file.dependenciesCount : '-'}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${changes}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${status}</td>
+            </tr>`;
+        });
+        
+        html += '</table>';
+        if (result.skipped.length > 0) {
+            html += `<p>Skipped ${result.skipped.length} files that did not match the include/exclude globs.</p>`;
+        }
+        summaryDiv.innerHTML = html;
+        
+        progressFill.style.width = '100%';
+        progressText.textContent = 'Complete';
+        
+        // Update units in select dropdown
+        await updateUnitSelect();
+    } catch (error) {
+        log(`Project import error: ${error.message}`, 'error');
+        console.error('Project import error:', error);
+    } finally {
+        currentImport = null;
+        cancelButton.style.display = 'none';
+        
+        // Hide progress bar after delay
+        setTimeout(() => {
+            progressBar.style.display = 'none';
+        }, 2000);
+    }
+}
+
+// Rename a cluster shown by View Clusters
+async function renameCluster(clusterId) {
+    const { cluster } = await handleAIRequest({ command: 'getCluster', id: clusterId });
+    const name = prompt('New name of the cluster:', cluster ? cluster.name : clusterId);
+    if (!name) return;
+    const result = await handleAIRequest({ command: 'updateCluster', id: clusterId, name });
+    if (result.success) {
+        log(`Cluster renamed: ${name}`, 'success');
+        await showClusters();
+    } else {
+        log(`Error renaming cluster: ${result.error}`, 'error');
+    }
+}
+
+// Show the clusters of the active workspace with their units
+async function showClusters() {
+    try {
+        const result = await handleAIRequest({ command: 'findUnits', query: '' });
+        const { clusters: records = [] } = await handleAIRequest({ command: 'listClusters' });
+        
+        if (result.success) {
+            // Group units by cluster, in the order of the cluster names
+            const clusters = {};
+            records.forEach(cluster => {
+                clusters[cluster.id] = [];
+            });
+            
+            result.units.forEach(unit => {
+                const clusterId = unit.clusterId || 'unclustered';
+                
+                if (!clusters[clusterId]) {
+                    clusters[clusterId] = [];
+                }
+                
+                clusters[clusterId].push(unit);
+            });
+            
+            // Display clusters
+            const resultsDiv = document.getElementById('analysis-results');
+            
+            if (Object.keys(clusters).length === 0) {
+                resultsDiv.innerHTML = '<p>No clusters found.</p>';
+                return;
+            }
+            
+            let html = `<h3>Clusters (${Object.keys(clusters).length})</h3>`;
+            
+            Object.entries(clusters).forEach(([clusterId, units]) => {
+                const cluster = records.find(record => record.id === clusterId);
+                html += `<div style="margin-bottom: 20px;">`;
+                if (cluster) {
+                    const tags = cluster.tags.length > 0 ? ` [${cluster.tags.map(escapeHtml).join(', ')}]` : '';
+                    html += `<h4>${escapeHtml(cluster.name)} (${units.length} units)${tags}
+                        <button data-cluster-id="${escapeHtml(clusterId)}">Rename</button></h4>`;
+                    html += `<p><small>${escapeHtml(clusterId)}${cluster.owner ? `, owned by ${escapeHtml(cluster.owner)}` : ''}${cluster.rationale ? `: ${escapeHtml(cluster.rationale)}` : ''}</small></p>`;
+                    if (cluster.description) html += `<p>${escapeHtml(cluster.description)}</p>`;
+                } else {
+                    html += `<h4>${escapeHtml(clusterId)} (${units.length} units)</h4>`;
+                }
+                html += '<table style="width: 100%; border-collapse: collapse;">';
+                html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">ID</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Name</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Type</th></tr>';
+                
+                units.forEach(unit => {
+                    html += `<tr>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.id}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.name}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${unit.type || 'unknown'}</td>
+                    </tr>`;
+                });
+                
+                html += '</table>';
+                html += `</div>`;
+            });
+            
+            resultsDiv.innerHTML = html;
+            resultsDiv.querySelectorAll('button[data-cluster-id]').forEach(button => {
+                button.addEventListener('click', () => renameCluster(button.getAttribute('data-cluster-id')));
+            });
+        } else {
+            log(`Error viewing clusters: ${result.error}`, 'error');
+        }
+    } catch (error) {
+        log(`Error viewing clusters: ${error.message}`, 'error');
+    }
+}
+
+// Update unit select dropdown, keeping the selected unit if it is still there
 async function updateUnitSelect() {
     try {
         const result = await handleAIRequest({ command: 'findUnits', query: '' });
+        const { clusters: records = [] } = await handleAIRequest({ command: 'listClusters' });
+        const clusterNames = new Map(records.map(cluster => [cluster.id, cluster.name]));
         
         if (result.success) {
             const select = document.getElementById('unit-select');
+            const selected = select.value;
             select.innerHTML = '<option value="">Select a unit</option>';
             
             if (result.units && result.units.length > 0) {
@@ -397,7 +894,7 @@ async function updateUnitSelect() {
                 // Add options grouped by cluster
                 Object.entries(clusters).forEach(([clusterId, units]) => {
                     const optgroup = document.createElement('optgroup');
-                    optgroup.label = clusterId;
+                    optgroup.label = clusterNames.get(clusterId) || clusterId;
                     
                     units.forEach(unit => {
                         const option = document.createElement('option');
@@ -409,44 +906,95 @@ async function updateUnitSelect() {
                     select.appendChild(optgroup);
                 });
             }
+            if ([...select.options].some(option => option.value === selected)) select.value = selected;
         }
     } catch (error) {
         console.error('Error updating unit select:', error);
     }
 }
 
-// Update pending updates display
-function updatePendingUpdatesDisplay() {
+// Refresh the unit dropdown when units or clusters of the active workspace
+// change, in this tab or another one, and the selected unit's docs and history
+// when it is among them. Bursts of changes are refreshed once.
+function watchChanges() {
+    const select = document.getElementById('unit-select');
+    const changedIds = new Set();
+    let timer = null;
+    subscribe((event) => {
+        if (event.workspace !== getActiveWorkspace()) return;
+        (event.ids || []).forEach(id => changedIds.add(id));
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const selected = select.value;
+            const selectedChanged = changedIds.has(selected);
+            changedIds.clear();
+            await updateUnitSelect();
+            if (selected && (selectedChanged || select.value !== selected)) {
+                select.dispatchEvent(new Event('change'));
+            }
+        }, 250);
+    });
+}
+
+// Fill the workspace switcher, selecting `activeId`
+async function updateWorkspaceSelect(activeId) {
+    const select = document.getElementById('workspace-select');
+    const workspaces = await listWorkspaces();
+    select.innerHTML = workspaces
+        .map(workspace => `<option value="${escapeHtml(workspace.id)}">${escapeHtml(workspace.name)}</option>`)
+        .join('');
+    select.value = activeId;
+}
+
+// Show what the newly active workspace holds
+async function showWorkspace() {
+    document.getElementById('analysis-results').innerHTML = '';
+    document.getElementById('test-results').innerHTML = '';
+    document.getElementById('unit-docs').innerHTML = '';
+    document.getElementById('ai-results').innerHTML = '';
+    await updateUnitSelect();
+    updateUnitHistoryDisplay('');
+    updatePendingUpdatesDisplay();
+}
+
+// Update pending updates display: the open proposals of the active workspace
+async function updatePendingUpdatesDisplay() {
     const pendingUpdatesDiv = document.getElementById('pending-updates');
+    document.getElementById('plan-details').innerHTML = '';
+    const { proposals } = await handleAIRequest({ command: 'listProposals', status: 'open' });
     
-    if (pendingUpdates.size === 0) {
+    if (!proposals || proposals.length === 0) {
         pendingUpdatesDiv.innerHTML = '<p>No pending updates.</p>';
         return;
     }
     
-    let html = `<p>${pendingUpdates.size} pending updates:</p>`;
+    let html = `<p>${proposals.length} pending updates:</p>`;
     html += '<table style="width: 100%; border-collapse: collapse;">';
-    html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Unit ID</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Proposed At</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Actions</th></tr>';
+    html += '<tr><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Unit ID</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Proposed</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Status</th><th style="text-align: left; padding: 8px; border-bottom: 1px solid #ddd;">Actions</th></tr>';
     
-    pendingUpdates.forEach((update, key) => { // Changed unitId to key
-        const proposedAtDate = new Date(update.proposedAt).toLocaleString();
-        if (update.type === 'plan') {
+    proposals.forEach(proposal => {
+        const proposedAtDate = new Date(proposal.proposedAt).toLocaleString();
+        const id = escapeHtml(proposal.id);
+        const proposed = `<td style="padding: 8px; border-bottom: 1px solid #ddd;">${proposedAtDate} by ${escapeHtml(proposal.proposer)}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${proposal.status}</td>`;
+        if (proposal.type === 'plan') {
             html += `<tr>
-                <td style="padding: 8px; border-bottom: 1px solid #ddd;">Plan: ${update.planId}</td>
-                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${proposedAtDate}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">Plan: ${id}</td>
+                ${proposed}
                 <td style="padding: 8px; border-bottom: 1px solid #ddd;">
-                    <button onclick="window.viewPlanInConsole('${update.planId}')">View Plan (Console)</button>
-                    <button onclick="window.rejectPlan('${update.planId}')">Reject Plan</button>
+                    <button data-action="apply" data-id="${id}">Apply Plan</button>
+                    <button data-action="view" data-id="${id}">View Plan</button>
+                    <button data-action="reject" data-id="${id}">Reject Plan</button>
                 </td>
             </tr>`;
-        } else { // This is a single update (type 'single_update' or undefined)
-            const unitId = key; // For single updates, the key from the map is the unitId
+        } else {
+            const reason = proposal.reason ? `<br><small>${escapeHtml(proposal.reason)}</small>` : '';
             html += `<tr>
-                <td style="padding: 8px; border-bottom: 1px solid #ddd;">Unit ID: ${unitId}</td>
-                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${proposedAtDate}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">Unit ID: ${escapeHtml(proposal.unitId)}${reason}</td>
+                ${proposed}
                 <td style="padding: 8px; border-bottom: 1px solid #ddd;">
-                    <button onclick="window.applyPendingUpdate('${unitId}')">Apply</button>
-                    <button onclick="window.rejectPendingUpdate('${unitId}')">Reject</button>
+                    <button data-action="apply" data-id="${id}">Apply</button>
+                    <button data-action="reject" data-id="${id}">Reject</button>
                 </td>
             </tr>`;
         }
@@ -455,14 +1003,15 @@ function updatePendingUpdatesDisplay() {
     html += '</table>';
     pendingUpdatesDiv.innerHTML = html;
     
-    // Add global functions for the buttons
-    window.applyPendingUpdate = async (unitId) => {
+    // Handlers of the buttons, which pass the proposal's ID
+    const applyPendingUpdate = async (proposalId) => {
         try {
-            const result = await handleAIRequest({ command: 'applyUpdate', id: unitId });
+            const result = await handleAIRequest({ command: 'applyUpdate', id: proposalId });
             
             if (result.success) {
-                log(`Update applied successfully for unit: ${unitId}`, 'success');
+                log(result.message, 'success');
                 updatePendingUpdatesDisplay();
+                updateUnitHistoryDisplay(document.getElementById('unit-select').value);
             } else {
                 log(`Error applying update: ${result.error}`, 'error');
             }
@@ -471,11 +1020,174 @@ function updatePendingUpdatesDisplay() {
         }
     };
     
-    window.rejectPendingUpdate = (unitId) => {
-        pendingUpdates.delete(unitId);
-        log(`Update rejected for unit: ${unitId}`, 'success');
-        updatePendingUpdatesDisplay();
+    const rejectPendingUpdate = async (proposalId) => {
+        const notes = prompt('Why is it rejected? (optional)');
+        if (notes === null) return;
+        const result = await handleAIRequest({ command: 'rejectProposal', id: proposalId, notes });
+        if (result.success) {
+            log(`Proposal rejected: ${proposalId}`, 'success');
+            updatePendingUpdatesDisplay();
+        } else {
+            log(`Error rejecting proposal: ${result.error}`, 'error');
+        }
+    };
+    
+    // Show the plan as it is stored now, with each of its steps
+    const viewPlan = async (planId) => {
+        const plan = await getProposal(getActiveWorkspace(), planId);
+        if (!plan) {
+            log(`Plan not found: ${planId}`, 'error');
+            return;
+        }
+        let planHtml = `<h4>Plan ${escapeHtml(plan.id)} (${plan.status})</h4>`;
+        if (plan.description) planHtml += `<p style="white-space: pre-wrap;">${escapeHtml(plan.description)}</p>`;
+        planHtml += '<ol>';
+        plan.steps.forEach(step => {
+            planHtml += `<li><strong>${escapeHtml(step.action)}</strong>
+                <pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow: auto;">${escapeHtml(JSON.stringify(step.details, null, 2))}</pre></li>`;
+        });
+        planHtml += '</ol>';
+        document.getElementById('plan-details').innerHTML = planHtml;
+    };
+    
+    const actions = { apply: applyPendingUpdate, view: viewPlan, reject: rejectPendingUpdate };
+    pendingUpdatesDiv.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', () => actions[button.getAttribute('data-action')](button.getAttribute('data-id')));
+    });
+}
+
+// Revisions of the unit selected in the Testing tab, each with Diff and Revert buttons
+async function updateUnitHistoryDisplay(unitId) {
+    const historyDiv = document.getElementById('unit-history');
+    document.getElementById('revision-diff').innerHTML = '';
+    if (!unitId) {
+        historyDiv.innerHTML = '<p>Select a unit to see its revisions.</p>';
+        return;
+    }
+    
+    const result = await handleAIRequest({ command: 'getHistory', id: unitId });
+    if (!result.success) {
+        historyDiv.innerHTML = `<p>Error loading history: ${escapeHtml(result.error)}</p>`;
+        return;
+    }
+    if (result.revisions.length === 0) {
+        historyDiv.innerHTML = '<p>No changes recorded for this unit.</p>';
+        return;
+    }
+    
+    const cell = 'padding: 8px; border-bottom: 1px solid #ddd;';
+    const latest = result.revisions[result.revisions.length - 1].revision;
+    let html = '<table style="width: 100%; border-collapse: collapse;">';
+    html += `<tr><th style="text-align: left; ${cell}">Revision</th><th style="text-align: left; ${cell}">Author</th><th style="text-align: left; ${cell}">Date</th><th style="text-align: left; ${cell}">Reason</th><th style="text-align: left; ${cell}">Tests</th><th style="text-align: left; ${cell}">Actions</th></tr>`;
+    result.revisions.slice().reverse().forEach(revision => {
+        const outcome = revision.testOutcome;
+        const tests = !outcome ? 'Not run'
+            : `<span style="color: ${outcome.success ? '#4caf50' : '#f44336'};">${outcome.passed}/${outcome.total} passed</span>`;
+        html += `<tr>
+            <td style="${cell}">${escapeHtml(revision.revision)}${revision.revision === latest ? ' (current)' : ''}</td>
+            <td style="${cell}">${escapeHtml(revision.author)}</td>
+            <td style="${cell}">${new Date(revision.createdAt).toLocaleString()}</td>
+            <td style="${cell}">${escapeHtml(revision.reason)}</td>
+            <td style="${cell}">${tests}</td>
+            <td style="${cell}">
+                ${revision.revision > 1 ? `<button data-action="diff" data-revision="${escapeHtml(revision.revision)}">Diff</button>` : ''}
+                ${revision.revision !== latest ? `<button data-action="revert" data-revision="${escapeHtml(revision.revision)}">Revert</button>` : ''}
+            </td>
+        </tr>`;
+    });
+    html += '</table>';
+    historyDiv.innerHTML = html;
+    
+    // Handlers of the buttons, which pass the revision number
+    const showRevisionDiff = async (revision) => {
+        const diff = await handleAIRequest({ command: 'diffRevisions', id: unitId, to: revision });
+        if (!diff.success) {
+            log(`Error comparing revisions: ${diff.error}`, 'error');
+            return;
+        }
+        const colors = { added: '#e8f5e9', removed: '#ffebee', context: 'transparent' };
+        const prefixes = { added: '+', removed: '-', context: ' ' };
+        let diffHtml = `<h4>Revision ${diff.from} → ${diff.to} (+${diff.added} −${diff.removed})</h4>`;
+        diffHtml += '<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow: auto;">';
+        diff.lines.forEach(line => {
+            diffHtml += `<div style="background: ${colors[line.type]};">${prefixes[line.type]} ${escapeHtml(line.text)}</div>`;
+        });
+        diffHtml += '</pre>';
+        document.getElementById('revision-diff').innerHTML = diffHtml;
+    };
+    
+    const revertToRevision = async (revision) => {
+        const reverted = await handleAIRequest({ command: 'revertUnit', id: unitId, revision, author: 'user' });
+        if (reverted.success) {
+            log(reverted.message, 'success');
+            updateUnitHistoryDisplay(unitId);
+        } else {
+            log(`Error reverting unit: ${reverted.error}`, 'error');
+        }
     };
+    
+    const actions = { diff: showRevisionDiff, revert: revertToRevision };
+    historyDiv.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', () => actions[button.getAttribute('data-action')](Number(button.getAttribute('data-revision'))));
+    });
+}
+
+// Documentation of a unit as returned by getDocumentation
+function renderUnitDocs(entry) {
+    const { signature, description, doc } = entry;
+    if (!signature && !description && !doc) return '';
+    
+    let html = '<div style="padding: 10px; background: #f5f5f5; border-radius: 4px;">';
+    if (signature) html += `<code>${escapeHtml(signature)}</code>`;
+    if (doc && doc.deprecated) {
+        html += `<p style="color: #c62828;"><strong>Deprecated.</strong> ${escapeHtml(doc.deprecated.reason)}</p>`;
+    }
+    if (description) html += `<p style="white-space: pre-wrap;">${escapeHtml(description)}</p>`;
+    if (doc && doc.params.length > 0) {
+        html += '<p><strong>Parameters:</strong></p><ul>';
+        doc.params.forEach(param => {
+            const type = param.type ? ` <em>{${escapeHtml(param.type)}}</em>` : '';
+            const optional = param.optional ? ` (optional${param.defaultValue !== null ? `, default ${escapeHtml(param.defaultValue)}` : ''})` : '';
+            html += `<li><code>${escapeHtml(param.name)}</code>${type}${optional} ${escapeHtml(param.description)}</li>`;
+        });
+        html += '</ul>';
+    }
+    if (doc && doc.returns) {
+        const type = doc.returns.type ? ` <em>{${escapeHtml(doc.returns.type)}}</em>` : '';
+        html += `<p><strong>Returns:</strong>${type} ${escapeHtml(doc.returns.description)}</p>`;
+    }
+    if (doc && doc.throws.length > 0) {
+        html += '<p><strong>Throws:</strong></p><ul>';
+        doc.throws.forEach(thrown => {
+            const type = thrown.type ? `<em>{${escapeHtml(thrown.type)}}</em> ` : '';
+            html += `<li>${type}${escapeHtml(thrown.description)}</li>`;
+        });
+        html += '</ul>';
+    }
+    html += '</div>';
+    return html;
+}
+
+// Comments end up in innerHTML, so escape them
+// A search snippet line with its matches highlighted
+function renderSnippet(snippet) {
+    let html = '';
+    let position = 0;
+    snippet.highlights.forEach(([start, end]) => {
+        html += escapeHtml(snippet.text.slice(position, start)) + `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    html += escapeHtml(snippet.text.slice(position));
+    return `<div class="search-snippet"><span style="color: #999;">${snippet.line}:</span> ${html}</div>`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Log messages to the UI
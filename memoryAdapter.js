@@ -0,0 +1,221 @@
+// In-memory storage adapter
+// Keeps every database in plain Maps, for running the pipeline where there is
+// no IndexedDB (Node scripts, batch jobs, tests). It behaves like the IndexedDB
+// adapter: the same migrations create the stores and indexes, reads return
+// copies, records come back ordered by key and a write of several operations
+// is applied whole or not at all. Nothing outlives the adapter. Keys are
+// strings or numbers, which is all the schema uses.
+// See db.js for the adapter interface.
+
+function createError(name, message) {
+    return new DOMException(message, name);
+}
+
+function isValidKey(key) {
+    return (typeof key === 'string') || (typeof key === 'number' && !Number.isNaN(key));
+}
+
+function compareKeys(a, b) {
+    if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function getKeyPathValue(record, keyPath) {
+    return keyPath.split('.').reduce((value, name) => (value == null ? undefined : value[name]), record);
+}
+
+// The keys a record is filed under in an index; records without a valid key
+// aren't in the index, as in IndexedDB
+function getIndexKeys(index, record) {
+    const value = getKeyPathValue(record, index.keyPath);
+    if (index.multiEntry && Array.isArray(value)) return [...new Set(value.filter(isValidKey))];
+    return isValidKey(value) ? [value] : [];
+}
+
+function createStore(keyPath) {
+    return { keyPath, records: new Map(), indexes: new Map() };
+}
+
+function addToIndex(index, key, record) {
+    getIndexKeys(index, record).forEach(indexKey => {
+        if (!index.entries.has(indexKey)) index.entries.set(indexKey, new Set());
+        index.entries.get(indexKey).add(key);
+    });
+}
+
+function removeFromIndexes(store, key) {
+    const record = store.records.get(key);
+    if (record === undefined) return;
+    store.indexes.forEach(index => getIndexKeys(index, record).forEach(indexKey => {
+        const keys = index.entries.get(indexKey);
+        keys.delete(key);
+        if (keys.size === 0) index.entries.delete(indexKey);
+    }));
+}
+
+function putRecord(store, key, record) {
+    removeFromIndexes(store, key);
+    store.records.set(key, record);
+    store.indexes.forEach(index => addToIndex(index, key, record));
+}
+
+function deleteRecord(store, key) {
+    removeFromIndexes(store, key);
+    store.records.delete(key);
+}
+
+// Run migrations against a database through the parts of the IndexedDB upgrade
+// API they use: creating stores and indexes, and put() and openCursor() on a
+// store. Resolves once every cursor they opened has run to the end.
+async function runMigrations(database, migrations) {
+    const cursors = [];
+    const storeApi = (store) => ({
+        createIndex(name, keyPath, options = {}) {
+            const index = { keyPath, multiEntry: Boolean(options.multiEntry), entries: new Map() };
+            store.indexes.set(name, index);
+            store.records.forEach((record, key) => addToIndex(index, key, record));
+            return index;
+        },
+        put(record) {
+            putRecord(store, getKeyPathValue(record, store.keyPath), structuredClone(record));
+        },
+        openCursor() {
+            const request = { result: null };
+            const keys = [...store.records.keys()].sort(compareKeys);
+            cursors.push(new Promise(resolve => {
+                let position = 0;
+                const step = () => queueMicrotask(() => {
+                    const key = keys[position++];
+                    request.result = key === undefined ? null : {
+                        value: structuredClone(store.records.get(key)),
+                        update: (value) => putRecord(store, key, structuredClone(value)),
+                        continue: step
+                    };
+                    if (request.onsuccess) request.onsuccess();
+                    if (!request.result) resolve();
+                });
+                step();
+            }));
+            return request;
+        }
+    });
+
+    const db = {
+        createObjectStore(name, options = {}) {
+            const store = createStore(options.keyPath);
+            database.stores.set(name, store);
+            return storeApi(store);
+        }
+    };
+    const tx = {
+        objectStore: (name) => storeApi(database.stores.get(name))
+    };
+    migrations
+        .filter(migration => migration.version > database.version)
+        .forEach(migration => migration.migrate(db, tx));
+    while (cursors.length > 0) {
+        await cursors.shift();
+    }
+}
+
+function createMemoryAdapter() {
+    const databases = new Map();
+
+    const open = async (name, migrations) => {
+        if (!databases.has(name)) databases.set(name, { version: 0, stores: new Map(), connections: new Set() });
+        const database = databases.get(name);
+        const version = migrations[migrations.length - 1].version;
+        if (version < database.version) {
+            throw createError('VersionError', `Database ${name} is at version ${database.version}, newer than ${version}`);
+        }
+        if (version > database.version) {
+            await runMigrations(database, migrations);
+            database.version = version;
+        }
+
+        const getStore = (storeName) => {
+            if (connection.closed) throw createError('InvalidStateError', `The connection to ${name} is closed`);
+            const store = database.stores.get(storeName);
+            if (!store) throw createError('NotFoundError', `No object store named ${storeName}`);
+            return store;
+        };
+
+        const getIndex = (storeName, indexName) => {
+            const index = getStore(storeName).indexes.get(indexName);
+            if (!index) throw createError('NotFoundError', `No index named ${indexName} on ${storeName}`);
+            return index;
+        };
+
+        const connection = {
+            closed: false,
+            get storeNames() {
+                return [...database.stores.keys()].sort();
+            },
+            async get(storeName, keys) {
+                const store = getStore(storeName);
+                return keys.map(key => {
+                    const record = store.records.get(key);
+                    return record === undefined ? undefined : structuredClone(record);
+                });
+            },
+            async getAll(storeName) {
+                const store = getStore(storeName);
+                return [...store.records.keys()].sort(compareKeys).map(key => structuredClone(store.records.get(key)));
+            },
+            async getAllByIndex(storeName, indexName, value) {
+                const keys = await connection.getKeysByIndex(storeName, indexName, value);
+                const store = getStore(storeName);
+                return keys.map(key => structuredClone(store.records.get(key)));
+            },
+            async getKeysByIndex(storeName, indexName, value) {
+                return [...(getIndex(storeName, indexName).entries.get(value) || [])].sort(compareKeys);
+            },
+            async count(storeName) {
+                return getStore(storeName).records.size;
+            },
+            // Check and copy everything first, so a bad record fails the whole write
+            async write(operations) {
+                const prepared = operations.map(operation => {
+                    const store = getStore(operation.storeName);
+                    if (operation.type !== 'put') return { operation, store };
+                    const records = operation.records.map(record => {
+                        const key = getKeyPathValue(record, store.keyPath);
+                        if (!isValidKey(key)) {
+                            throw createError('DataError', `Record in ${operation.storeName} has no valid key at ${store.keyPath}`);
+                        }
+                        return [key, structuredClone(record)];
+                    });
+                    return { operation, store, records };
+                });
+                prepared.forEach(({ operation, store, records }) => {
+                    if (operation.type === 'clear') {
+                        store.records.clear();
+                        store.indexes.forEach(index => index.entries.clear());
+                    } else if (operation.type === 'delete') {
+                        operation.ids.forEach(id => deleteRecord(store, id));
+                    } else {
+                        records.forEach(([key, record]) => putRecord(store, key, record));
+                    }
+                });
+            },
+            close() {
+                connection.closed = true;
+                database.connections.delete(connection);
+            }
+        };
+        database.connections.add(connection);
+        return connection;
+    };
+
+    // Open connections are closed, as a deleted IndexedDB database closes them
+    const deleteDatabase = async (name) => {
+        const database = databases.get(name);
+        if (!database) return;
+        [...database.connections].forEach(connection => connection.close());
+        databases.delete(name);
+    };
+
+    return { name: 'memory', open, deleteDatabase };
+}
+
+export { createMemoryAdapter };
\ No newline at end of file
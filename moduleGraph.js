@@ -0,0 +1,257 @@
+import { getAllUnits, createTransaction } from './db.js';
+import { getOwnDependencies } from './staticAnalyzerWorker.js';
+
+// Suffixes tried, in order, when an import specifier omits the extension
+const MODULE_SUFFIXES = [
+    '', '.js', '.mjs', '.jsx', '.ts', '.tsx',
+    '/index.js', '/index.mjs', '/index.jsx', '/index.ts', '/index.tsx'
+];
+
+// Collapse `.` and `..` segments in a slash-separated path
+function normalizePath(path) {
+    const parts = [];
+    path.split('/').forEach(part => {
+        if (part === '' || part === '.') return;
+        if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') {
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    });
+    return parts.join('/');
+}
+
+// Resolve an import specifier relative to the importing source.
+// Returns the matching originalSource, or null for bare (package) and unknown specifiers.
+function resolveModuleSource(importer, specifier, sourcesByPath) {
+    if (!specifier.startsWith('.') && !specifier.startsWith('/')) {
+        return sourcesByPath.get(specifier) || null;
+    }
+    const importerDir = importer.split('/').slice(0, -1).join('/');
+    const resolved = normalizePath(specifier.startsWith('/') ? specifier : `${importerDir}/${specifier}`);
+    for (const suffix of MODULE_SUFFIXES) {
+        const match = sourcesByPath.get(resolved + suffix);
+        if (match) return match;
+    }
+    return null;
+}
+
+// Names a unit makes available in its scope: a variable unit every name it
+// declares, a statement or type none (types don't exist at runtime)
+function getDefinedNames(unit) {
+    if (unit.type === 'variable') return unit.declares || [];
+    if (unit.type === 'statement' || unit.type === 'type') return [];
+    return [unit.name];
+}
+
+// Group units by originalSource and record what each module imports and exports
+function buildModules(units) {
+    const modules = new Map();
+    const getModule = (source) => {
+        if (!modules.has(source)) {
+            modules.set(source, {
+                source,
+                units: [],
+                topLevel: new Map(), // name -> unit
+                exports: new Map(), // exported name -> export entry
+                starExports: [], // specifiers re-exported with `export *`
+                imports: [] // import units
+            });
+        }
+        return modules.get(source);
+    };
+
+    units.forEach(unit => {
+        const mod = getModule(unit.originalSource);
+        mod.units.push(unit);
+
+        if (unit.type === 'import') {
+            mod.imports.push(unit);
+            return;
+        }
+
+        if (unit.type === 'export') {
+            (unit.exports || []).forEach(entry => {
+                if (unit.source && entry.local === '*') {
+                    if (entry.exported === '*') mod.starExports.push(unit.source);
+                    else mod.exports.set(entry.exported, { unitId: unit.id, namespaceOf: unit.source });
+                } else if (unit.source) {
+                    mod.exports.set(entry.exported, { unitId: unit.id, from: unit.source, name: entry.local });
+                } else {
+                    mod.exports.set(entry.exported, { unitId: unit.id, local: entry.local });
+                }
+            });
+            return;
+        }
+
+        if (!unit.parentId) {
+            getDefinedNames(unit).forEach(name => {
+                if (!mod.topLevel.has(name)) mod.topLevel.set(name, unit);
+            });
+        }
+        (unit.exportedAs || []).forEach(exportedName => {
+            mod.exports.set(exportedName, { unitId: unit.id });
+        });
+    });
+
+    return modules;
+}
+
+// Classic scripts (sources without imports or exports) share one global scope,
+// so their top-level definitions are visible from every other source
+function collectScriptGlobals(modules) {
+    const globals = new Map(); // name -> unit
+    modules.forEach(mod => {
+        const isScript = mod.imports.length === 0 && mod.exports.size === 0 && mod.starExports.length === 0;
+        if (!isScript) return;
+        mod.topLevel.forEach((unit, name) => {
+            if (!globals.has(name)) globals.set(name, unit);
+        });
+    });
+    return globals;
+}
+
+// Resolve dependencies globally, across the given units of every source.
+// Import bindings are linked to the units that export them, and names used that
+// no import or local definition explains fall back to script globals. Returns
+// `import` edges (import unit -> exported unit) and cross-file `static` edges
+// (calling unit -> unit in another file), along with the import units whose
+// `resolvedSource` changed (updated in place) and the imports left unresolved.
+function computeModuleGraph(units) {
+    const modules = buildModules(units);
+    const scriptGlobals = collectScriptGlobals(modules);
+
+    const sourcesByPath = new Map();
+    modules.forEach((mod, source) => {
+        sourcesByPath.set(normalizePath(source), source);
+    });
+
+    // Follow an exported name through re-exports to the unit that defines it
+    const resolveExport = (source, name, seen = new Set()) => {
+        const key = `${source}#${name}`;
+        const mod = modules.get(source);
+        if (!mod || seen.has(key)) return null;
+        seen.add(key);
+
+        const entry = mod.exports.get(name);
+        if (entry) {
+            if (entry.from) {
+                const target = resolveModuleSource(source, entry.from, sourcesByPath);
+                return target ? resolveExport(target, entry.name, seen) : entry.unitId;
+            }
+            if (entry.local) {
+                const local = mod.topLevel.get(entry.local);
+                if (local) return local.id;
+                // The exported binding may itself be imported from elsewhere
+                const binding = getImportBinding(mod, entry.local);
+                if (binding) return resolveBinding(binding, null, seen) || entry.unitId;
+            }
+            return entry.unitId;
+        }
+
+        if (name !== 'default') {
+            for (const specifier of mod.starExports) {
+                const target = resolveModuleSource(source, specifier, sourcesByPath);
+                const unitId = target && resolveExport(target, name, seen);
+                if (unitId) return unitId;
+            }
+        }
+        return null;
+    };
+
+    const getImportBinding = (mod, localName) => {
+        for (const importUnit of mod.imports) {
+            const spec = (importUnit.specifiers || []).find(s => s.local === localName);
+            if (spec) {
+                return {
+                    importUnit,
+                    imported: spec.imported,
+                    target: resolveModuleSource(mod.source, importUnit.source, sourcesByPath)
+                };
+            }
+        }
+        return null;
+    };
+
+    // For namespace imports the member accessed (`ns.member`) picks the export
+    const resolveBinding = (binding, member, seen = new Set()) => {
+        if (!binding.target) return null;
+        const exportedName = binding.imported === '*' ? member : binding.imported;
+        return exportedName ? resolveExport(binding.target, exportedName, seen) : null;
+    };
+
+    const edges = [];
+    const updatedImports = [];
+    const unresolvedImports = [];
+
+    modules.forEach(mod => {
+        // Edges from each import to the units it brings in
+        mod.imports.forEach(importUnit => {
+            const target = resolveModuleSource(mod.source, importUnit.source, sourcesByPath);
+            if (importUnit.resolvedSource !== target) {
+                importUnit.resolvedSource = target;
+                updatedImports.push(importUnit);
+            }
+            if (!target) {
+                unresolvedImports.push({ source: mod.source, specifier: importUnit.source });
+                return;
+            }
+            (importUnit.specifiers || []).forEach(spec => {
+                if (spec.imported === '*') return;
+                const targetId = resolveExport(target, spec.imported);
+                if (targetId) {
+                    edges.push({
+                        id: `dep_${importUnit.id}_${targetId}`,
+                        sourceId: importUnit.id,
+                        targetId,
+                        type: 'import'
+                    });
+                }
+            });
+        });
+
+        // Edges from units that call imported bindings or globals of other files
+        const localNames = new Set(mod.units.flatMap(getDefinedNames));
+        mod.units.forEach(unit => {
+            if (unit.type === 'import' || unit.type === 'export') return;
+            getOwnDependencies(unit).forEach(depName => {
+                const [head, member] = depName.split('.');
+                const binding = getImportBinding(mod, head);
+                let targetId = null;
+                if (binding) {
+                    targetId = resolveBinding(binding, member);
+                } else if (!localNames.has(depName) && !localNames.has(head)) {
+                    const globalUnit = scriptGlobals.get(depName);
+                    if (globalUnit && globalUnit.originalSource !== mod.source) targetId = globalUnit.id;
+                }
+                if (targetId && targetId !== unit.id) {
+                    edges.push({
+                        id: `dep_${unit.id}_${targetId}`,
+                        sourceId: unit.id,
+                        targetId,
+                        type: 'static',
+                        crossFile: true
+                    });
+                }
+            });
+        });
+    });
+
+    return { edges, updatedImports, unresolvedImports };
+}
+
+// Resolve the module graph of everything stored in a workspace and write its
+// edges to the dependencies store
+async function resolveModuleGraph(workspace) {
+    const { edges, updatedImports, unresolvedImports } = computeModuleGraph(await getAllUnits(workspace));
+
+    // Import units and their edges are written together
+    await createTransaction(workspace)
+        .put(updatedImports)
+        .put(edges, 'dependencies')
+        .commit();
+
+    return { success: true, edgesCount: edges.length, unresolvedImports };
+}
+
+export { normalizePath, resolveModuleSource, getDefinedNames, buildModules, computeModuleGraph, resolveModuleGraph };
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { ingestCode } from './codeIngester.js';
+import { resolveModuleGraph } from './moduleGraph.js';
+import { updateFanMetrics } from './codeMetrics.js';
+
+// Defaults for project imports: every JavaScript, JSX and TypeScript file (.js, .mjs, .jsx, .ts, .tsx) outside node_modules, minus minified bundles
+const DEFAULT_INCLUDE = ['**/*.js', '**/*.mjs', '**/*.jsx', '**/*.ts', '**/*.tsx'];
+const DEFAULT_EXCLUDE = ['node_modules', '*.min.js'];
+
+// Convert a glob to a regular expression. `*` and `?` stay within one path
+// segment, `**` spans any number of segments.
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            const isSegment = (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/');
+            if (isSegment && glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            pattern += '[^/]*';
+        } else if (ch === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+// A glob containing a `/` is matched against the whole relative path; one without
+// (like `node_modules` or `*.min.js`) is matched against each path segment
+function matchesGlob(path, glob) {
+    const regex = globToRegExp(glob);
+    if (glob.includes('/')) return regex.test(path);
+    return path.split('/').some(segment => regex.test(segment));
+}
+
+// Split a comma or newline separated list of globs
+function parseGlobList(text) {
+    return (text || '').split(/[,\n]/).map(glob => glob.trim()).filter(Boolean);
+}
+
+function isIncluded(path, include, exclude) {
+    if (exclude.some(glob => matchesGlob(path, glob))) return false;
+    return include.some(glob => matchesGlob(path, glob));
+}
+
+// Folders and archives usually wrap everything in one top-level directory
+// (e.g. `my-project/` or GitHub's `repo-main/`); drop it from the paths
+function stripCommonRoot(entries) {
+    if (entries.length === 0) return entries;
+    const root = entries[0].path.split('/')[0];
+    const allShareRoot = entries.every(entry => entry.path.startsWith(`${root}/`));
+    if (!allShareRoot) return entries;
+    return entries.map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+}
+
+// Entries from an <input type="file" webkitdirectory> selection
+function entriesFromFileList(files) {
+    const entries = [...files].map(file => ({
+        path: file.webkitRelativePath || file.name,
+        read: () => file.text()
+    }));
+    return stripCommonRoot(entries);
+}
+
+// Entries from a File System Access API directory handle. Excluded folders are
+// skipped without being read, which matters for node_modules.
+async function entriesFromDirectoryHandle(dirHandle, exclude = DEFAULT_EXCLUDE, prefix = '') {
+    const entries = [];
+    for await (const handle of dirHandle.values()) {
+        const path = `${prefix}${handle.name}`;
+        if (handle.kind === 'directory') {
+            if (exclude.some(glob => matchesGlob(`${path}/`, glob))) continue;
+            entries.push(...await entriesFromDirectoryHandle(handle, exclude, `${path}/`));
+        } else {
+            entries.push({ path, read: async () => (await handle.getFile()).text() });
+        }
+    }
+    return entries;
+}
+
+// Inflate a zip entry's data; only stored and deflated entries are supported
+async function inflateZipData(data, method) {
+    if (method === 0) return data;
+    if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`);
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Entries of a .zip archive, read from its central directory
+async function entriesFromZip(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end-of-central-directory record sits at the end, before an optional comment
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a zip archive');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (path.endsWith('/')) continue; // Directory entry
+
+        entries.push({
+            path,
+            read: async () => {
+                // The local header repeats the name and may carry a different extra field
+                const dataStart = localOffset + 30 +
+                    view.getUint16(localOffset + 26, true) +
+                    view.getUint16(localOffset + 28, true);
+                const data = new Uint8Array(buffer, dataStart, compressedSize);
+                return decoder.decode(await inflateZipData(data, method));
+            }
+        });
+    }
+    return stripCommonRoot(entries);
+}
+
+// Ingest every matching entry into a workspace, using its relative path as
+// originalSource.
+// topLevelOnly is passed on to ingestCode. Aborting `signal` stops after the
+// files already imported, which are kept.
+// onProgress receives { path, fileIndex, totalFiles, chunk } while a file is
+// processed, and onFileComplete the summary of each file as it finishes.
+async function ingestProject(workspace, entries, options = {}) {
+    const {
+        include = DEFAULT_INCLUDE,
+        exclude = DEFAULT_EXCLUDE,
+        topLevelOnly = false,
+        signal,
+        onProgress,
+        onFileComplete
+    } = options;
+
+    const selected = [];
+    const skipped = [];
+    entries.forEach(entry => {
+        if (isIncluded(entry.path, include, exclude)) selected.push(entry);
+        else skipped.push(entry.path);
+    });
+    const files = [];
+
+    for (let i = 0; i < selected.length; i++) {
+        if (signal && signal.aborted) break;
+        const { path, read } = selected[i];
+        if (onProgress) onProgress({ path, fileIndex: i, totalFiles: selected.length, chunk: null });
+
+        let summary;
+        try {
+            const sourceCode = await read();
+            const result = await ingestCode(workspace, sourceCode, path, (chunk) => {
+                if (onProgress) onProgress({ path, fileIndex: i, totalFiles: selected.length, chunk });
+            }, { resolveModules: false, topLevelOnly, signal });
+            if (result.aborted) break;
+
+            if (!result.success) {
+                summary = { path, success: false, error: result.error };
+            } else if (result.unitsCount === 0 && result.errors.length > 0) {
+                // Every statement of the file failed to parse, so nothing came of it
+                const [first] = result.errors;
+                summary = { path, success: false, error: `Parse error at line ${first.line}: ${first.message}`, errors: result.errors };
+            } else {
+                summary = {
+                    path,
+                    success: true,
+                    unitsCount: result.unitsCount,
+                    dependenciesCount: result.dependenciesCount,
+                    changes: result.changes,
+                    errors: result.errors
+                };
+            }
+        } catch (error) {
+            summary = { path, success: false, error: error.message };
+        }
+
+        files.push(summary);
+        if (onFileComplete) onFileComplete(summary, i, selected.length);
+    }
+
+    // Resolve imports once every file is in the database
+    const moduleGraph = await resolveModuleGraph(workspace);
+    await updateFanMetrics(workspace);
+
+    const succeeded = files.filter(file => file.success);
+    const aborted = Boolean(signal && signal.aborted);
+    return {
+        success: !aborted && succeeded.length === files.length,
+        aborted,
+        files,
+        skipped,
+        totals: {
+            files: files.length,
+            failed: files.length - succeeded.length,
+            units: succeeded.reduce((sum, file) => sum + file.unitsCount, 0),
+            dependencies: succeeded.reduce((sum, file) => sum + file.dependenciesCount, 0),
+            crossFileDependencies: moduleGraph.edgesCount
+        },
+        unresolvedImports: moduleGraph.unresolvedImports
+    };
+}
+
+export {
+    DEFAULT_INCLUDE,
+    DEFAULT_EXCLUDE,
+    globToRegExp,
+    matchesGlob,
+    parseGlobList,
+    entriesFromFileList,
+    entriesFromDirectoryHandle,
+    entriesFromZip,
+    ingestProject
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+// Proposals
+// Updates and plans proposed for the codebase are kept in the `proposals` store
+// until they are dealt with, so they survive reloads, and a unit can have any
+// number of them. A proposal's status is one of
+//   pending     waiting for review
+//   approved    accepted by a reviewer, not applied yet
+//   rejected    turned down
+//   applied     written to the units
+//   superseded  overtaken: another proposal for one of its units was applied
+//               first, or the unit was deleted
+// Pending and approved proposals are open: only those can be reviewed or
+// applied. Every change of status is kept in `reviews`, with who made it, their
+// notes and when.
+
+import { getUnit, getUnitsByIndex, getKeysByIndex, getAllUnits, createTransaction } from './db.js';
+
+const PROPOSALS_STORE = 'proposals';
+const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected', 'applied', 'superseded'];
+const OPEN_STATUSES = ['pending', 'approved'];
+
+const isOpen = (proposal) => OPEN_STATUSES.includes(proposal.status);
+
+// A new pending proposal. `fields` are what is proposed: for an update of one
+// unit { type: 'single_update', unitId, originalCode, newCode, newTests, reason },
+// for a plan { type: 'plan', planId, description, steps }, which keeps the plan
+// ID as its own.
+function createProposal(fields, proposer = 'ai') {
+    const now = new Date().toISOString();
+    const isPlan = fields.type === 'plan';
+    const unitIds = isPlan
+        ? [...new Set(fields.steps.filter(step => step.action === 'updateUnit').map(step => step.details.id))]
+        : [fields.unitId];
+    return {
+        id: isPlan ? fields.planId : `prop_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        ...fields,
+        unitIds,
+        status: 'pending',
+        proposer,
+        proposedAt: now,
+        updatedAt: now,
+        reviews: []
+    };
+}
+
+// A proposal made from a pending update of a snapshot taken before proposals
+// were stored: plans were kept by plan ID, updates by unit ID
+function proposalFromPendingUpdate(key, update) {
+    const proposal = update.type === 'plan'
+        ? createProposal({ type: 'plan', planId: update.planId || key, description: update.description, steps: update.steps || [] }, update.author)
+        : createProposal({
+            type: 'single_update',
+            unitId: update.unitId || key,
+            originalCode: update.originalCode,
+            newCode: update.newCode,
+            newTests: update.newTests,
+            reason: update.reason
+        }, update.author);
+    if (update.proposedAt) {
+        proposal.proposedAt = update.proposedAt;
+        proposal.updatedAt = update.proposedAt;
+    }
+    return proposal;
+}
+
+async function getProposal(workspace, id) {
+    return getUnit(workspace, id, PROPOSALS_STORE);
+}
+
+// Statuses a filter stands for: one status or a list, where 'open' means
+// pending and approved
+function expandStatuses(status) {
+    const statuses = [].concat(status).flatMap(value => value === 'open' ? OPEN_STATUSES : [value]);
+    const unknown = statuses.filter(value => !PROPOSAL_STATUSES.includes(value));
+    if (unknown.length > 0) throw new Error(`Unknown proposal status: ${unknown.join(', ')}`);
+    return [...new Set(statuses)];
+}
+
+// Proposals, newest first. `status`, `unitId` (a unit the proposal changes) and
+// `type` ('single_update' or 'plan') narrow them down.
+async function listProposals(workspace, filter = {}) {
+    const { status, unitId, type } = filter;
+    const statuses = status === undefined ? null : expandStatuses(status);
+    let proposals;
+    if (unitId !== undefined) {
+        proposals = await getUnitsByIndex(workspace, 'unitIds', unitId, PROPOSALS_STORE);
+    } else if (statuses) {
+        proposals = (await Promise.all(statuses.map(value => getUnitsByIndex(workspace, 'status', value, PROPOSALS_STORE)))).flat();
+    } else {
+        proposals = await getAllUnits(workspace, PROPOSALS_STORE);
+    }
+    return proposals
+        .filter(proposal => (!statuses || statuses.includes(proposal.status)) && (!type || proposal.type === type))
+        .sort((a, b) => b.proposedAt.localeCompare(a.proposedAt));
+}
+
+async function countOpenProposals(workspace) {
+    const counts = await Promise.all(OPEN_STATUSES.map(status => getKeysByIndex(workspace, 'status', status, PROPOSALS_STORE)));
+    return counts.reduce((sum, keys) => sum + keys.length, 0);
+}
+
+async function saveProposal(workspace, proposal, transaction = null) {
+    const tx = transaction || createTransaction(workspace);
+    tx.put([proposal], PROPOSALS_STORE);
+    if (!transaction) await tx.commit();
+    return proposal;
+}
+
+// Give a proposal a new status, recording `review` ({ reviewer, notes }). Pass
+// the transaction that makes the change the status records to save it along.
+async function setProposalStatus(workspace, proposal, status, review = {}, transaction = null) {
+    const now = new Date().toISOString();
+    proposal.status = status;
+    proposal.updatedAt = now;
+    if (status === 'applied') proposal.appliedAt = now;
+    proposal.reviews.push({ status, reviewer: review.reviewer === undefined ? 'user' : review.reviewer, notes: review.notes || '', at: now });
+    return saveProposal(workspace, proposal, transaction);
+}
+
+// Approve or reject an open proposal
+async function reviewProposal(workspace, id, status, review = {}) {
+    const proposal = await getProposal(workspace, id);
+    if (!proposal) throw new Error(`Proposal not found: ${id}`);
+    if (!isOpen(proposal)) throw new Error(`Proposal ${id} is already ${proposal.status}`);
+    return setProposalStatus(workspace, proposal, status, review);
+}
+
+// The open proposal `id` names: a proposal ID (a plan's is its plan ID), or the
+// ID of a unit with exactly one open update
+async function findOpenProposal(workspace, id) {
+    const proposal = await getProposal(workspace, id);
+    if (proposal) {
+        if (!isOpen(proposal)) throw new Error(`Proposal ${id} is already ${proposal.status}`);
+        return proposal;
+    }
+    const open = (await getUnitsByIndex(workspace, 'unitIds', id, PROPOSALS_STORE))
+        .filter(candidate => isOpen(candidate) && candidate.type !== 'plan');
+    if (open.length === 0) throw new Error(`No pending update found for unit: ${id}`);
+    if (open.length > 1) {
+        throw new Error(`Unit ${id} has ${open.length} open proposals; pass the ID of one: ${open.map(candidate => candidate.id).join(', ')}`);
+    }
+    return open[0];
+}
+
+// Mark the open proposals for any of `unitIds` superseded, on `transaction`.
+// `supersededBy` is the proposal that was applied instead, if any, and is left alone.
+async function supersedeProposals(workspace, unitIds, details, transaction) {
+    const { supersededBy = null, notes } = details;
+    const superseded = new Set();
+    for (const unitId of unitIds) {
+        for (const proposal of await getUnitsByIndex(workspace, 'unitIds', unitId, PROPOSALS_STORE)) {
+            if (proposal.id === supersededBy || !isOpen(proposal) || superseded.has(proposal.id)) continue;
+            proposal.supersededBy = supersededBy;
+            superseded.add(proposal.id);
+            await setProposalStatus(workspace, proposal, 'superseded', { reviewer: null, notes }, transaction);
+        }
+    }
+    return [...superseded];
+}
+
+export {
+    PROPOSALS_STORE,
+    PROPOSAL_STATUSES,
+    createProposal,
+    proposalFromPendingUpdate,
+    getProposal,
+    listProposals,
+    countOpenProposals,
+    saveProposal,
+    setProposalStatus,
+    reviewProposal,
+    findOpenProposal,
+    supersedeProposals
+};
\ No newline at end of file
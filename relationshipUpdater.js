@@ -1,8 +1,9 @@
 import { getTraceLog, clearTraceLog } from './runtimeTracer.js';
-import { getUnit, putUnitsChunked } from './db.js';
+import { getUnit, createTransaction, getActiveWorkspace } from './db.js';
+import { getDynamicEdges } from './dependencyIntegrity.js';
 
-// Process trace logs and update dynamic relationships
-async function updateDynamicRelationships() {
+// Process trace logs and update dynamic relationships in a workspace
+async function processTraceLog(workspace) {
     const traceLog = getTraceLog();
     if (!traceLog || traceLog.length === 0) return { updated: 0 };
     
@@ -21,15 +22,16 @@ async function updateDynamicRelationships() {
         }
     }
     
-    // Process the relationships and update units
-    const updatedUnits = [];
+    // Process the relationships and update units, fetching each source unit once
+    // so all of its relationships land on the same record
+    const updatedUnits = new Map();
     
     for (const [key, frequency] of callFrequencyMap.entries()) {
         const [sourceId, targetId] = key.split('->');
         
         try {
             // Get the source unit
-            const sourceUnit = await getUnit(sourceId);
+            const sourceUnit = updatedUnits.get(sourceId) || await getUnit(workspace, sourceId);
             if (!sourceUnit) continue;
             
             // Check if this relationship already exists
@@ -50,21 +52,35 @@ async function updateDynamicRelationships() {
                 });
             }
             
-            updatedUnits.push(sourceUnit);
+            updatedUnits.set(sourceId, sourceUnit);
         } catch (error) {
             console.error(`Error updating relationship ${key}:`, error);
         }
     }
     
-    // Store the updated units in batches
-    if (updatedUnits.length > 0) {
-        await putUnitsChunked(updatedUnits);
+    // Store the updated units with the `dynamic` edges that mirror their
+    // relationships, for targets that exist
+    if (updatedUnits.size > 0) {
+        const sourceUnits = [...updatedUnits.values()];
+        const targetIds = new Set();
+        for (const targetId of new Set(sourceUnits.flatMap(unit => unit.dynamicRelationships.map(rel => rel.targetId)))) {
+            if (await getUnit(workspace, targetId)) targetIds.add(targetId);
+        }
+        await createTransaction(workspace)
+            .put(sourceUnits)
+            .put(getDynamicEdges(sourceUnits, targetIds), 'dependencies')
+            .commit();
     }
     
     // Clear the trace log after processing
     clearTraceLog();
     
-    return { updated: updatedUnits.length };
+    return { updated: updatedUnits.size };
+}
+
+// Traced code runs in the UI, so its relationships go to the workspace open there
+function updateDynamicRelationships() {
+    return processTraceLog(getActiveWorkspace());
 }
 
 // Start periodic updates
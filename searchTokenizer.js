@@ -0,0 +1,83 @@
+// Tokens for full-text code search
+// Code is read as a sequence of words (identifiers and numbers), and every
+// identifier also as its camelCase and snake_case parts, so `getUserName`,
+// `get_user_name` and `GET_USER_NAME` all match a search for `user name`.
+// Terms are lowercase; parts shorter than two characters aren't indexed.
+
+const WORD_PATTERN = /[A-Za-z_$][\w$]*|\d+/g;
+const PART_PATTERN = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g;
+const MIN_TERM_LENGTH = 2;
+
+// Parts of the words in `text`, in order: [{ term, start, end, word }], where
+// `word` numbers the word a part belongs to and offsets are into `text`
+function tokenize(text) {
+    const tokens = [];
+    let wordIndex = 0;
+    for (const wordMatch of text.matchAll(WORD_PATTERN)) {
+        for (const partMatch of wordMatch[0].matchAll(PART_PATTERN)) {
+            if (partMatch[0].length < MIN_TERM_LENGTH) continue;
+            const start = wordMatch.index + partMatch.index;
+            tokens.push({ term: partMatch[0].toLowerCase(), start, end: start + partMatch[0].length, word: wordIndex });
+        }
+        wordIndex++;
+    }
+    return tokens;
+}
+
+// Terms of one word: its parts, and the whole word when it has several
+function getWordTerms(word) {
+    const parts = tokenize(word).map(token => token.term);
+    const whole = word.toLowerCase();
+    return { parts, whole: parts.length > 1 ? whole : null };
+}
+
+// The `searchIndex` record of a unit: the terms of its code, how often each
+// occurs (`counts[i]` for `terms[i]`) and its number of parts, for ranking
+function getSearchEntry(unit) {
+    const counts = new Map();
+    const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+    const code = unit.code || '';
+    let length = 0;
+    for (const [word] of code.matchAll(WORD_PATTERN)) {
+        const { parts, whole } = getWordTerms(word);
+        parts.forEach(add);
+        if (whole) add(whole);
+        length += parts.length;
+    }
+    return { unitId: unit.id, terms: [...counts.keys()], counts: [...counts.values()], length };
+}
+
+// Split a search query into clauses: "quoted phrases" match consecutive parts
+// anywhere in the code, other words match on their own, a multi-part word
+// (`getUser`) as consecutive parts of one identifier. Returns
+// [{ text, terms, whole, phrase }], leaving out words with no searchable parts.
+function parseQuery(query) {
+    const clauses = [];
+    for (const [, quoted, word] of String(query).matchAll(/"([^"]*)"|([^\s"]+)/g)) {
+        if (quoted !== undefined) {
+            const terms = tokenize(quoted).map(token => token.term);
+            if (terms.length > 0) clauses.push({ text: quoted, terms, whole: null, phrase: true });
+            continue;
+        }
+        // Punctuation around a word, as in `foo()` or `a.b`, separates words
+        for (const [part] of word.matchAll(WORD_PATTERN)) {
+            const { parts, whole } = getWordTerms(part);
+            if (parts.length > 0) clauses.push({ text: part, terms: parts, whole, phrase: false });
+        }
+    }
+    return clauses;
+}
+
+// Terms every unit whose code contains `text` (case-sensitively) must have in the
+// index: the parts of the words wholly inside it. A word touching either end may
+// be the tail or head of a longer identifier, so it tells nothing.
+function getContainedTerms(text) {
+    const terms = new Set();
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        if (match.index === 0 || match.index + match[0].length === text.length) continue;
+        getWordTerms(match[0]).parts.forEach(term => terms.add(term));
+    }
+    return [...terms];
+}
+
+export { MIN_TERM_LENGTH, tokenize, getSearchEntry, parseQuery, getContainedTerms };
\ No newline at end of file
@@ -0,0 +1,361 @@
+// TypeScript and JSX support
+// Sources in either language are turned into plain JavaScript before analysis:
+// type annotations and declarations are blanked out with spaces, JSX is lowered
+// to createElement calls, and enums, namespaces and parameter properties get
+// their runtime equivalents. Blanking keeps every offset, and every other edit keeps the line
+// count, so units found in the output map straight back onto the original text.
+
+import { TYPE_ONLY_DECLARATIONS, parse, forEachChild } from './jsParser.js';
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.mts', '.cts'];
+
+// Language of a source, judging by its file extension: 'js', 'jsx', 'ts' or 'tsx'
+function getSourceLanguage(path) {
+    const lowerPath = (path || '').toLowerCase();
+    if (lowerPath.endsWith('.tsx')) return 'tsx';
+    if (lowerPath.endsWith('.jsx')) return 'jsx';
+    if (TYPESCRIPT_EXTENSIONS.some(extension => lowerPath.endsWith(extension))) return 'ts';
+    return 'js';
+}
+
+// Parser options for a language
+function getSyntaxOptions(language) {
+    return {
+        typescript: language === 'ts' || language === 'tsx',
+        jsx: language === 'jsx' || language === 'tsx'
+    };
+}
+
+// Replace everything but line breaks in start..end with spaces
+function blankRange(chars, start, end) {
+    for (let i = start; i < end; i++) {
+        if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+    }
+}
+
+// The line breaks of a replaced piece of source, appended to its replacement
+function keepLineBreaks(text) {
+    return (text.match(/\n/g) || []).join('');
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body) ? NAMED_ENTITIES[body] : entity;
+    });
+}
+
+// JSX text as React sees it: whitespace runs containing a line break are dropped,
+// and the lines left over are joined with single spaces (the same rules as Babel)
+function cleanJsxText(value) {
+    const lines = value.split(/\r\n|\n|\r/);
+    let lastNonEmptyLine = 0;
+    lines.forEach((line, i) => {
+        if (/[^ \t]/.test(line)) lastNonEmptyLine = i;
+    });
+    let text = '';
+    lines.forEach((line, i) => {
+        let trimmed = line.replace(/\t/g, ' ');
+        if (i !== 0) trimmed = trimmed.replace(/^[ ]+/, '');
+        if (i !== lines.length - 1) trimmed = trimmed.replace(/[ ]+$/, '');
+        if (trimmed) {
+            if (i !== lastNonEmptyLine) trimmed += ' ';
+            text += trimmed;
+        }
+    });
+    return text;
+}
+
+function getJsxName(node) {
+    if (node.type === 'JSXNamespacedName') return `${node.namespace.name}:${node.name.name}`;
+    if (node.type === 'JSXMemberExpression') return `${getJsxName(node.object)}.${node.property.name}`;
+    return node.name;
+}
+
+// Lowered JSX is described as a list of parts: generated text, and holes that
+// keep an embedded expression's source (nested JSX in it is lowered separately)
+function lowerJsx(node, options, parts) {
+    const text = (value) => parts.push({ text: value });
+    const hole = (expression) => parts.push({ hole: expression });
+
+    if (node.type === 'JSXFragment') {
+        text(`${options.jsxFactory}(${options.jsxFragment}, null`);
+    } else {
+        const name = getJsxName(node.name);
+        // Lowercase and dashed names are intrinsic elements, passed as strings
+        const isIntrinsic = node.name.type === 'JSXNamespacedName' || /^[a-z]|-/.test(name);
+        text(`${options.jsxFactory}(${isIntrinsic ? JSON.stringify(name) : name}, `);
+        if (node.attributes.length === 0) {
+            text('null');
+        } else {
+            text('{ ');
+            node.attributes.forEach((attribute, i) => {
+                if (i > 0) text(', ');
+                if (attribute.type === 'JSXSpreadAttribute') {
+                    text('...');
+                    hole(attribute.argument);
+                    return;
+                }
+                const key = getJsxName(attribute.name);
+                text(`${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: `);
+                const { value } = attribute;
+                if (!value) {
+                    text('true');
+                } else if (value.type === 'Literal') {
+                    text(JSON.stringify(decodeEntities(value.value)));
+                } else if (value.type === 'JSXExpressionContainer') {
+                    if (value.expression.type === 'JSXEmptyExpression') text('true');
+                    else hole(value.expression);
+                } else {
+                    lowerJsx(value, options, parts);
+                }
+            });
+            text(' }');
+        }
+    }
+    node.children.forEach(child => {
+        if (child.type === 'JSXText') {
+            const value = cleanJsxText(child.value);
+            if (value) text(`, ${JSON.stringify(decodeEntities(value))}`);
+        } else if (child.type === 'JSXExpressionContainer') {
+            if (child.expression.type === 'JSXEmptyExpression') return;
+            text(', ');
+            hole(child.expression);
+        } else if (child.type === 'JSXSpreadChild') {
+            text(', ...');
+            hole(child.expression);
+        } else {
+            text(', ');
+            lowerJsx(child, options, parts);
+        }
+    });
+    text(')');
+    return parts;
+}
+
+// Turn a JSX element into edits for the text between its holes, returning the holes
+function addJsxEdits(node, options, source, edits) {
+    const parts = lowerJsx(node, options, []);
+    const holes = [];
+    let position = node.start;
+    let generated = '';
+    const flush = (end) => {
+        edits.push({ start: position, end, text: generated + keepLineBreaks(source.slice(position, end)) });
+        generated = '';
+    };
+    parts.forEach(part => {
+        if (part.hole) {
+            flush(part.hole.start);
+            holes.push(part.hole);
+            position = part.hole.end;
+        } else {
+            generated += part.text;
+        }
+    });
+    flush(node.end);
+    return holes;
+}
+
+// `enum E { A, B = 4, C }` becomes `const E = { A: 0, B: 4, C: 5 };`
+function getEnumText(node, source) {
+    let next = 0;
+    const members = node.members.map(member => {
+        const key = member.id.type === 'Identifier' ? member.id.name : JSON.stringify(member.id.value);
+        let value;
+        if (!member.initializer) {
+            value = typeof next === 'number' ? String(next) : next;
+        } else {
+            value = source.slice(member.initializer.start, member.initializer.end);
+            const literal = member.initializer.type === 'Literal' ? member.initializer.value : null;
+            if (typeof literal === 'number') next = literal;
+            else next = `(${value})`;
+        }
+        next = typeof next === 'number' ? next + 1 : `${next} + 1`;
+        return `${key}: ${value}`;
+    });
+    return `const ${node.id.name} = { ${members.join(', ')} };`;
+}
+
+// Names a namespace body exports that exist at runtime
+function getNamespaceExports(node) {
+    return node.body.flatMap(statement => {
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : null;
+        if (!declaration || TYPE_ONLY_DECLARATIONS.has(declaration.type)) return [];
+        if (declaration.type === 'VariableDeclaration') {
+            return declaration.declarations
+                .filter(declarator => declarator.id.type === 'Identifier')
+                .map(declarator => declarator.id.name);
+        }
+        if (declaration.type === 'TSModuleDeclaration') return [declaration.ids[0]];
+        return declaration.id ? [declaration.id.name] : [];
+    });
+}
+
+// `namespace A.B { export function f() {} }` becomes
+// `var A = (function (A) { A.B = (function (B) { function f() {} B.f = f; return B; })(A.B || {}); return A; })(A || {});`
+// by replacing its head, the `export` keywords of its body and its closing brace,
+// which merges it with an earlier namespace of the same name as TypeScript does
+function getNamespaceEdits(node, source) {
+    const { ids } = node;
+    const targets = ids.map((id, i) => (i === 0 ? id : `${ids[i - 1]}.${id}`));
+    const head = ids.map((id, i) => `${i === 0 ? 'var ' : ' '}${targets[i]} = (function (${id}) {`).join('');
+    const inner = ids[ids.length - 1];
+    const assignments = getNamespaceExports(node).map(name => ` ${inner}.${name} = ${name};`).join('');
+    const tail = ids.map((id, i) => ` return ${id}; })(${targets[i]} || {});`).reverse().join('');
+    const edits = [
+        { start: node.start, end: node.bodyStart + 1, text: head + keepLineBreaks(source.slice(node.start, node.bodyStart + 1)) },
+        { start: node.end - 1, end: node.end, text: `${assignments}${tail}` }
+    ];
+    node.body.forEach(statement => {
+        if (statement.type !== 'ExportNamedDeclaration' || !statement.declaration) return;
+        if (TYPE_ONLY_DECLARATIONS.has(statement.declaration.type)) return;
+        const keyword = source.slice(statement.start, statement.declaration.start);
+        edits.push({ start: statement.start, end: statement.declaration.start, text: keyword.replace(/[^\r\n]/g, ' ') });
+    });
+    return edits;
+}
+
+// `constructor(private name: string)` assigns `this.name = name;` at the start of
+// the constructor, or straight after its `super(...)` call
+function getParameterPropertyEdit(method) {
+    const fn = method.value;
+    const names = fn.params
+        .filter(param => param.parameterProperty)
+        .map(param => (param.type === 'AssignmentPattern' ? param.left : param))
+        .filter(param => param.type === 'Identifier')
+        .map(param => param.name);
+    if (names.length === 0 || !fn.body) return null;
+    const superCall = fn.body.body.find(statement => statement.type === 'ExpressionStatement' &&
+        statement.expression.type === 'CallExpression' && statement.expression.callee.type === 'Super');
+    const position = superCall ? superCall.end : fn.body.start + 1;
+    return { start: position, end: position, text: names.map(name => ` this.${name} = ${name};`).join('') };
+}
+
+// Interfaces and type aliases declared at the top level, for `type` units
+function collectTypeDeclarations(program) {
+    const declarations = [];
+    program.body.forEach(statement => {
+        const isExport = /^Export(Named|Default)Declaration$/.test(statement.type);
+        const declaration = isExport ? statement.declaration : statement;
+        if (!declaration || !declaration.id) return;
+        if (declaration.type !== 'TSInterfaceDeclaration' && declaration.type !== 'TSTypeAliasDeclaration') return;
+        const name = declaration.id.name;
+        declarations.push({
+            name,
+            kind: declaration.type === 'TSInterfaceDeclaration' ? 'interface' : 'alias',
+            start: declaration.start,
+            end: declaration.end,
+            docOffset: statement.start,
+            exportedAs: !isExport ? null : statement.type === 'ExportDefaultDeclaration' ? ['default'] : [name]
+        });
+    });
+    return declarations;
+}
+
+// Map offsets in the transformed code back to the original. Offsets inside a
+// replaced piece map to its start; offsets after it shift by what it added.
+function createOffsetMapper(edits) {
+    const generatedStarts = [];
+    let delta = 0;
+    edits.forEach(edit => {
+        generatedStarts.push(edit.start + delta);
+        delta += edit.text.length - (edit.end - edit.start);
+    });
+
+    return (offset) => {
+        let low = 0;
+        let high = edits.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (generatedStarts[mid] <= offset) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (found === -1) return offset;
+        const edit = edits[found];
+        const generatedEnd = generatedStarts[found] + edit.text.length;
+        if (offset < generatedEnd) return edit.start;
+        return edit.end + (offset - generatedEnd);
+    };
+}
+
+// Transform TypeScript and/or JSX source into JavaScript.
+// Returns { code, mapOffset, typeDeclarations, comments, errors }: mapOffset turns
+// an offset in `code` into one in `source`; comments and errors are those of the
+// original source.
+function transformSource(source, options = {}) {
+    const {
+        typescript = false,
+        jsx = false,
+        jsxFactory = 'React.createElement',
+        jsxFragment = 'React.Fragment'
+    } = options;
+    const ast = parse(source, { typescript, jsx, recover: true });
+
+    // Type-only ranges, merged, since modifiers and annotations may overlap
+    const ranges = [...(ast.typeOnlyRanges || [])].sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+        else merged.push({ ...range });
+    });
+    const chars = source.split('');
+    merged.forEach(range => blankRange(chars, range.start, range.end));
+    const blanked = chars.join('');
+
+    // The remaining edits are made to the blanked text, whose offsets are the source's
+    const edits = [];
+    const visit = (node) => {
+        if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+            addJsxEdits(node, { jsxFactory, jsxFragment }, blanked, edits).forEach(visit);
+            return;
+        }
+        if (node.type === 'TSEnumDeclaration') {
+            const text = getEnumText(node, blanked);
+            edits.push({ start: node.start, end: node.end, text: text + keepLineBreaks(blanked.slice(node.start, node.end)) });
+            return;
+        }
+        if (node.type === 'TSModuleDeclaration') {
+            edits.push(...getNamespaceEdits(node, blanked));
+            node.body.forEach(statement => {
+                visit(statement.type === 'ExportNamedDeclaration' && statement.declaration ? statement.declaration : statement);
+            });
+            return;
+        }
+        if (node.type === 'MethodDefinition' && node.kind === 'constructor') {
+            const edit = getParameterPropertyEdit(node);
+            if (edit) edits.push(edit);
+        }
+        forEachChild(node, visit);
+    };
+    visit(ast);
+    edits.sort((a, b) => a.start - b.start);
+
+    const pieces = [];
+    let position = 0;
+    edits.forEach(edit => {
+        pieces.push(blanked.slice(position, edit.start), edit.text);
+        position = edit.end;
+    });
+    pieces.push(blanked.slice(position));
+
+    return {
+        code: pieces.join(''),
+        mapOffset: createOffsetMapper(edits),
+        typeDeclarations: collectTypeDeclarations(ast),
+        comments: ast.comments,
+        errors: ast.errors
+    };
+}
+
+export { getSourceLanguage, getSyntaxOptions, transformSource };
\ No newline at end of file
@@ -1,211 +1,846 @@
-// This is a simplified static analyzer using a basic AST-like approach
-// It aims to identify function definitions and their dependencies in JavaScript code
-
-// Helper to find matching closing bracket
-function findMatchingBracket(code, startPos, openBracket, closeBracket) {
-    let depth = 1;
-    let pos = startPos;
-    
-    while (pos < code.length && depth > 0) {
-        if (code[pos] === openBracket) depth++;
-        else if (code[pos] === closeBracket) depth--;
-        pos++;
-    }
-    
-    return depth === 0 ? pos - 1 : -1;
-}
-
-// Helper to extract function details
-function extractFunction(code, startPos, type, lineOffset) {
-    // Find function name or use anonymous if not found
-    let nameMatch;
-    if (type === 'function') {
-        nameMatch = /function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
-        nameMatch.lastIndex = startPos;
-    } else if (type === 'arrow') {
-        // Look backwards for variable assignment
-        const beforeText = code.substring(Math.max(0, startPos - 100), startPos);
-        nameMatch = /(?:const|let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=/g.exec(beforeText);
-    } else if (type === 'method') {
-        nameMatch = /([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
-        nameMatch.lastIndex = startPos;
-    }
-    
-    const name = nameMatch && nameMatch[1] ? nameMatch[1] : 'anonymous';
-    
-    // Find opening bracket position
-    const openBracketPos = code.indexOf('{', startPos);
-    if (openBracketPos === -1) return null;
-    
-    // Find matching closing bracket
-    const closeBracketPos = findMatchingBracket(code, openBracketPos + 1, '{', '}');
-    if (closeBracketPos === -1) return null;
-    
-    // Extract the function body including brackets
-    const functionBody = code.substring(openBracketPos, closeBracketPos + 1);
-    
-    // Count lines to calculate start and end lines
-    const codeBeforeFunction = code.substring(0, openBracketPos);
-    const startLine = lineOffset + (codeBeforeFunction.match(/\n/g) || []).length;
-    const endLine = startLine + (functionBody.match(/\n/g) || []).length;
-    
-    // Simple extraction of function calls within the body
-    const functionCalls = [];
-    const callRegex = /([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
-    let callMatch;
-    
-    while ((callMatch = callRegex.exec(functionBody)) !== null) {
-        if (callMatch[1] !== 'function' && 
-            callMatch[1] !== 'if' && 
-            callMatch[1] !== 'for' && 
-            callMatch[1] !== 'while' && 
-            callMatch[1] !== 'switch') {
-            functionCalls.push(callMatch[1]);
-        }
-    }
-    
-    // Generate a simple ID
-    const id = `func_${name}_${startLine}`;
-    
+// Static analyzer built on the tokenizer/parser in jsParser.js
+// It identifies function definitions, top-level variables and statements, and
+// their dependencies in JavaScript code. TypeScript and JSX are transformed to
+// JavaScript first (see sourceTransform.js), and units report the original text.
+
+import { parse, forEachChild, getLineStarts, getLineInfo } from './jsParser.js';
+import { serveWorkerJobs } from './workerUtil.js';
+import { computeMetrics } from './codeMetrics.js';
+import { getUnitDoc, getSignature } from './unitDocs.js';
+import { getSyntaxOptions, transformSource } from './sourceTransform.js';
+
+// Dotted name of a static member chain such as `utils.formatDate`
+function getStaticName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+        const objectName = getStaticName(node.object);
+        return objectName ? `${objectName}.${node.property.name}` : null;
+    }
+    return null;
+}
+
+// Callee name for dependency tracking. Besides static member chains this keeps
+// a `this`/`super` receiver, e.g. `this.render`, so the call can be resolved to
+// a method of the enclosing class or object.
+function getCalleeName(callee) {
+    if (callee.type === 'MemberExpression' && !callee.computed &&
+        (callee.object.type === 'ThisExpression' || callee.object.type === 'Super')) {
+        const receiver = callee.object.type === 'Super' ? 'super' : 'this';
+        const property = getKeyName(callee.property, false);
+        return property ? `${receiver}.${property}` : null;
+    }
+    return getStaticName(callee);
+}
+
+// Name of an object or class member key, if it can be known statically
+function getKeyName(key, computed) {
+    if (computed) return key.type === 'Literal' && typeof key.value === 'string' ? key.value : null;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+    if (key.type === 'Literal') return String(key.value);
+    return null;
+}
+
+function isFunctionNode(node) {
+    return node.type === 'FunctionDeclaration' ||
+        node.type === 'FunctionExpression' ||
+        node.type === 'ArrowFunctionExpression';
+}
+
+function isClassNode(node) {
+    return node.type === 'ClassDeclaration' || node.type === 'ClassExpression';
+}
+
+function isClassMember(node, parent) {
+    return parent && parent.type === 'ClassBody' &&
+        (node.type === 'MethodDefinition' || node.type === 'PropertyDefinition');
+}
+
+// Name of the variable or property an object literal is assigned to
+function getObjectName(objectNode, owner) {
+    if (!owner) return null;
+    if (owner.type === 'VariableDeclarator' && owner.init === objectNode && owner.id.type === 'Identifier') {
+        return owner.id.name;
+    }
+    if (owner.type === 'AssignmentExpression' && owner.right === objectNode) {
+        return getStaticName(owner.left);
+    }
+    return null;
+}
+
+// Add the names bound by a declaration pattern (`a`, `{ b, c: [d] }`, `...e`)
+function addPatternNames(pattern, kind, bindings) {
+    switch (pattern.type) {
+        case 'Identifier':
+            bindings.set(pattern.name, kind);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(prop => {
+                addPatternNames(prop.type === 'RestElement' ? prop : prop.value, kind, bindings);
+            });
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => {
+                if (element) addPatternNames(element, kind, bindings);
+            });
+            break;
+        case 'RestElement':
+            addPatternNames(pattern.argument, kind, bindings);
+            break;
+        case 'AssignmentPattern':
+            addPatternNames(pattern.left, kind, bindings);
+            break;
+    }
+}
+
+// Variables holding a function or class count as definitions, like declarations do
+function addDeclarators(declaration, bindings) {
+    declaration.declarations.forEach(declarator => {
+        const init = declarator.init;
+        const holdsDefinition = init && (isFunctionNode(init) || isClassNode(init));
+        addPatternNames(declarator.id, holdsDefinition ? 'function' : declaration.kind, bindings);
+    });
+}
+
+// Block-scoped declarations (let/const/class/function/import) made directly in a list of statements
+function addLexicalDeclarations(statements, bindings) {
+    statements.forEach(statement => {
+        const declaration = /^Export(Named|Default)Declaration$/.test(statement.type) && statement.declaration
+            ? statement.declaration
+            : statement;
+        if (declaration.type === 'VariableDeclaration' && declaration.kind !== 'var') {
+            addDeclarators(declaration, bindings);
+        } else if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+            bindings.set(declaration.id.name, 'function');
+        } else if (declaration.type === 'ClassDeclaration' && declaration.id) {
+            bindings.set(declaration.id.name, 'class');
+        } else if (declaration.type === 'ImportDeclaration') {
+            declaration.specifiers.forEach(spec => bindings.set(spec.local.name, 'import'));
+        }
+    });
+}
+
+// `var` declarations anywhere in a function body, without entering nested functions
+function addVarDeclarations(node, bindings) {
+    forEachChild(node, child => {
+        if (isFunctionNode(child)) return;
+        if (child.type === 'VariableDeclaration' && child.kind === 'var') addDeclarators(child, bindings);
+        addVarDeclarations(child, bindings);
+    });
+}
+
+// The bindings a node introduces as a new lexical scope, or null if it doesn't open one.
+// Each binding maps to its kind: 'param', 'var', 'let', 'const', 'function', 'class', ...
+function getScopeBindings(node, parent) {
+    const bindings = new Map();
+    switch (node.type) {
+        case 'Program':
+            addVarDeclarations(node, bindings);
+            addLexicalDeclarations(node.body, bindings);
+            return bindings;
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            if (node.type === 'FunctionExpression' && node.id) bindings.set(node.id.name, 'function');
+            if (node.type !== 'ArrowFunctionExpression') bindings.set('arguments', 'param');
+            node.params.forEach(param => addPatternNames(param, 'param', bindings));
+            if (node.body.type === 'BlockStatement') {
+                addVarDeclarations(node.body, bindings);
+                addLexicalDeclarations(node.body.body, bindings);
+            }
+            return bindings;
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+            if (node.id) bindings.set(node.id.name, 'class');
+            return bindings;
+        case 'BlockStatement':
+            // A function body shares the function's scope
+            if (parent && isFunctionNode(parent)) return null;
+            addLexicalDeclarations(node.body, bindings);
+            return bindings;
+        case 'StaticBlock':
+            addVarDeclarations(node, bindings);
+            addLexicalDeclarations(node.body, bindings);
+            return bindings;
+        case 'SwitchStatement':
+            node.cases.forEach(switchCase => addLexicalDeclarations(switchCase.consequent, bindings));
+            return bindings;
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement': {
+            const declaration = node.type === 'ForStatement' ? node.init : node.left;
+            if (declaration && declaration.type === 'VariableDeclaration' && declaration.kind !== 'var') {
+                addDeclarators(declaration, bindings);
+            }
+            return bindings;
+        }
+        case 'CatchClause':
+            if (node.param) addPatternNames(node.param, 'param', bindings);
+            return bindings;
+        default:
+            return null;
+    }
+}
+
+// Work out the name and source range of a function or class from where it appears.
+// Returns null for anonymous inline definitions (callbacks etc.), which stay part
+// of the enclosing unit.
+function describeDefinition(node, ancestors) {
+    const parent = ancestors[ancestors.length - 1];
+    const grandparent = ancestors[ancestors.length - 2];
+
+    if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration' ||
+        parent.type === 'ExportDefaultDeclaration') {
+        return { name: node.id ? node.id.name : 'default', range: node };
+    }
+
+    if (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+        // Take the whole `const name = ...` statement so the unit can be loaded on its own
+        const owner = ancestors[ancestors.length - 3];
+        const isStandalone = grandparent.declarations.length === 1 &&
+            !(owner && /^For(In|Of)?Statement$/.test(owner.type));
+        return { name: parent.id.name, range: isStandalone ? grandparent : node };
+    }
+
+    if (parent.type === 'AssignmentExpression' && parent.right === node && parent.operator === '=') {
+        const name = getStaticName(parent.left);
+        if (name) {
+            const isStatement = grandparent.type === 'ExpressionStatement' && grandparent.expression === parent;
+            return { name, range: isStatement ? grandparent : node };
+        }
+    }
+
+    if (parent.type === 'Property' && parent.value === node) {
+        const name = getKeyName(parent.key, parent.computed);
+        if (name) {
+            const isMethod = parent.method || parent.kind === 'get' || parent.kind === 'set';
+            const memberOf = getObjectName(grandparent, ancestors[ancestors.length - 3]);
+            return { name, range: parent, isMethod, memberOf };
+        }
+    }
+
+    if (node.id) {
+        return { name: node.id.name, range: node };
+    }
+
+    return null;
+}
+
+function describeFunction(node, ancestors) {
+    // Class methods and fields are described by their member definition
+    if (ancestors[ancestors.length - 1].type === 'MethodDefinition' ||
+        ancestors[ancestors.length - 1].type === 'PropertyDefinition') {
+        return null;
+    }
+    const info = describeDefinition(node, ancestors);
+    if (!info) return null;
+    const baseType = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
     return {
-        id,
-        name,
-        type: type,
-        code: code.substring(startPos, closeBracketPos + 1),
-        startLine,
-        endLine,
-        staticDependencies: functionCalls,
-        originalSource: 'source', // This will be replaced with the actual filename
-        dynamicRelationships: []
+        name: info.name,
+        type: info.isMethod ? 'method' : baseType,
+        range: info.range,
+        // Methods of an object literal remember the object, so `Obj.method()` can find them
+        extra: info.memberOf ? { memberOf: info.memberOf } : undefined
     };
 }
 
-// Main function to analyze code
-function analyzeCode(codeChunk, lineOffset = 0) {
-    const units = [];
+// `extends` records the superclass as written, e.g. `Base` or `mixin(Base)`
+function describeClass(node, ancestors, source) {
+    const info = describeDefinition(node, ancestors);
+    if (!info) return null;
+    const { superClass } = node;
+    return {
+        name: info.name,
+        type: 'class',
+        range: info.range,
+        idPrefix: 'class',
+        extra: { extends: superClass ? source.slice(superClass.start, superClass.end) : null }
+    };
+}
+
+// Names a definition is exported under, judging by the statement that holds it
+function getExportedNames(name, rangeNode, ancestors) {
+    let index = ancestors.indexOf(rangeNode);
+    if (index === -1) index = ancestors.length;
+    let owner = ancestors[index - 1];
+    while (owner && (owner.type === 'VariableDeclarator' || owner.type === 'VariableDeclaration')) {
+        index--;
+        owner = ancestors[index - 1];
+    }
+    if (owner && owner.type === 'ExportNamedDeclaration') return [name];
+    if (owner && owner.type === 'ExportDefaultDeclaration') return ['default'];
+    return null;
+}
+
+// Where a definition's doc comment would be: before `export` when it is exported directly
+function getDocOffset(rangeNode, ancestors) {
+    const index = ancestors.indexOf(rangeNode);
+    const owner = ancestors[(index === -1 ? ancestors.length : index) - 1];
+    return owner && /^Export(Named|Default)Declaration$/.test(owner.type) ? owner.start : rangeNode.start;
+}
+
+// Import/export specifiers may name bindings with identifiers or strings
+function getModuleName(node) {
+    return node.type === 'Identifier' ? node.name : String(node.value);
+}
+
+// Import declarations become `import` units listing the bindings they introduce
+function describeImport(node) {
+    const specifiers = node.specifiers.map(spec => ({
+        imported: spec.type === 'ImportDefaultSpecifier' ? 'default'
+            : spec.type === 'ImportNamespaceSpecifier' ? '*'
+            : getModuleName(spec.imported),
+        local: spec.local.name
+    }));
+    return {
+        name: node.source.value,
+        type: 'import',
+        range: node,
+        idPrefix: 'import',
+        extra: { source: node.source.value, specifiers }
+    };
+}
+
+// Export statements that don't declare anything themselves become `export` units.
+// Exported functions and classes are flagged on their own units instead.
+function describeExport(node) {
+    let exports;
+    let source = null;
+    if (node.type === 'ExportAllDeclaration') {
+        exports = [{ local: '*', exported: node.exported ? getModuleName(node.exported) : '*' }];
+        source = node.source.value;
+    } else if (node.type === 'ExportNamedDeclaration') {
+        if (node.declaration) return null;
+        exports = node.specifiers.map(spec => ({
+            local: getModuleName(spec.local),
+            exported: getModuleName(spec.exported)
+        }));
+        source = node.source ? node.source.value : null;
+    } else {
+        const { declaration } = node;
+        if (isFunctionNode(declaration) || isClassNode(declaration)) return null;
+        exports = [{ local: declaration.type === 'Identifier' ? declaration.name : null, exported: 'default' }];
+    }
+    return {
+        name: exports.map(entry => entry.exported).join(', '),
+        type: 'export',
+        range: node,
+        idPrefix: 'export',
+        extra: { exports, source }
+    };
+}
+
+// Methods, getters, setters and the constructor become child units of their class,
+// as do static fields and fields holding a function
+function describeClassMember(node) {
+    const name = getKeyName(node.key, node.computed);
+    if (!name) return null;
+    if (node.type === 'MethodDefinition') {
+        return { name, type: 'method', range: node, extra: { kind: node.kind, static: node.static } };
+    }
+    if (node.static || (node.value && isFunctionNode(node.value))) {
+        return { name, type: 'field', range: node, extra: { kind: 'field', static: node.static } };
+    }
+    return null;
+}
+
+// Language and browser globals. Reading them doesn't make a dependency on another
+// unit, so unlike calls, references to them aren't recorded.
+const KNOWN_GLOBALS = new Set([
+    'undefined', 'NaN', 'Infinity', 'globalThis', 'window', 'self', 'document', 'navigator',
+    'location', 'history', 'console', 'localStorage', 'sessionStorage', 'indexedDB', 'performance',
+    'Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt', 'Math', 'JSON',
+    'Date', 'RegExp', 'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'Promise',
+    'Map', 'Set', 'WeakMap', 'WeakSet', 'Reflect', 'Proxy', 'Intl', 'ArrayBuffer', 'DataView',
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+    'Uint32Array', 'Float32Array', 'Float64Array', 'URL', 'URLSearchParams', 'Blob', 'File',
+    'FileReader', 'FormData', 'Headers', 'Request', 'Response', 'Event', 'CustomEvent', 'Worker',
+    'WebSocket', 'XMLHttpRequest', 'HTMLElement', 'Node', 'Element', 'TextEncoder', 'TextDecoder',
+    'fetch', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame',
+    'cancelAnimationFrame', 'queueMicrotask', 'structuredClone', 'alert', 'confirm', 'prompt',
+    'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURIComponent', 'decodeURIComponent',
+    'encodeURI', 'decodeURI', 'atob', 'btoa', 'require', 'module', 'exports', 'process', 'global'
+]);
+
+// Identifiers that use a binding, as opposed to naming a property, a label or
+// the binding being declared
+function isReferenceIdentifier(node, ancestors) {
+    let child = node;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        const parent = ancestors[i];
+        switch (parent.type) {
+            case 'MemberExpression':
+                return parent.object === child || parent.computed;
+            case 'Property':
+                if (parent.key === child && parent.computed) return true;
+                if (parent.key === child && !parent.shorthand) return false;
+                // Values in a destructuring pattern may still be declarations
+                if (!ancestors[i - 1] || ancestors[i - 1].type !== 'ObjectPattern') return true;
+                break;
+            case 'ObjectPattern':
+            case 'ArrayPattern':
+            case 'RestElement':
+                break;
+            case 'AssignmentPattern':
+                if (parent.right === child) return true;
+                break;
+            case 'VariableDeclarator':
+                return parent.init === child;
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return parent.body === child;
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                return parent.superClass === child;
+            case 'MethodDefinition':
+            case 'PropertyDefinition':
+                return parent.key !== child || parent.computed;
+            case 'LabeledStatement':
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                return parent.label !== child;
+            case 'CatchClause':
+            case 'MetaProperty':
+            case 'ImportSpecifier':
+            case 'ImportDefaultSpecifier':
+            case 'ImportNamespaceSpecifier':
+            case 'ExportSpecifier':
+                return false;
+            default:
+                return true;
+        }
+        child = parent;
+    }
+    return true;
+}
+
+// Statements directly in the program, including declarations under `export`
+function isTopLevelStatement(node, ancestors) {
+    const parent = ancestors[ancestors.length - 1];
+    if (!parent) return false;
+    if (parent.type === 'Program') return true;
+    return parent.type === 'ExportNamedDeclaration' && parent.declaration === node &&
+        ancestors[ancestors.length - 2].type === 'Program';
+}
+
+// A readable name for a top-level statement: what it calls or assigns, or its kind
+function getStatementName(node) {
+    if (node.type === 'ExpressionStatement') {
+        const { expression } = node;
+        if (expression.type === 'CallExpression' || expression.type === 'NewExpression') {
+            const calleeName = getStaticName(expression.callee);
+            if (calleeName) return calleeName;
+            if (isFunctionNode(expression.callee)) return 'iife';
+        }
+        if (expression.type === 'AssignmentExpression') {
+            const target = getStaticName(expression.left);
+            if (target) return target;
+        }
+        return 'expression';
+    }
+    return node.type.replace(/Statement$/, '').replace(/^./, ch => ch.toLowerCase());
+}
+
+// Top-level code that isn't a function, class, import or export: declarations
+// become `variable` units listing the names they declare, and anything run for
+// its effects (listener registrations, IIFEs, ...) becomes a `statement` unit
+function describeTopLevelStatement(node) {
+    if (node.type === 'VariableDeclaration') {
+        const [first] = node.declarations;
+        // `const f = () => {}` is the function's own unit
+        if (node.declarations.length === 1 && first.id.type === 'Identifier' && first.init &&
+            (isFunctionNode(first.init) || isClassNode(first.init))) {
+            return null;
+        }
+        const bindings = new Map();
+        node.declarations.forEach(declarator => addPatternNames(declarator.id, node.kind, bindings));
+        const declares = [...bindings.keys()];
+        return {
+            name: declares[0] || 'variable',
+            type: 'variable',
+            range: node,
+            idPrefix: 'var',
+            extra: { kind: node.kind, declares }
+        };
+    }
+    if (/^(Function|Class|Import|Export\w+)Declaration$/.test(node.type) || node.type === 'EmptyStatement') {
+        return null;
+    }
+    if (node.type === 'ExpressionStatement') {
+        const { expression } = node;
+        // Directives such as 'use strict'
+        if (expression.type === 'Literal' && typeof expression.value === 'string') return null;
+        // `name = function () {}` is the function's own unit
+        if (expression.type === 'AssignmentExpression' && expression.operator === '=' &&
+            (isFunctionNode(expression.right) || isClassNode(expression.right)) && getStaticName(expression.left)) {
+            return null;
+        }
+    }
+    return { name: getStatementName(node), type: 'statement', range: node, idPrefix: 'stmt' };
+}
+
+// The names a unit uses outside the units nested in it, which its edges are
+// made from. Units stored before these were recorded use all their names.
+function getOwnDependencies(unit) {
+    return unit.ownDependencies || unit.staticDependencies || [];
+}
+
+// Create `static` edges for the own dependencies that name another unit in `units`.
+// Plain names match units by name (variables by any name they declare; statements
+// define nothing); member calls are resolved through their
+// receiver: `this.x`/`super.x` to a method of the enclosing class (or object),
+// `Name.x` to a static member of class `Name` or a method of object `Name`.
+// Nested functions are only visible from within the unit that contains them.
+// Import/export units are skipped; the module graph links those across files.
+// Type units are skipped too: types don't exist at runtime.
+function linkDependencies(units) {
+    const unitsById = new Map(units.map(unit => [unit.id, unit]));
+    const unitsByName = new Map();
+    // Class id, `object:Name` or `scope:<containing unit id>` -> Map(name -> unit)
+    const membersByOwner = new Map();
+    units.forEach(unit => {
+        if (unit.type === 'import' || unit.type === 'export' || unit.type === 'type') return;
+        const parent = unitsById.get(unit.parentId);
+        let ownerKey = null;
+        if (parent && parent.type === 'class') ownerKey = parent.id;
+        else if (unit.memberOf) ownerKey = `object:${unit.memberOf}`;
+        else if (parent) ownerKey = `scope:${parent.id}`;
+        if (ownerKey) {
+            if (!membersByOwner.has(ownerKey)) membersByOwner.set(ownerKey, new Map());
+            const members = membersByOwner.get(ownerKey);
+            if (!members.has(unit.name)) members.set(unit.name, unit);
+        } else if (unit.type === 'variable') {
+            // `let a, b` is found by either name
+            unit.declares.forEach(name => {
+                if (!unitsByName.has(name)) unitsByName.set(name, unit);
+            });
+        } else if (unit.type !== 'statement' && !unitsByName.has(unit.name)) {
+            unitsByName.set(unit.name, unit);
+        }
+    });
+
+    const getClass = (name) => {
+        const unit = name && unitsByName.get(name);
+        return unit && unit.type === 'class' ? unit : null;
+    };
+
+    // Look a member up on a class, then along its superclasses
+    const findClassMember = (classUnit, name, seen = new Set()) => {
+        if (!classUnit || seen.has(classUnit.id)) return null;
+        seen.add(classUnit.id);
+        const members = membersByOwner.get(classUnit.id);
+        if (members && members.has(name)) return members.get(name);
+        return findClassMember(getClass(classUnit.extends), name, seen);
+    };
+
+    // Arrow functions take `this` from the unit around them
+    const getThisOwner = (unit) => {
+        let current = unit;
+        while (current && current.type === 'arrow') current = unitsById.get(current.parentId);
+        if (!current || current.type === 'class') return current;
+        const parent = unitsById.get(current.parentId);
+        return parent && parent.type === 'class' ? parent : current;
+    };
+
+    const resolveReceiverCall = (unit, receiver, name) => {
+        const owner = getThisOwner(unit);
+        if (!owner) return null;
+        if (owner.type === 'class') {
+            return receiver === 'super'
+                ? findClassMember(getClass(owner.extends), name)
+                : findClassMember(owner, name);
+        }
+        const objectMembers = owner.memberOf && membersByOwner.get(`object:${owner.memberOf}`);
+        return receiver === 'this' && objectMembers ? objectMembers.get(name) || null : null;
+    };
+
+    // Nested functions of the unit itself or of any unit around it, innermost first
+    const findNested = (unit, name) => {
+        for (let current = unit; current; current = unitsById.get(current.parentId)) {
+            const nested = membersByOwner.get(`scope:${current.id}`);
+            if (nested && nested.has(name)) return nested.get(name);
+        }
+        return null;
+    };
+
+    const resolve = (unit, depName) => {
+        const dot = depName.indexOf('.');
+        const head = dot === -1 ? depName : depName.slice(0, dot);
+        const member = depName.slice(dot + 1);
+        if (head === 'this' || head === 'super') {
+            return member.includes('.') ? null : resolveReceiverCall(unit, head, member);
+        }
+        const nested = findNested(unit, depName);
+        if (nested) return nested;
+        if (unitsByName.has(depName)) return unitsByName.get(depName);
+        if (dot === -1 || member.includes('.')) return null;
+        const classUnit = getClass(head);
+        if (classUnit) return findClassMember(classUnit, member);
+        const objectMembers = membersByOwner.get(`object:${head}`);
+        return objectMembers ? objectMembers.get(member) || null : null;
+    };
+
     const dependencies = [];
-    
-    // Skip comment blocks and strings to avoid false positives
-    // This is a simplified approach and might miss some edge cases
-    let inSingleLineComment = false;
-    let inMultiLineComment = false;
-    let inString = false;
-    let stringChar = '';
-    
-    // Process character by character to track state
-    for (let i = 0; i < codeChunk.length; i++) {
-        // Check for comments
-        if (!inString) {
-            if (codeChunk[i] === '/' && codeChunk[i+1] === '/') {
-                inSingleLineComment = true;
-                i++; // Skip the second slash
-                continue;
-            } else if (codeChunk[i] === '/' && codeChunk[i+1] === '*') {
-                inMultiLineComment = true;
-                i++; // Skip the star
-                continue;
-            } else if (inSingleLineComment && codeChunk[i] === '\n') {
-                inSingleLineComment = false;
-            } else if (inMultiLineComment && codeChunk[i] === '*' && codeChunk[i+1] === '/') {
-                inMultiLineComment = false;
-                i++; // Skip the slash
-                continue;
-            }
-            
-            if (inSingleLineComment || inMultiLineComment) {
-                continue;
-            }
+    const seenIds = new Set();
+    units.forEach(unit => {
+        getOwnDependencies(unit).forEach(depName => {
+            const targetUnit = resolve(unit, depName);
+            // A unit doesn't depend on its own members or nested functions
+            if (!targetUnit || targetUnit === unit || targetUnit.parentId === unit.id) return;
+            const depId = `dep_${unit.id}_${targetUnit.id}`;
+            if (seenIds.has(depId)) return;
+            seenIds.add(depId);
+            dependencies.push({
+                id: depId,
+                sourceId: unit.id,
+                targetId: targetUnit.id,
+                type: 'static'
+            });
+        });
+    });
+    return dependencies;
+}
+
+// Main function to analyze code.
+// `options.language` ('js', 'jsx', 'ts' or 'tsx') says how to read the chunk.
+function analyzeCode(codeChunk, lineOffset = 0, charOffset = 0, options = {}) {
+    const { language = 'js' } = options;
+    const syntax = getSyntaxOptions(language);
+    const transformed = syntax.typescript || syntax.jsx ? transformSource(codeChunk, syntax) : null;
+    // Units are found in the JavaScript, while their positions and code are the original's
+    const source = transformed ? transformed.code : codeChunk;
+    const mapOffset = transformed ? transformed.mapOffset : (offset) => offset;
+
+    const units = [];
+    const ast = parse(source, { recover: true });
+    const lineStarts = getLineStarts(codeChunk);
+
+    // Ranges are in `source`, except for type declarations, which only the original has
+    const createUnit = (info) => {
+        const start = info.range ? mapOffset(info.range.start) : info.start;
+        const end = info.range ? mapOffset(info.range.end) : info.end;
+        const startLine = lineOffset + getLineInfo(lineStarts, start).line;
+        const endLine = lineOffset + getLineInfo(lineStarts, Math.max(start, end - 1)).line;
+        const unit = {
+            id: `${info.idPrefix || 'func'}_${info.idName || info.name}_${startLine}`,
+            name: info.name,
+            type: info.type,
+            code: codeChunk.slice(start, end),
+            start: charOffset + start,
+            end: charOffset + end,
+            startLine,
+            endLine,
+            staticDependencies: [],
+            ownDependencies: [],
+            originalSource: 'source', // This will be replaced with the actual filename
+            dynamicRelationships: [],
+            ...info.extra
+        };
+        if (transformed) {
+            // What actually runs, when it differs from what was written
+            const compiledCode = info.range ? source.slice(info.range.start, info.range.end) : '';
+            if (compiledCode !== unit.code) unit.compiledCode = compiledCode;
+            unit.language = language;
+        }
+        return unit;
+    };
+
+    // Walk the tree, attributing every call to all units that enclose it, since
+    // their code contains it, and to the innermost of them as its own: edges are
+    // made from own dependencies only, so a call in a method isn't counted for
+    // the class too. Lexical scopes are tracked alongside so that calls to a
+    // unit's own locals and parameters aren't reported as dependencies.
+    const ancestors = [];
+    const enclosingUnits = [];
+    const scopes = [];
+    const unitScopeDepth = new Map(); // unit -> number of scopes open outside it
+    const classUnits = new Map(); // class node -> class unit
+    const dependencySets = new Map(); // unit -> Set of its staticDependencies, for fast lookups
+    const ownDependencySets = new Map(); // unit -> Set of its ownDependencies
+
+    const addDependency = (unit, name, own = true) => {
+        const names = dependencySets.get(unit);
+        if (!names.has(name)) {
+            names.add(name);
+            unit.staticDependencies.push(name);
         }
-        
-        // Check for strings
-        if ((codeChunk[i] === '"' || codeChunk[i] === "'" || codeChunk[i] === '`') && 
-            (i === 0 || codeChunk[i-1] !== '\\')) {
-            if (!inString) {
-                inString = true;
-                stringChar = codeChunk[i];
-            } else if (codeChunk[i] === stringChar) {
-                inString = false;
+        const ownNames = ownDependencySets.get(unit);
+        if (own && !ownNames.has(name)) {
+            ownNames.add(name);
+            unit.ownDependencies.push(name);
+        }
+    };
+
+    // Add a used name to the enclosing units it is a dependency of
+    const addUse = (name, binding) => {
+        const users = enclosingUnits.filter(enclosing => isDependencyOf(enclosing, binding));
+        users.forEach((enclosing, i) => addDependency(enclosing, name, i === users.length - 1));
+    };
+
+    const lookupBinding = (name) => {
+        for (let depth = scopes.length - 1; depth >= 0; depth--) {
+            if (scopes[depth].has(name)) return { depth, kind: scopes[depth].get(name) };
+        }
+        return null;
+    };
+
+    // Globals and top-level bindings are dependencies of every unit. Bindings of an
+    // outer function only are when they define something (a nested function or
+    // class); anything declared inside the unit itself is local to it.
+    const isDependencyOf = (unit, binding) => {
+        if (!binding || binding.depth === 0) return true;
+        return binding.depth < unitScopeDepth.get(unit) &&
+            (binding.kind === 'function' || binding.kind === 'class');
+    };
+
+    const visit = (node) => {
+        const parent = ancestors[ancestors.length - 1];
+        let info = null;
+        let parentUnit = null;
+
+        if (isFunctionNode(node)) {
+            info = describeFunction(node, ancestors);
+        } else if (isClassNode(node)) {
+            info = describeClass(node, ancestors, source);
+        } else if (isClassMember(node, parent)) {
+            parentUnit = classUnits.get(ancestors[ancestors.length - 2]) || null;
+            // Members of anonymous classes stay part of whatever encloses the class
+            if (parentUnit) info = describeClassMember(node);
+            if (info) info.idName = `${parentUnit.name}.${info.name}`;
+        } else if (node.type === 'ImportDeclaration') {
+            info = describeImport(node);
+        } else if (/^Export(Named|Default|All)Declaration$/.test(node.type)) {
+            info = describeExport(node);
+        } else if (isTopLevelStatement(node, ancestors)) {
+            info = describeTopLevelStatement(node);
+        }
+
+        let unit = null;
+        if (info) {
+            unit = createUnit(info);
+            dependencySets.set(unit, new Set());
+            ownDependencySets.set(unit, new Set());
+            // Every unit points at the unit it is nested in; for class members that is the class
+            const owner = parentUnit || enclosingUnits[enclosingUnits.length - 1];
+            if (owner) unit.parentId = owner.id;
+            unit.depth = enclosingUnits.length;
+            if (unit.type !== 'import' && unit.type !== 'export') {
+                const { start, end } = info.range;
+                unit.metadata = { metrics: computeMetrics(node, source, start, end, ast.comments) };
+                const signature = getSignature(node, unit.name, source);
+                if (signature) unit.metadata.signature = signature;
+                const doc = getUnitDoc(ast.comments, source, getDocOffset(info.range, ancestors));
+                if (doc) {
+                    const { description, ...tags } = doc;
+                    if (description) unit.metadata.description = description;
+                    unit.metadata.doc = tags;
+                }
             }
-            continue;
-        }
-        
-        if (inString) continue;
-        
-        // Find function declarations
-        if (codeChunk.substring(i, i+8) === 'function') {
-            const func = extractFunction(codeChunk, i, 'function', lineOffset);
-            if (func) {
-                units.push(func);
+            if (isFunctionNode(node) || isClassNode(node)) {
+                const exportedAs = getExportedNames(unit.name, info.range, ancestors);
+                if (exportedAs) unit.exportedAs = exportedAs;
+            } else if (unit.type === 'variable' && parent.type === 'ExportNamedDeclaration') {
+                unit.exportedAs = [...unit.declares];
             }
-        } 
-        // Find arrow functions
-        else if (codeChunk.substring(i, i+2) === '=>') {
-            // Look backwards to find the beginning of the arrow function
-            let j = i - 1;
-            while (j >= 0 && /\s/.test(codeChunk[j])) j--; // Skip whitespace
-            
-            // If we find a closing parenthesis, find its matching opening parenthesis
-            if (codeChunk[j] === ')') {
-                const openParenPos = findMatchingBracket(codeChunk, j - 1, ')', '(');
-                if (openParenPos !== -1) {
-                    const func = extractFunction(codeChunk, openParenPos, 'arrow', lineOffset);
-                    if (func) {
-                        units.push(func);
-                    }
-                }
+            if (isClassNode(node)) {
+                classUnits.set(node, unit);
+                // The superclass has to be loaded before the class itself
+                const superName = node.superClass && getStaticName(node.superClass);
+                if (superName) addDependency(unit, superName);
             }
+            units.push(unit);
+            enclosingUnits.push(unit);
+            unitScopeDepth.set(unit, scopes.length);
         }
-        // Find method definitions
-        else if (i > 0 && codeChunk[i] === '(' && /[a-zA-Z_$]/.test(codeChunk[i-1])) {
-            // Look backwards to find the beginning of the method name
-            let j = i - 1;
-            while (j >= 0 && /[a-zA-Z0-9_$]/.test(codeChunk[j])) j--;
-            
-            // If the character before the method name is a dot, it's a method call, not definition
-            if (j >= 0 && codeChunk[j] !== '.') {
-                const func = extractFunction(codeChunk, j + 1, 'method', lineOffset);
-                if (func) {
-                    units.push(func);
-                }
+
+        if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+            const calleeName = getCalleeName(node.callee);
+            if (calleeName) {
+                const head = calleeName.split('.')[0];
+                addUse(calleeName, head === 'this' || head === 'super' ? null : lookupBinding(head));
             }
         }
-    }
-    
-    // Create dependency relationships
-    units.forEach(unit => {
-        unit.staticDependencies.forEach(depName => {
-            // Find the target unit by name
-            const targetUnit = units.find(u => u.name === depName);
-            if (targetUnit) {
-                const depId = `dep_${unit.id}_${targetUnit.id}`;
-                dependencies.push({
-                    id: depId,
-                    sourceId: unit.id,
-                    targetId: targetUnit.id,
-                    type: 'static'
-                });
+
+        // Reading or assigning a variable makes a dependency just like a call does,
+        // except within the declaration of that variable
+        if (node.type === 'Identifier' && isReferenceIdentifier(node, ancestors)) {
+            const binding = lookupBinding(node.name);
+            const isDeclaredAround = enclosingUnits.some(enclosing =>
+                enclosing.declares && enclosing.declares.includes(node.name));
+            if (!isDeclaredAround && (binding || !KNOWN_GLOBALS.has(node.name))) addUse(node.name, binding);
+        }
+
+        const bindings = getScopeBindings(node, parent);
+        if (bindings) scopes.push(bindings);
+        ancestors.push(node);
+        forEachChild(node, visit);
+        ancestors.pop();
+        if (bindings) scopes.pop();
+        if (unit) enclosingUnits.pop();
+    };
+    visit(ast);
+
+    // Top-level interfaces and type aliases become `type` units. They have no
+    // runtime code, so nothing depends on them and they carry no metrics.
+    if (transformed && transformed.typeDeclarations.length > 0) {
+        transformed.typeDeclarations.forEach(declaration => {
+            const unit = createUnit({
+                name: declaration.name,
+                type: 'type',
+                start: declaration.start,
+                end: declaration.end,
+                idPrefix: 'type',
+                extra: { kind: declaration.kind }
+            });
+            unit.depth = 0;
+            if (declaration.exportedAs) unit.exportedAs = declaration.exportedAs;
+            const doc = getUnitDoc(transformed.comments, codeChunk, declaration.docOffset);
+            if (doc) {
+                const { description, ...tags } = doc;
+                unit.metadata = { doc: tags };
+                if (description) unit.metadata.description = description;
             }
+            units.push(unit);
         });
-    });
-    
-    return { units, dependencies };
+        // Keep units in source order (the sort is stable, so parents stay before their children)
+        units.sort((a, b) => a.start - b.start);
+    }
+
+    // Create dependency relationships within this chunk
+    const dependencies = linkDependencies(units);
+
+    // Syntax errors are skipped by the parser; report them with file-relative lines.
+    // For transformed code, the original's errors are the ones that make sense.
+    const errors = (transformed ? transformed.errors : ast.errors).map(error => ({
+        message: error.message,
+        line: lineOffset + error.line,
+        column: error.column
+    }));
+
+    return { units, dependencies, errors };
 }
 
-self.onmessage = (event) => {
-    const { codeChunk, lineOffset, originalSource } = event.data;
-    const result = analyzeCode(codeChunk, lineOffset);
-    
+// A pool job: analyze one chunk of a source file
+function handleJob({ codeChunk, lineOffset, charOffset, originalSource, language }, reportProgress) {
+    const result = analyzeCode(codeChunk, lineOffset, charOffset, { language });
+
     // Set the original source for all units
     result.units.forEach(unit => {
         unit.originalSource = originalSource || 'unknown';
     });
-    
-    // Report progress
-    self.postMessage({ 
-        type: 'progress', 
-        processedLines: (codeChunk.match(/\n/g) || []).length + 1 
-    });
 
-    // Send results back
-    self.postMessage({ type: 'complete', units: result.units, dependencies: result.dependencies });
-};
\ No newline at end of file
+    // Report progress; chunks end with the newline before the next chunk
+    const newlines = (codeChunk.match(/\n/g) || []).length;
+    reportProgress({ processedLines: codeChunk.endsWith('\n') ? newlines : newlines + 1 });
+
+    return result;
+}
+
+// Only serve jobs when running as a worker, so the analyzer can also be
+// imported on the main thread
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    serveWorkerJobs(handleJob);
+}
+
+export { analyzeCode, getOwnDependencies, linkDependencies, handleJob };
\ No newline at end of file
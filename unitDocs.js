@@ -0,0 +1,157 @@
+// Documentation attached to units
+// The analyzer takes the comments directly above a definition as its description,
+// parses JSDoc tags (@param, @returns, @throws, @deprecated) out of them and
+// records a call signature built from the parameter list.
+
+// Last comment ending at or before `offset` (comments are in source order)
+function findCommentBefore(comments, offset) {
+    let low = 0;
+    let high = comments.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (comments[mid].end <= offset) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+// The run of comments immediately above `offset`: each separated from the next by
+// whitespace with at most one line break, and each on a line of its own (so a
+// trailing `code(); // note` on the previous line doesn't count)
+function getLeadingComments(comments, source, offset) {
+    const leading = [];
+    let next = offset;
+    for (let i = findCommentBefore(comments, offset); i >= 0; i--) {
+        const comment = comments[i];
+        const gap = source.slice(comment.end, next);
+        if (gap.trim() !== '' || (gap.match(/\n/g) || []).length > 1) break;
+        const lineStart = source.lastIndexOf('\n', comment.start - 1) + 1;
+        if (source.slice(lineStart, comment.start).trim() !== '') break;
+        leading.unshift(comment);
+        next = comment.start;
+    }
+    return leading;
+}
+
+// Text of a comment without its markers; JSDoc lines lose their leading `*`
+function getCommentText(comment) {
+    if (comment.type === 'Line') return comment.value.replace(/^\s/, '');
+    return comment.value
+        .replace(/^\*+/, '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\*(?!\/)\s?/, ''))
+        .join('\n');
+}
+
+// Split `{type} rest` into the type and the rest; types may contain nested braces
+function readTagType(text) {
+    if (text[0] !== '{') return { type: null, rest: text };
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) {
+            return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+        }
+    }
+    return { type: null, rest: text };
+}
+
+// `[name=default] - description`, `name description` or `[name]`
+function readParamName(text) {
+    const match = /^(\[([^\]=]+)(?:=([^\]]*))?\]|[^\s]+)\s*(?:-\s+)?([\s\S]*)$/.exec(text);
+    if (!match) return { name: text, optional: false, defaultValue: null, description: '' };
+    const optional = Boolean(match[2]);
+    return {
+        name: optional ? match[2].trim() : match[1],
+        optional,
+        defaultValue: match[3] !== undefined ? match[3].trim() : null,
+        description: match[4].trim()
+    };
+}
+
+// Parse comment text into a description and the tags we keep:
+// { description, params: [{ name, type, optional, defaultValue, description }],
+//   returns: { type, description } | null, throws: [{ type, description }],
+//   deprecated: { reason } | null }
+function parseDocComment(text) {
+    const doc = { description: '', params: [], returns: null, throws: [], deprecated: null };
+    const descriptionLines = [];
+    const tags = [];
+
+    // A tag runs until the next line starting with one
+    text.split('\n').forEach(line => {
+        const tagMatch = /^\s*@(\w+)\s*([\s\S]*)$/.exec(line);
+        if (tagMatch) {
+            tags.push({ tag: tagMatch[1], text: tagMatch[2] });
+        } else if (tags.length > 0) {
+            tags[tags.length - 1].text += `\n${line}`;
+        } else {
+            descriptionLines.push(line);
+        }
+    });
+    doc.description = descriptionLines.join('\n').trim();
+
+    tags.forEach(({ tag, text: tagText }) => {
+        const { type, rest } = readTagType(tagText.trim());
+        switch (tag) {
+            case 'param':
+            case 'arg':
+            case 'argument':
+                doc.params.push({ type, ...readParamName(rest) });
+                break;
+            case 'returns':
+            case 'return':
+                doc.returns = { type, description: rest };
+                break;
+            case 'throws':
+            case 'exception':
+                doc.throws.push({ type, description: rest });
+                break;
+            case 'deprecated':
+                doc.deprecated = { reason: tagText.trim() };
+                break;
+        }
+    });
+    return doc;
+}
+
+// Documentation for a definition starting at `offset`, or null if it has no comments above it
+function getUnitDoc(comments, source, offset) {
+    const leading = getLeadingComments(comments, source, offset);
+    if (leading.length === 0) return null;
+    // A JSDoc block right above the definition documents it on its own
+    const last = leading[leading.length - 1];
+    const documenting = last.type === 'Block' && last.value.startsWith('*') ? [last] : leading;
+    return parseDocComment(documenting.map(getCommentText).join('\n'));
+}
+
+// `name(a, b = 1, ...rest)`, prefixed with async/get/set/static as written.
+// Classes show their constructor's parameters.
+function getSignature(node, name, source) {
+    const paramsOf = (fn) => fn.params
+        .map(param => source.slice(param.start, param.end).replace(/\s+/g, ' '))
+        .join(', ');
+
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+        const constructor = node.body.body.find(member => member.type === 'MethodDefinition' && member.kind === 'constructor');
+        return `class ${name}${constructor ? `(${paramsOf(constructor.value)})` : ''}`;
+    }
+
+    let fn = node;
+    const prefixes = [];
+    if (node.type === 'MethodDefinition' || node.type === 'PropertyDefinition') {
+        fn = node.value;
+        if (node.static) prefixes.push('static');
+        if (node.kind === 'get' || node.kind === 'set') prefixes.push(node.kind);
+    }
+    if (!fn || !fn.params) return null;
+    if (fn.async) prefixes.push('async');
+    return `${prefixes.join(' ')}${prefixes.length ? ' ' : ''}${fn.generator ? '*' : ''}${name}(${paramsOf(fn)})`;
+}
+
+export { getLeadingComments, parseDocComment, getUnitDoc, getSignature };
\ No newline at end of file
@@ -0,0 +1,192 @@
+// Revision history of unit code
+// Every change made to a unit's code (an applied update, a revert, a re-import
+// that changed it) is kept in the `unitRevisions` store as a numbered revision
+// with its author ('user' or 'ai'), time, reason and, once its tests have run,
+// their outcome. History is append-only: reverting adds a revision too.
+
+import { getUnit, getUnitsByIndex, putUnitsChunked, createTransaction } from './db.js';
+import { reanalyzeUnit, refreshUnitEdges } from './dependencyIntegrity.js';
+import { updateFanMetrics } from './codeMetrics.js';
+
+const REVISIONS_STORE = 'unitRevisions';
+
+// Revisions of a unit, oldest first
+async function getHistory(workspace, unitId) {
+    const revisions = await getUnitsByIndex(workspace, 'unitId', unitId, REVISIONS_STORE);
+    return revisions.sort((a, b) => a.revision - b.revision);
+}
+
+function createRevision(unitId, revision, code, compiledCode, details) {
+    const record = {
+        id: `${unitId}@${revision}`,
+        unitId,
+        revision,
+        code,
+        author: details.author || 'user',
+        reason: details.reason || '',
+        createdAt: new Date().toISOString(),
+        testOutcome: null
+    };
+    // TypeScript and JSX units also keep the JavaScript that ran
+    if (compiledCode !== undefined) record.compiledCode = compiledCode;
+    return record;
+}
+
+// Record that `unit` now holds new code; `previous` is { code, compiledCode } from
+// before the change. A unit's first recorded change also stores that previous
+// code, as revision 1, so there is always something to go back to. Pass the
+// transaction that saves the unit to record the revision along with it.
+async function recordRevision(workspace, unit, previous, details = {}, transaction = null) {
+    const history = await getHistory(workspace, unit.id);
+    const records = [];
+    if (history.length === 0) {
+        records.push(createRevision(unit.id, 1, previous.code, previous.compiledCode, { author: 'user', reason: 'Original code' }));
+    }
+    const latest = history.length > 0 ? history[history.length - 1].revision : records.length;
+    records.push(createRevision(unit.id, latest + 1, unit.code, unit.compiledCode, details));
+    const tx = transaction || createTransaction(workspace);
+    tx.put(records, REVISIONS_STORE);
+    if (!transaction) await tx.commit();
+    return records[records.length - 1];
+}
+
+// Attach a test run's summary to the latest revision, if it is what was tested
+async function recordTestOutcome(workspace, unitId, code, summary) {
+    const history = await getHistory(workspace, unitId);
+    const latest = history[history.length - 1];
+    if (!latest || latest.code !== code) return null;
+    latest.testOutcome = {
+        total: summary.total,
+        passed: summary.passed,
+        failed: summary.failed,
+        errors: summary.errors || 0,
+        success: summary.success,
+        ranAt: new Date().toISOString()
+    };
+    await putUnitsChunked(workspace, [latest], REVISIONS_STORE);
+    return latest;
+}
+
+// Line diff of two texts as [{ type: 'context' | 'added' | 'removed', text }].
+// The common head and tail are skipped before the LCS table is built, so an edit
+// to a long unit only costs as much as the lines it touches.
+function diffLines(before, after) {
+    const a = before.split(/\r?\n/);
+    const b = after.split(/\r?\n/);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[start + i] === b[start + j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = a.slice(0, start).map(text => ({ type: 'context', text }));
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            lines.push({ type: 'context', text: a[start + i] });
+            i++;
+            j++;
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({ type: 'removed', text: a[start + i] });
+            i++;
+        } else {
+            lines.push({ type: 'added', text: b[start + j] });
+            j++;
+        }
+    }
+    a.slice(endA).forEach(text => lines.push({ type: 'context', text }));
+    return lines;
+}
+
+const DIFF_PREFIXES = { context: ' ', added: '+', removed: '-' };
+
+// Diff two revisions of a unit. `to` defaults to the latest revision and `from`
+// to the one before `to`.
+async function diffRevisions(workspace, unitId, from, to) {
+    const history = await getHistory(workspace, unitId);
+    if (history.length === 0) throw new Error(`No history recorded for unit: ${unitId}`);
+    const toRevision = to !== undefined ? to : history[history.length - 1].revision;
+    const fromRevision = from !== undefined ? from : toRevision - 1;
+    const fromRecord = history.find(record => record.revision === fromRevision);
+    const toRecord = history.find(record => record.revision === toRevision);
+    if (!fromRecord) throw new Error(`Revision ${fromRevision} not found for unit: ${unitId}`);
+    if (!toRecord) throw new Error(`Revision ${toRevision} not found for unit: ${unitId}`);
+
+    const lines = diffLines(fromRecord.code, toRecord.code);
+    return {
+        unitId,
+        from: fromRevision,
+        to: toRevision,
+        added: lines.filter(line => line.type === 'added').length,
+        removed: lines.filter(line => line.type === 'removed').length,
+        lines,
+        patch: lines.map(line => DIFF_PREFIXES[line.type] + line.text).join('\n')
+    };
+}
+
+// Put a unit's code back to what it was at `revision`, recorded as a new revision.
+// Its dependencies and edges follow the code back.
+async function revertUnit(workspace, unitId, revision, details = {}) {
+    const unit = await getUnit(workspace, unitId);
+    if (!unit) throw new Error(`Unit not found: ${unitId}`);
+    const history = await getHistory(workspace, unitId);
+    const target = history.find(record => record.revision === revision);
+    if (!target) throw new Error(`Revision ${revision} not found for unit: ${unitId}`);
+
+    const previous = { code: unit.code, compiledCode: unit.compiledCode };
+    unit.code = target.code;
+    if (target.compiledCode !== undefined) unit.compiledCode = target.compiledCode;
+    else delete unit.compiledCode;
+    unit.metadata = unit.metadata || {};
+    unit.metadata.lastUpdated = new Date().toISOString();
+    reanalyzeUnit(unit);
+
+    const tx = createTransaction(workspace).put([unit]);
+    await refreshUnitEdges(workspace, [unit], tx);
+    const record = await recordRevision(workspace, unit, previous, {
+        author: details.author || 'user',
+        reason: details.reason || `Reverted to revision ${revision}`
+    }, tx);
+    await tx.commit();
+    await updateFanMetrics(workspace);
+    return record;
+}
+
+// Keep history attached to units a re-import changed or moved to a new ID, as
+// part of the re-import's transaction. A changed unit without history gets its
+// code from before the re-import as revision 1, like any other first change.
+async function recordReimport(workspace, units, storedUnits, changes, idRemap, originalSource, transaction) {
+    const unitsById = new Map(units.map(unit => [unit.id, unit]));
+    const storedById = new Map(storedUnits.map(unit => [unit.id, unit]));
+
+    for (const [previousId, newId] of idRemap) {
+        const history = await getHistory(workspace, previousId);
+        if (history.length === 0) continue;
+        transaction.delete(history.map(record => record.id), REVISIONS_STORE);
+        transaction.put(history.map(record => ({ ...record, id: `${newId}@${record.revision}`, unitId: newId })), REVISIONS_STORE);
+    }
+
+    for (const id of changes.changed) {
+        const unit = unitsById.get(id);
+        const stored = storedById.get(id);
+        if (!unit || !stored || unit.code === stored.code) continue;
+        await recordRevision(workspace, unit, stored, { author: 'user', reason: `Re-imported from ${originalSource}` }, transaction);
+    }
+}
+
+export { getHistory, recordRevision, recordTestOutcome, diffLines, diffRevisions, revertUnit, recordReimport };
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Stable unit identity.
+// A unit's ID is derived from its source, its qualified name (e.g. `Widget.render`)
+// and, when a name repeats within a source, its occurrence index. Line numbers are
+// not part of the ID, so editing one part of a file leaves the other units' IDs alone.
+// A separate content fingerprint tells whether a unit's code actually changed.
+
+// Fields produced by the analyzer. Everything else on a stored unit (tests,
+// cluster assignment, runtime relationships, ...) is kept across re-ingestion.
+const ANALYSIS_FIELDS = new Set([
+    'id', 'name', 'qualifiedName', 'fingerprint', 'type', 'code', 'start', 'end', 'startLine', 'endLine',
+    'staticDependencies', 'ownDependencies', 'originalSource', 'parentId', 'depth', 'memberOf', 'kind', 'static', 'extends',
+    'exportedAs', 'source', 'specifiers', 'exports', 'resolvedSource', 'declares', 'compiledCode', 'language'
+]);
+
+// 53-bit string hash (cyrb53), returned in base 36
+function hashString(str, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Fingerprint of a unit's code that ignores whitespace-only changes
+function fingerprintCode(code) {
+    return hashString(code.replace(/\s+/g, ' ').trim());
+}
+
+function getIdPrefix(unit) {
+    if (unit.type === 'class' || unit.type === 'import' || unit.type === 'export' || unit.type === 'type') return unit.type;
+    if (unit.type === 'variable') return 'var';
+    if (unit.type === 'statement') return 'stmt';
+    return 'func';
+}
+
+// Class members are qualified by their class (`Widget.render`), object literal
+// methods by their object (`Utils.format`) and nested functions by the unit
+// that contains them (`outer/inner`). Methods of an object held by a top-level
+// variable are named after the object alone.
+function getQualifiedName(unit, unitsById) {
+    const parent = unit.parentId && unitsById.get(unit.parentId);
+    const name = unit.memberOf ? `${unit.memberOf}.${unit.name}` : unit.name;
+    if (!parent || (unit.memberOf && parent.type === 'variable')) return name;
+    return `${getQualifiedName(parent, unitsById)}${parent.type === 'class' ? '.' : '/'}${name}`;
+}
+
+// Replace the analyzer's positional IDs with stable ones, in place.
+// `parentId` references are rewritten to match.
+function assignStableIds(units, originalSource) {
+    // Positional IDs aren't unique (a getter and setter share a line), so the
+    // new IDs are kept per unit and only parents are looked up by old ID. A parent
+    // comes before its members, so the first unit with an ID is the one meant:
+    // a nested unit sharing its parent's ID would otherwise be its own parent.
+    const unitsById = new Map();
+    units.forEach(unit => {
+        if (!unitsById.has(unit.id)) unitsById.set(unit.id, unit);
+    });
+    const occurrences = new Map();
+    const newIds = [];
+    const parentIds = new Map();
+
+    units.forEach(unit => {
+        const prefix = getIdPrefix(unit);
+        const qualifiedName = getQualifiedName(unit, unitsById);
+        // Getter/setter pairs and redefinitions share a qualified name
+        const key = `${prefix}:${qualifiedName}`;
+        const occurrence = occurrences.get(key) || 0;
+        occurrences.set(key, occurrence + 1);
+
+        const hash = hashString(`${originalSource}\n${key}\n${occurrence}`);
+        const newId = `${prefix}_${qualifiedName}_${hash}`;
+        newIds.push(newId);
+        if (!parentIds.has(unit.id)) parentIds.set(unit.id, newId);
+        unit.qualifiedName = qualifiedName;
+        unit.fingerprint = fingerprintCode(unit.code);
+    });
+
+    units.forEach((unit, index) => {
+        unit.id = newIds[index];
+        if (unit.parentId) unit.parentId = parentIds.get(unit.parentId) || unit.parentId;
+    });
+    return units;
+}
+
+// Copy what the analyzer doesn't produce from a stored unit onto its new version.
+// Metadata is merged, so keys the analyzer computes (like metrics) are refreshed.
+function preserveMetadata(unit, storedUnit) {
+    const analyzedMetadata = unit.metadata;
+    Object.keys(storedUnit).forEach(key => {
+        if (!ANALYSIS_FIELDS.has(key)) unit[key] = storedUnit[key];
+    });
+    if (!analyzedMetadata) return;
+    const metadata = { ...storedUnit.metadata, ...analyzedMetadata };
+    // A description that came from a doc comment goes away with the comment
+    if (!analyzedMetadata.doc && metadata.doc) {
+        delete metadata.doc;
+        delete metadata.description;
+    }
+    unit.metadata = metadata;
+}
+
+// Compare freshly analyzed units with the units stored for the same source.
+// Units are matched by ID; units whose ID disappeared but whose code reappears
+// under another ID (e.g. a function moved into an object) count as moved.
+// Surviving units keep their metadata. Returns the changes and a map of
+// previous ID -> new ID for units that moved to a new ID.
+function reconcileUnits(units, storedUnits) {
+    const storedById = new Map(storedUnits.map(unit => [unit.id, unit]));
+    const changes = { added: [], changed: [], moved: [], removed: [], unchanged: 0 };
+    const idRemap = new Map();
+    const unmatched = [];
+
+    units.forEach(unit => {
+        const stored = storedById.get(unit.id);
+        if (!stored) {
+            unmatched.push(unit);
+            return;
+        }
+        storedById.delete(unit.id);
+        preserveMetadata(unit, stored);
+        if (stored.fingerprint !== unit.fingerprint) {
+            changes.changed.push(unit.id);
+        } else if (stored.startLine !== unit.startLine || stored.endLine !== unit.endLine) {
+            changes.moved.push({ id: unit.id, fromLine: stored.startLine, toLine: unit.startLine });
+        } else {
+            changes.unchanged++;
+        }
+    });
+
+    // Stored units that weren't matched by ID, grouped by type and fingerprint
+    const leftovers = new Map();
+    storedById.forEach(stored => {
+        const key = `${stored.type}:${stored.fingerprint || fingerprintCode(stored.code || '')}`;
+        if (!leftovers.has(key)) leftovers.set(key, []);
+        leftovers.get(key).push(stored);
+    });
+
+    unmatched.forEach(unit => {
+        const candidates = leftovers.get(`${unit.type}:${unit.fingerprint}`);
+        const stored = candidates && candidates.shift();
+        if (!stored) {
+            changes.added.push(unit.id);
+            return;
+        }
+        storedById.delete(stored.id);
+        preserveMetadata(unit, stored);
+        idRemap.set(stored.id, unit.id);
+        changes.moved.push({ id: unit.id, previousId: stored.id, fromLine: stored.startLine, toLine: unit.startLine });
+    });
+
+    storedById.forEach(stored => changes.removed.push(stored.id));
+    return { changes, idRemap };
+}
+
+export { hashString, fingerprintCode, getQualifiedName, assignStableIds, reconcileUnits };
\ No newline at end of file
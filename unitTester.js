@@ -99,8 +99,8 @@ class Assertions {
 }
 
 // Add a test to a code unit
-async function addTestToUnit(unitId, testCode) {
-    const unit = await getUnit(unitId);
+async function addTestToUnit(workspace, unitId, testCode) {
+    const unit = await getUnit(workspace, unitId);
     if (!unit) {
         throw new Error(`Unit not found: ${unitId}`);
     }
@@ -122,14 +122,16 @@ async function addTestToUnit(unitId, testCode) {
     });
     
     // Save the updated unit
-    await putUnitsChunked([unit]);
+    await putUnitsChunked(workspace, [unit]);
     
     return unit.metadata.tests.length;
 }
 
-// Run tests for a unit
-async function runTests(unitId) {
-    const unit = await getUnit(unitId);
+// Run tests for a unit. `options.mode` is the load mode (see codeLoader.js);
+// in module mode tests see what the unit's module exports by name.
+async function runTests(workspace, unitId, options = {}) {
+    const { mode = 'concatenate' } = options;
+    const unit = await getUnit(workspace, unitId);
     if (!unit) {
         throw new Error(`Unit not found: ${unitId}`);
     }
@@ -164,11 +166,12 @@ async function runTests(unitId) {
             };
             
             // Load and execute the unit code first
-            await loadAndExecute([unitId], context);
+            const namespace = await loadAndExecute(workspace, [unitId], context, { mode });
             
             // Execute the test code
-            const testFn = new Function('assertions', test.code);
-            testFn(assertions);
+            const names = Object.keys(namespace || {}).filter(name => name !== 'default' && name !== 'assertions');
+            const testFn = new Function('assertions', ...names, test.code);
+            testFn(assertions, ...names.map(name => namespace[name]));
             
             // Collect test results
             const results = assertions.getResults();
@@ -1,15 +1,42 @@
-function runInWorker(workerCodeString, data) {
+// Worker job protocol
+// The page posts { jobId, payload } to a worker. The worker answers with any
+// number of { jobId, type: 'progress', ... } messages followed by exactly one
+// { jobId, type: 'complete', ... } or { jobId, type: 'error', error }.
+
+function createAbortError(signal) {
+    return (signal && signal.reason) || new DOMException('The operation was aborted.', 'AbortError');
+}
+
+// Rebuild an error posted by a worker so callers can rely on name and message
+function deserializeError(error) {
+    const result = new Error(error && error.message ? error.message : 'Worker job failed');
+    if (error && error.name) result.name = error.name;
+    if (error && error.stack) result.stack = error.stack;
+    return result;
+}
+
+// Run a worker built from a code string, resolving with its first non-progress message.
+// Progress messages are passed to onProgress.
+function runInWorker(workerCodeString, data, onProgress) {
     return new Promise((resolve, reject) => {
         const blob = new Blob([workerCodeString], { type: 'application/javascript' });
         const worker = new Worker(URL.createObjectURL(blob));
 
         worker.onmessage = (event) => {
-            resolve(event.data);
+            if (event.data && event.data.type === 'progress') {
+                if (onProgress) onProgress(event.data);
+                return;
+            }
+            if (event.data && event.data.type === 'error') {
+                reject(deserializeError(event.data.error));
+            } else {
+                resolve(event.data);
+            }
             worker.terminate(); // Terminate worker after use
         };
 
         worker.onerror = (event) => {
-            reject(event.error);
+            reject(event.error || new Error(event.message));
             worker.terminate(); // Terminate worker on error
         };
 
@@ -17,27 +44,176 @@ function runInWorker(workerCodeString, data) {
     });
 }
 
-// Helper function to create a reusable worker from a file
-function createWorkerFromFile(workerPath) {
-    return {
-        run: function(data) {
-            return new Promise((resolve, reject) => {
-                const worker = new Worker(workerPath);
-                
-                worker.onmessage = (event) => {
-                    resolve(event.data);
-                    worker.terminate();
-                };
-                
-                worker.onerror = (event) => {
-                    reject(event.error);
-                    worker.terminate();
-                };
-                
-                worker.postMessage(data);
+// Answer pool jobs inside a worker. The handler receives the job payload and a
+// reportProgress(fields) callback; its return value (or thrown error) ends the job.
+function serveWorkerJobs(handler) {
+    self.onmessage = async (event) => {
+        const { jobId, payload } = event.data;
+        const reportProgress = (fields) => self.postMessage({ ...fields, jobId, type: 'progress' });
+        try {
+            const result = await handler(payload, reportProgress);
+            self.postMessage({ ...result, jobId, type: 'complete' });
+        } catch (error) {
+            self.postMessage({
+                jobId,
+                type: 'error',
+                error: { name: error.name, message: error.message, stack: error.stack }
             });
         }
     };
 }
 
-export { runInWorker, createWorkerFromFile };
\ No newline at end of file
+// Run pool jobs on the calling thread, where there are no workers (e.g. in
+// Node): the worker module is imported and its `handleJob` export called with
+// each payload, one job at a time. A job can only be aborted before it starts.
+function createInProcessPool(workerPath) {
+    let workerModule = null;
+    let queue = Promise.resolve();
+
+    const runJob = async (payload, { onProgress, signal }) => {
+        if (signal && signal.aborted) throw createAbortError(signal);
+        if (!workerModule) workerModule = import(String(workerPath));
+        const { handleJob } = await workerModule;
+        if (signal && signal.aborted) throw createAbortError(signal);
+        const reportProgress = (fields) => {
+            if (onProgress) onProgress({ ...fields, type: 'progress' });
+        };
+        return { ...await handleJob(payload, reportProgress), type: 'complete' };
+    };
+
+    const run = (payload, runOptions = {}) => {
+        const job = queue.then(() => runJob(payload, runOptions));
+        queue = job.catch(() => {});
+        return job;
+    };
+
+    return {
+        run,
+        terminate: () => {},
+        size: 1
+    };
+}
+
+// A pool of workers running jobs with the protocol above. Workers are started
+// on demand, up to `size`, and reused; queued jobs go to the first idle worker.
+// run(payload, { onProgress, signal, transfer }) resolves with the job's
+// 'complete' message and rejects with the worker's error or an AbortError.
+// Without Worker support, jobs run in-process instead (see createInProcessPool).
+function createWorkerPool(workerPath, options = {}) {
+    if (typeof Worker === 'undefined') return createInProcessPool(workerPath);
+    const {
+        size = Math.max(1, Math.min(navigator.hardwareConcurrency || 2, 4)),
+        type = 'module'
+    } = options;
+
+    const workers = new Set();
+    const idle = [];
+    const queue = [];
+    const running = new Map(); // worker -> job
+    let nextJobId = 1;
+
+    const settle = (job, error, result) => {
+        job.cleanup();
+        if (error) job.reject(error);
+        else job.resolve(result);
+    };
+
+    // A busy worker can't be interrupted, so cancelling or crashing replaces it
+    const discard = (worker) => {
+        worker.terminate();
+        workers.delete(worker);
+        running.delete(worker);
+        const idleIndex = idle.indexOf(worker);
+        if (idleIndex >= 0) idle.splice(idleIndex, 1);
+    };
+
+    const release = (worker) => {
+        running.delete(worker);
+        idle.push(worker);
+        dispatch();
+    };
+
+    const spawn = () => {
+        const worker = new Worker(workerPath, { type });
+        worker.onmessage = (event) => {
+            const job = running.get(worker);
+            const message = event.data;
+            if (!job || !message || message.jobId !== job.id) return;
+
+            if (message.type === 'progress') {
+                if (job.onProgress) job.onProgress(message);
+            } else if (message.type === 'error') {
+                release(worker);
+                settle(job, deserializeError(message.error));
+            } else {
+                release(worker);
+                settle(job, null, message);
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const job = running.get(worker);
+            discard(worker);
+            if (job) settle(job, event.error || new Error(event.message || 'Worker failed'));
+            dispatch();
+        };
+        workers.add(worker);
+        return worker;
+    };
+
+    const dispatch = () => {
+        while (queue.length > 0) {
+            const worker = idle.pop() || (workers.size < size ? spawn() : null);
+            if (!worker) return;
+            const job = queue.shift();
+            job.worker = worker;
+            running.set(worker, job);
+            worker.postMessage({ jobId: job.id, payload: job.payload }, job.transfer);
+        }
+    };
+
+    const run = (payload, runOptions = {}) => {
+        const { onProgress, signal, transfer = [] } = runOptions;
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
+            const job = { id: nextJobId++, payload, onProgress, transfer, resolve, reject, worker: null };
+            const onAbort = () => {
+                if (job.worker) {
+                    discard(job.worker);
+                } else {
+                    queue.splice(queue.indexOf(job), 1);
+                }
+                settle(job, createAbortError(signal));
+                dispatch();
+            };
+            job.cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            queue.push(job);
+            dispatch();
+        });
+    };
+
+    // Stop every worker and fail all outstanding jobs
+    const terminate = () => {
+        const pending = [...running.values(), ...queue.splice(0)];
+        [...workers].forEach(discard);
+        pending.forEach(job => settle(job, new Error('Worker pool terminated')));
+    };
+
+    return {
+        run,
+        terminate,
+        get size() {
+            return size;
+        }
+    };
+}
+
+export { runInWorker, serveWorkerJobs, createWorkerPool };
\ No newline at end of file
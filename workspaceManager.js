@@ -0,0 +1,135 @@
+// Named workspaces
+// Each workspace keeps its stores in a database of its own (see getDatabaseName
+// in db.js), so codebases never mix. The list of workspaces lives in a separate
+// registry database; the one opened most recently is active on startup. Both go
+// through the storage adapter (see db.js).
+
+import { DEFAULT_WORKSPACE, getActiveWorkspace, setActiveWorkspace, openDatabase, deleteWorkspaceDB } from './db.js';
+import { exportWorkspace, importWorkspace } from './workspaceSnapshot.js';
+
+const REGISTRY_NAME = 'CodeComponentWorkspaces';
+
+const REGISTRY_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Workspaces by ID',
+        migrate(db) {
+            db.createObjectStore('workspaces', { keyPath: 'id' });
+        }
+    }
+];
+
+const openRegistry = () => openDatabase(REGISTRY_NAME, REGISTRY_MIGRATIONS);
+
+const putWorkspace = async (workspace) => {
+    const registry = await openRegistry();
+    await registry.write([{ type: 'put', storeName: 'workspaces', records: [workspace] }]);
+};
+
+// All workspaces, oldest first. The default workspace (the database used before
+// there were workspaces) is registered the first time this runs.
+async function listWorkspaces() {
+    const workspaces = await (await openRegistry()).getAll('workspaces');
+    if (!workspaces.some(workspace => workspace.id === DEFAULT_WORKSPACE)) {
+        const now = new Date().toISOString();
+        const defaultWorkspace = { id: DEFAULT_WORKSPACE, name: 'Default', createdAt: now, lastOpenedAt: now };
+        await putWorkspace(defaultWorkspace);
+        workspaces.push(defaultWorkspace);
+    }
+    return workspaces.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Look a workspace up by ID or by name
+async function findWorkspace(idOrName) {
+    const workspaces = await listWorkspaces();
+    return workspaces.find(workspace => workspace.id === idOrName) ||
+        workspaces.find(workspace => workspace.name.toLowerCase() === String(idOrName).toLowerCase()) ||
+        null;
+}
+
+async function getWorkspace(id) {
+    const workspace = (await listWorkspaces()).find(candidate => candidate.id === id);
+    if (!workspace) throw new Error(`Workspace not found: ${id}`);
+    return workspace;
+}
+
+// Names identify workspaces for AI requests, so they must be unique
+async function checkName(name, exceptId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Workspace name is required');
+    const taken = (await listWorkspaces()).some(workspace =>
+        workspace.id !== exceptId && workspace.name.toLowerCase() === trimmed.toLowerCase());
+    if (taken) throw new Error(`A workspace named "${trimmed}" already exists`);
+    return trimmed;
+}
+
+async function createWorkspace(name) {
+    const now = new Date().toISOString();
+    const workspace = {
+        id: `ws_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: await checkName(name),
+        createdAt: now,
+        lastOpenedAt: null
+    };
+    await putWorkspace(workspace);
+    return workspace;
+}
+
+async function renameWorkspace(id, name) {
+    const workspace = await getWorkspace(id);
+    workspace.name = await checkName(name, id);
+    await putWorkspace(workspace);
+    return workspace;
+}
+
+// Copy every store of a workspace into a new one, proposals included.
+async function duplicateWorkspace(id, name) {
+    const source = await getWorkspace(id);
+    const copy = await createWorkspace(name || `${source.name} (copy)`);
+    const { text } = await exportWorkspace(source.id);
+    await importWorkspace(copy.id, text, { mode: 'replace' });
+    return copy;
+}
+
+// Delete a workspace and its database. The active workspace can't be deleted.
+async function deleteWorkspace(id) {
+    const workspace = await getWorkspace(id);
+    if (workspace.id === getActiveWorkspace()) {
+        throw new Error('Switch to another workspace before deleting this one');
+    }
+    await deleteWorkspaceDB(workspace.id);
+    const registry = await openRegistry();
+    await registry.write([{ type: 'delete', storeName: 'workspaces', ids: [workspace.id] }]);
+    return workspace;
+}
+
+// Make a workspace the one the UI works on
+async function switchWorkspace(id) {
+    const workspace = await getWorkspace(id);
+    workspace.lastOpenedAt = new Date().toISOString();
+    await putWorkspace(workspace);
+    setActiveWorkspace(workspace.id);
+    return workspace;
+}
+
+// Reopen the workspace used last, on startup
+async function restoreActiveWorkspace() {
+    const workspaces = await listWorkspaces();
+    const latest = workspaces
+        .filter(workspace => workspace.lastOpenedAt)
+        .sort((a, b) => b.lastOpenedAt.localeCompare(a.lastOpenedAt))[0];
+    const workspace = latest || workspaces[0];
+    setActiveWorkspace(workspace.id);
+    return workspace;
+}
+
+export {
+    listWorkspaces,
+    findWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+    switchWorkspace,
+    restoreActiveWorkspace
+};
\ No newline at end of file
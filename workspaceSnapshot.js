@@ -0,0 +1,143 @@
+// Workspace snapshots
+// A snapshot holds every record of every store of a workspace (units with
+// their cluster assignments and tests, cluster records, dependencies, revision
+// history, proposals). It is written as one JSON document or as NDJSON: a
+// header line followed by one line per record. The search index is left out:
+// it is rebuilt as the units are written back. Snapshots from before proposals
+// were stored carry the pending updates in a section of their own, which is
+// still read.
+
+import { DB_VERSION, SEARCH_STORE, upgradeRecords, getStoreNames, getAllUnits, createTransaction } from './db.js';
+import { PROPOSALS_STORE, proposalFromPendingUpdate } from './proposals.js';
+
+const SNAPSHOT_FORMAT = 'code-component-snapshot';
+
+async function getSnapshotStores(workspace) {
+    return (await getStoreNames(workspace)).filter(storeName => storeName !== SEARCH_STORE);
+}
+
+// Export a workspace. `format` is 'json' or 'ndjson'. Returns { text, counts }.
+async function exportWorkspace(workspace, options = {}) {
+    const { format = 'json' } = options;
+    if (format !== 'json' && format !== 'ndjson') {
+        throw new Error(`Unknown snapshot format: ${format}`);
+    }
+
+    const stores = {};
+    const counts = {};
+    for (const storeName of await getSnapshotStores(workspace)) {
+        stores[storeName] = await getAllUnits(workspace, storeName);
+        counts[storeName] = stores[storeName].length;
+    }
+
+    const header = {
+        format: SNAPSHOT_FORMAT,
+        schemaVersion: DB_VERSION,
+        exportedAt: new Date().toISOString(),
+        counts
+    };
+
+    if (format === 'json') {
+        return { text: JSON.stringify({ ...header, stores }), counts };
+    }
+    const lines = [JSON.stringify(header)];
+    Object.entries(stores).forEach(([store, records]) => {
+        records.forEach(record => lines.push(JSON.stringify({ store, record })));
+    });
+    return { text: lines.join('\n'), counts };
+}
+
+// Read a snapshot in either format into { header, stores, pendingUpdates },
+// where `pendingUpdates` is the legacy section ([{ key, update }])
+function parseSnapshot(snapshot) {
+    if (typeof snapshot !== 'string') {
+        const { stores = {}, pendingUpdates = [], ...header } = snapshot || {};
+        return { header, stores, pendingUpdates };
+    }
+
+    const text = snapshot.trim();
+    const firstLine = text.split('\n', 1)[0];
+    let header = null;
+    try {
+        header = JSON.parse(firstLine);
+    } catch (error) {
+        // A pretty-printed JSON document doesn't fit on its first line
+    }
+    if (!header || header.stores || firstLine === text) {
+        return parseSnapshot(JSON.parse(text));
+    }
+
+    const stores = {};
+    const pendingUpdates = [];
+    text.split('\n').slice(1).forEach((line, i) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid snapshot line ${i + 2}: ${error.message}`);
+        }
+        if (entry.pendingUpdate !== undefined) {
+            pendingUpdates.push({ key: entry.pendingUpdate, update: entry.update });
+        } else {
+            if (!stores[entry.store]) stores[entry.store] = [];
+            stores[entry.store].push(entry.record);
+        }
+    });
+    return { header, stores, pendingUpdates };
+}
+
+// Restore a snapshot (text in either format, or a parsed JSON snapshot) into a
+// workspace. `mode: 'replace'` clears the workspace first; `mode: 'merge'` keeps what is
+// there, and records from the snapshot win where IDs collide. Records of a
+// snapshot from an older schema go through the record upgrades of every later
+// version before they are written; snapshots from a newer one are refused.
+async function importWorkspace(workspace, snapshot, options = {}) {
+    const { mode = 'merge' } = options;
+    if (mode !== 'merge' && mode !== 'replace') {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const { header, stores, pendingUpdates } = parseSnapshot(snapshot);
+    if (header.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Not a workspace snapshot');
+    }
+    if (!Number.isInteger(header.schemaVersion) || header.schemaVersion < 1 || header.schemaVersion > DB_VERSION) {
+        throw new Error(`Snapshot schema version ${header.schemaVersion} is not supported (this workspace uses version ${DB_VERSION})`);
+    }
+    // Check everything before writing anything
+    const storeNames = await getSnapshotStores(workspace);
+    const unknownStores = Object.keys(stores).filter(storeName => !storeNames.includes(storeName));
+    if (unknownStores.length > 0) {
+        throw new Error(`Snapshot contains unknown stores: ${unknownStores.join(', ')}`);
+    }
+    Object.entries(stores).forEach(([storeName, records]) => {
+        if (!Array.isArray(records) || records.some(record => !record || record.id === undefined)) {
+            throw new Error(`Snapshot store ${storeName} has records without an ID`);
+        }
+    });
+    upgradeRecords(stores, header.schemaVersion);
+    // Legacy pending updates become pending proposals
+    if (pendingUpdates.length > 0) {
+        stores[PROPOSALS_STORE] = [
+            ...(stores[PROPOSALS_STORE] || []),
+            ...pendingUpdates.map(({ key, update }) => proposalFromPendingUpdate(key, update))
+        ];
+    }
+
+    // One transaction, so a snapshot that fails to load leaves the workspace as it was
+    const tx = createTransaction(workspace);
+    if (mode === 'replace') {
+        storeNames.forEach(storeName => tx.clear(storeName));
+    }
+    const counts = {};
+    Object.entries(stores).forEach(([storeName, records]) => {
+        tx.put(records, storeName);
+        counts[storeName] = records.length;
+    });
+    await tx.commit();
+
+    return { mode, schemaVersion: header.schemaVersion, exportedAt: header.exportedAt, counts };
+}
+
+export { SNAPSHOT_FORMAT, exportWorkspace, parseSnapshot, importWorkspace };
\ No newline at end of file